@@ -0,0 +1,167 @@
+/**
+ * Human adjudication of divergent criteria and split gates
+ *
+ * The consensus flags criteria with high disagreement (std dev > 1.0) and
+ * gates where evaluators split, and a consensus recommendation that does not
+ * fit the consensus score band (coherence.js). A human reviewer records
+ * decisions in `adjudication-C-XXX.json` next to the candidate's eval files
+ * (schema: adjudication-schema.json). Each decision overrides one criterion
+ * score, gate result or the consensus recommendation; buildConsensus()
+ * applies it on top of the computed consensus, keeping the computed value
+ * alongside.
+ *
+ * Every decision records the SHA-256 of each eval file it was based on
+ * (`input_hashes`, copied from `input_files` in the consensus file). If the
+ * set of eval files or any file's content has changed since, the decision is
+ * stale: it is not applied and the item goes back to needing review.
+ */
+
+import { createHash } from "node:crypto";
+import { existsSync, readFileSync } from "node:fs";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { validateSchema, formatSchemaError } from "./schema-validator.js";
+
+export const ADJUDICATION_SCHEMA_PATH = fileURLToPath(new URL("./adjudication-schema.json", import.meta.url));
+
+let adjudicationSchema = null;
+
+// The only item a recommendation decision can target
+export const RECOMMENDATION_ITEM = "consensus_recommendation";
+
+export function contentHash(content) {
+  return createHash("sha256").update(content).digest("hex");
+}
+
+export function adjudicationFileName(candidateId) {
+  return `adjudication-${candidateId}.json`;
+}
+
+export function isAdjudicationFile(file) {
+  return /^adjudication-.*\.json$/.test(file);
+}
+
+/**
+ * Read a candidate's adjudication file, if any.
+ * Returns null when there is none, else { file, entries, errors } where
+ * `errors` are schema violations (the file is then not used at all).
+ */
+export function loadAdjudicationFile(dirPath, candidateId) {
+  const file = adjudicationFileName(candidateId);
+  const path = join(dirPath, file);
+  if (!existsSync(path)) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(path, "utf-8"));
+  } catch (err) {
+    return { file, entries: [], errors: [`cannot parse: ${err.message}`] };
+  }
+
+  adjudicationSchema ||= JSON.parse(readFileSync(ADJUDICATION_SCHEMA_PATH, "utf-8"));
+  const errors = validateSchema(parsed, adjudicationSchema).map(formatSchemaError);
+  if (parsed?.candidate_id && parsed.candidate_id !== candidateId) {
+    errors.push(`/candidate_id: is ${parsed.candidate_id}, expected ${candidateId}`);
+  }
+  return { file, entries: errors.length > 0 ? [] : parsed.adjudications, errors };
+}
+
+function sameInputs(recorded, current) {
+  const a = Object.keys(recorded).sort();
+  const b = Object.keys(current).sort();
+  return a.length === b.length && a.every((f, i) => f === b[i] && recorded[f] === current[f]);
+}
+
+/**
+ * Sort the decisions in an adjudication file into applicable, stale and
+ * invalid ones. `inputHashes` maps each current eval file name to its hash.
+ * When several valid decisions target the same item, the latest wins and
+ * the others are reported as superseded.
+ *
+ * Returns { file, active: { criteria: {}, gates: {}, recommendations: {} },
+ * applied, stale, superseded, invalid } — `active` is what buildConsensus()
+ * applies.
+ */
+export function resolveAdjudications(adjFile, rubric, inputHashes) {
+  const result = {
+    file: adjFile?.file ?? null,
+    active: { criteria: {}, gates: {}, recommendations: {} },
+    applied: [],
+    stale: [],
+    superseded: [],
+    invalid: [...(adjFile?.errors ?? []).map((message) => ({ message }))],
+  };
+  if (!adjFile) return result;
+
+  const allCriteria = new Set(Object.values(rubric.criteriaMap).flat());
+  const byItem = {};
+  adjFile.entries.forEach((entry, i) => {
+    const where = `/adjudications/${i}`;
+    if (entry.type === "criterion") {
+      if (!allCriteria.has(entry.item)) {
+        result.invalid.push({ ...entry, message: `${where}/item: unknown criterion ${entry.item}` });
+        return;
+      }
+      if (!Number.isInteger(entry.value) || entry.value < 0 || entry.value > rubric.maxCriterionScore) {
+        result.invalid.push({ ...entry, message: `${where}/value: must be an integer 0–${rubric.maxCriterionScore}` });
+        return;
+      }
+    } else if (entry.type === "recommendation") {
+      if (entry.item !== RECOMMENDATION_ITEM) {
+        result.invalid.push({ ...entry, message: `${where}/item: must be ${RECOMMENDATION_ITEM} for a recommendation` });
+        return;
+      }
+      if (!rubric.recommendationOrder.includes(entry.value)) {
+        result.invalid.push({
+          ...entry,
+          message: `${where}/value: must be one of ${rubric.recommendationOrder.join(", ")}`,
+        });
+        return;
+      }
+    } else {
+      if (!rubric.gateChecks.includes(entry.item)) {
+        result.invalid.push({ ...entry, message: `${where}/item: unknown gate ${entry.item}` });
+        return;
+      }
+      if (typeof entry.value !== "boolean") {
+        result.invalid.push({ ...entry, message: `${where}/value: must be true or false for a gate` });
+        return;
+      }
+    }
+    if (!sameInputs(entry.input_hashes, inputHashes)) {
+      result.stale.push({
+        ...entry,
+        changed_files: [...new Set([...Object.keys(entry.input_hashes), ...Object.keys(inputHashes)])]
+          .filter((f) => entry.input_hashes[f] !== inputHashes[f])
+          .sort(),
+      });
+      return;
+    }
+    (byItem[`${entry.type}:${entry.item}`] ||= []).push(entry);
+  });
+
+  for (const entries of Object.values(byItem)) {
+    entries.sort((a, b) => Date.parse(a.decided_at) - Date.parse(b.decided_at));
+    const latest = entries.at(-1);
+    result.superseded.push(...entries.slice(0, -1));
+    result.applied.push(latest);
+    const target = {
+      criterion: result.active.criteria,
+      gate: result.active.gates,
+      recommendation: result.active.recommendations,
+    }[latest.type];
+    target[latest.item] = latest;
+  }
+  return result;
+}
+
+// What a consensus records about an applied decision
+export function adjudicationRecord(entry, computedValue) {
+  return {
+    value: entry.value,
+    computed_value: computedValue,
+    reviewer: entry.reviewer,
+    decided_at: entry.decided_at,
+    rationale: entry.rationale,
+  };
+}
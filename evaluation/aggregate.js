@@ -10,7 +10,60 @@
  *   3. Comparative ranking across all candidates
  *
  * Usage:
- *   node aggregate.js <evals-directory> [--output <output-dir>]
+ *   node aggregate.js [validate|aggregate|compare|report] <evals-directory>
+ *                     [--output <output-dir>] [--rubric <file>] [--json]
+ *                     [--evaluators <file>] [--strategies <spec>] [--compare-strategies <spec>]
+ *                     [--repos <dir>] [--lint-config <file>] [--fail-on-lint <severity>]
+ *                     [--weights <spec>] [--weight-robustness <around|simplex>]
+ *                     [--weight-samples <n>] [--weight-spread <x>] [--weight-bounds <spec>]
+ *                     [--blind] [--blind-config <file>] [--blind-mapping <file>]
+ *                     [--lenient] [--partial] [--strict] [--junit <file>] [--sarif <file>]
+ *                     [--timestamp <iso-8601>] [--calibrate]
+ *   node aggregate.js diff <before-output-dir> <after-output-dir> [--json]
+ *
+ * Subcommands (`aggregate` when none is given):
+ *   validate   validate every eval file; writes nothing
+ *   aggregate  validate, aggregate and write every output listed below
+ *   compare    print comparison.md (or comparison.json with --json)
+ *   report     print the agreement report, evaluator profiles and rubric
+ *              health
+ *   diff       compare two aggregate output directories (manifest.js)
+ * The first four take the same flags. --json prints one JSON document on stdout
+ * and moves progress messages to stderr; compare and report always keep
+ * stdout for their output. Exit codes: see EXIT_CODES.
+ *
+ * Library API — importing this module has no side effects; main() runs
+ * only when the file is executed:
+ *   validateEvaluation(eval_, filePath, rubric, { lenient, partial })
+ *   validationIssues(eval_, rubric, { lenient, partial })
+ *   buildConsensus(candidateId, evals, rubric, options)
+ *   buildComparison(consensusResults, { intervals, generatedAt })
+ *   buildComparisonMarkdown(comparison, options)
+ *   buildAgreementReport(consensusResults, { independence, generatedAt })
+ *   buildHtmlReport(comparison, consensusResults, { evals, rubric })
+ * Rubrics come from loadRubrics() (re-exported from rubric.js);
+ * buildHtmlReport() is re-exported from html-report.js. Inputs are
+ * described above each function; output shapes are the files they produce
+ * (section 9.15 of evaluation-framework.md).
+ *
+ * Each eval file is scored under the rubric version it declares in
+ * evaluation_metadata.framework_version (rubric definitions: rubrics.json,
+ * or --rubric). It is validated against that version's JSON Schema
+ * (2020-12, checked offline by schema-validator.js); files with any schema
+ * violation are rejected. --lenient falls back to the original structural
+ * checks and reports schema violations as warnings instead. A candidate
+ * whose evals declare different versions is reported as an error.
+ *
+ * Evaluator names are canonicalized through the evaluator registry
+ * (evaluators.json, or --evaluators) so aliases such as `codex` and
+ * `codex-gpt5` count as one evaluator. A file whose name disagrees with its
+ * metadata produces a warning; two files from the same canonical evaluator
+ * for one candidate are both rejected.
+ *
+ * --partial accepts evals that score only part of the rubric (a reviewer
+ * who assessed only UI/UX). Each criterion's consensus is taken over the
+ * evaluators that scored it; every criterion and category carries its
+ * rater count and its own full/provisional confidence (3+ raters for full).
  *
  * Directory structure expected:
  *   evals/
@@ -26,250 +79,302 @@
  *   output/
  *     consensus-C-001.json    — aggregated scores for each candidate
  *     consensus-C-002.json
- *     comparison.json          — cross-candidate ranking
+ *     comparison.json          — cross-candidate ranking with score intervals
  *     comparison.md            — human-readable comparison table
+ *     report.html              — self-contained report with radar charts,
+ *                                score heatmaps and evidence (html-report.js)
  *     agreement-report.json    — inter-evaluator reliability analysis
+ *     evaluator-profiles.json  — per-evaluator leniency and outlier profile
+ *     sensitivity-report.json  — leave-one-evaluator-out sensitivity
+ *     rubric-health.json       — criterion correlations, internal consistency,
+ *                                ceiling/floor effects, discrimination
+ *     strategy-comparison.json — ranking under --compare-strategies (if given)
+ *     weight-sensitivity.json  — ranking under sampled category weights
+ *                                (--weight-robustness)
+ *     blind-review-report.json — redactions and remaining leaks (--blind)
+ *     validation-report.json   — accepted, partial and rejected eval files
+ *     run-manifest.json        — script version, settings, input and output
+ *                                hashes (see manifest.js; `diff` compares two)
+ *
+ * Every command can also write the validation report as JUnit XML (--junit)
+ * or SARIF (--sarif) for CI; --strict exits 2 when any file was rejected
+ * (see validation-report.js).
+ *
+ * --calibrate subtracts each evaluator's estimated per-category bias (from
+ * evaluator-profiles.json) before taking the median; comparison.md then
+ * shows how the ranking moved relative to the raw consensus.
+ *
+ * --blind redacts repo_url and every identifying token (blind.json deny-list
+ * plus each candidate's repo owner and name) from all outputs, reports what
+ * still looks identifying, and seals the candidate → repository mapping in a
+ * separate file (see blind.js).
  */
 
 import { readFileSync, writeFileSync, readdirSync, mkdirSync, existsSync, statSync } from "node:fs";
-import { join, basename } from "node:path";
+import { join, basename, dirname, resolve, relative, isAbsolute } from "node:path";
+import { fileURLToPath } from "node:url";
+import { validateSchema, formatSchemaError } from "./schema-validator.js";
+import { loadRubrics, DEFAULT_RUBRIC_PATH } from "./rubric.js";
+import { mean, stddev } from "./stats.js";
+import { buildReliabilityAnalysis } from "./reliability.js";
+import { buildEvaluatorProfiles, calibrationOffsets, buildCalibrationReport } from "./calibration.js";
+import { finalScoreInterval, rankCandidates, TIE_BREAK_CHAIN } from "./ranking.js";
+import { buildCandidateSensitivity, buildSensitivityReport } from "./sensitivity.js";
+import { checkCoherence } from "./coherence.js";
+import { buildRubricHealth } from "./rubric-health.js";
+import { buildIndependenceAnalysis } from "./similarity.js";
+import { buildValidationReport, locateIssues, toJUnit, toSarif } from "./validation-report.js";
+import { buildHtmlReport } from "./html-report.js";
+import { buildRunManifest, loadRun, diffRuns, formatRunDiff, portablePath, MANIFEST_FILE } from "./manifest.js";
+import {
+  loadBlindConfig,
+  buildBlinding,
+  redact,
+  scanLeaks,
+  sealedMapping,
+  DEFAULT_BLIND_CONFIG_PATH,
+} from "./blind.js";
+import {
+  parseWeightSpec,
+  applyWeights,
+  parseWeightBounds,
+  buildWeightSensitivity,
+  WEIGHT_SAMPLING_MODES,
+  DEFAULT_WEIGHT_SAMPLES,
+  DEFAULT_WEIGHT_SPREAD,
+} from "./weights.js";
+import { staleReferenceSources } from "./ground-truth.js";
+import { isGateRunFile, loadGateRun, compareWithGateRun } from "./gate-runner.js";
+import { indexRepository, verifyCitations, CITATION_ACCURACY_THRESHOLD } from "./citations.js";
+import {
+  loadLintConfig,
+  lintEvaluation,
+  findingsAtOrAbove,
+  DEFAULT_LINT_CONFIG_PATH,
+  SEVERITIES,
+} from "./evidence-lint.js";
+import {
+  contentHash,
+  isAdjudicationFile,
+  loadAdjudicationFile,
+  resolveAdjudications,
+  adjudicationRecord,
+  RECOMMENDATION_ITEM,
+} from "./adjudication.js";
+import {
+  resolveStrategies,
+  parseStrategySpec,
+  strategyFn,
+  describeStrategies,
+  buildStrategyComparison,
+} from "./strategies.js";
+import {
+  loadEvaluatorRegistry,
+  resolveEvaluator,
+  trustWeights,
+  evaluatorFromFilename,
+  DEFAULT_REGISTRY_PATH,
+} from "./evaluators.js";
+
+// Rubric definitions (categories, criteria, weights, gates, bonuses, bands,
+// recommendation scale) are loaded per framework_version from a rubric file
+// — see rubric.js and rubrics.json. Every function below that needs them
+// takes the rubric object for the eval's declared version.
+export { loadRubrics, DEFAULT_RUBRIC_PATH };
+export { buildHtmlReport };
 
 // ---------------------------------------------------------------------------
-// Schema validation (lightweight — checks structure, types, and constraints)
+// Helpers
 // ---------------------------------------------------------------------------
 
-const CATEGORIES = [
-  "A_strategy_matrix",
-  "B_technical_foundation",
-  "C_ui_ux_quality",
-  "D_prd_compliance",
-  "E_code_quality",
-  "F_bonus_features",
-  "G_decision_making",
-];
-
-const CRITERIA_MAP = {
-  A_strategy_matrix: [
-    "A1_data_population",
-    "A2_score_normalization",
-    "A3_quadrant_assignment",
-    "A4_scatter_plot_rendering",
-    "A5_tooltip_implementation",
-    "A6_logic_ui_separation",
-  ],
-  B_technical_foundation: [
-    "B1_project_setup",
-    "B2_routing_navigation",
-    "B3_type_safety",
-    "B4_data_layer",
-  ],
-  C_ui_ux_quality: [
-    "C1_visual_design",
-    "C2_responsive_design",
-    "C3_interactivity",
-    "C4_empty_error_loading_states",
-    "C5_design_token_usage",
-  ],
-  D_prd_compliance: [
-    "D1_schema_adherence",
-    "D2_quadrant_logic_accuracy",
-    "D3_route_structure",
-    "D4_specification_details",
-  ],
-  E_code_quality: [
-    "E1_separation_of_concerns",
-    "E2_readability_naming",
-    "E3_error_handling",
-    "E4_dependency_choices",
-  ],
-  F_bonus_features: [
-    "F1_dashboard",
-    "F2_additional_pages",
-    "F3_search_filtering",
-    "F4_creative_additions",
-  ],
-  G_decision_making: [
-    "G1_prioritization",
-    "G2_pr_description",
-  ],
-};
+function scoreBand(score, rubric) {
+  for (const band of rubric.scoreBands) {
+    if (score >= band.min) return band.label;
+  }
+  return rubric.scoreBands.at(-1).label;
+}
 
-const WEIGHTS = {
-  A_strategy_matrix: 0.30,
-  B_technical_foundation: 0.15,
-  C_ui_ux_quality: 0.15,
-  D_prd_compliance: 0.10,
-  E_code_quality: 0.20,
-  F_bonus_features: 0.05,
-  G_decision_making: 0.05,
-};
+function categoryScore(criteriaScores, criteriaCount, maxCriterionScore = 4) {
+  const sum = criteriaScores.reduce((s, v) => s + v, 0);
+  return (sum / (criteriaCount * maxCriterionScore)) * 100;
+}
 
-const GATE_CHECKS = [
-  "G1_package_json_exists",
-  "G2_install_succeeds",
-  "G3_build_succeeds",
-  "G4_matrix_route_exists",
-  "G5_project_files_exist",
-  "G6_chart_library_installed",
-  "G7_normalization_logic_exists",
-  "G8_quadrant_logic_exists",
-  "G9_chart_renders_data",
-  "G10_tooltips_implemented",
-];
-
-const GIT_BONUS_COMPONENTS = [
-  "H1_commit_cadence",
-  "H2_message_quality",
-  "H3_logical_progression",
-];
-
-const AI_BONUS_COMPONENTS = [
-  "I1_ai_vision_planning",
-  "I2_ai_implementation",
-  "I3_ai_integration_quality",
-];
-
-const SCORE_BANDS = [
-  { min: 90, label: "Exceptional" },
-  { min: 75, label: "Strong" },
-  { min: 60, label: "Competent" },
-  { min: 45, label: "Below Expectations" },
-  { min: 0, label: "Insufficient" },
-];
-
-const RECOMMENDATION_ORDER = [
-  "Strong Hire",
-  "Hire",
-  "Lean Hire",
-  "Lean No Hire",
-  "No Hire",
-];
+// Weighted sum of category scores. A category nobody scored (null, only
+// possible with --partial) is left out and the remaining weights are
+// rescaled to sum to 1.
+function weightedTotal(categoryScores, rubric) {
+  const rated = rubric.categories.filter((cat) => typeof categoryScores[cat] === "number");
+  const sum = rated.reduce((s, cat) => s + categoryScores[cat] * rubric.weights[cat], 0);
+  if (rated.length === rubric.categories.length) return sum;
+  const ratedWeight = rated.reduce((s, cat) => s + rubric.weights[cat], 0);
+  return ratedWeight > 0 ? sum / ratedWeight : 0;
+}
+
+// Evaluators a criterion needs for a `full`-confidence consensus; with
+// fewer it is `provisional`, and so are its category and the candidate
+const MIN_EVALUATORS = 3;
+
+function confidence(raters) {
+  return raters >= MIN_EVALUATORS ? "full" : "provisional";
+}
 
 // ---------------------------------------------------------------------------
-// Helpers
+// Validation
 // ---------------------------------------------------------------------------
 
-function median(values) {
-  if (values.length === 0) return 0;
-  const sorted = [...values].sort((a, b) => a - b);
-  const mid = Math.floor(sorted.length / 2);
-  return sorted.length % 2 !== 0
-    ? sorted[mid]
-    : (sorted[mid - 1] + sorted[mid]) / 2;
+// Pick the rubric for an eval's declared framework_version. In lenient mode
+// a missing or unknown version falls back to the rubric file's default.
+function rubricForEvaluation(eval_, rubrics, { lenient = false } = {}) {
+  const version = eval_.evaluation_metadata?.framework_version;
+  if (rubrics.versions[version]) return rubrics.versions[version];
+  return lenient ? rubrics.versions[rubrics.defaultVersion] : null;
 }
 
-function mean(values) {
-  if (values.length === 0) return 0;
-  return values.reduce((s, v) => s + v, 0) / values.length;
+// Strict mode: full JSON Schema validation against the schema of the eval's
+// rubric version (evaluation/schema.json for 1.1). Each error carries the
+// JSON Pointer of the offending field.
+// `eval_` is a parsed eval file, `rubric` one version from loadRubrics().
+// Returns error messages prefixed with `filePath`; empty when the file is
+// accepted.
+export function validateEvaluation(eval_, filePath, rubric, { lenient = false, partial = false } = {}) {
+  return validationIssues(eval_, rubric, { lenient, partial }).map((issue) => `${filePath}: ${formatIssue(issue)}`);
 }
 
-function stddev(values) {
-  if (values.length <= 1) return 0;
-  const avg = mean(values);
-  const squareDiffs = values.map((v) => (v - avg) ** 2);
-  return Math.sqrt(squareDiffs.reduce((s, v) => s + v, 0) / (values.length - 1));
+// The same checks as structured issues: [{ location, keyword, message }],
+// `location` being the JSON Pointer of the offending field ("" for the
+// document root). Feeds validation-report.json, JUnit and SARIF.
+// `partial` accepts an eval that scores only part of the rubric: missing
+// rubric items are not errors (isCoverageGap()), but at least one
+// criterion must be scored.
+export function validationIssues(eval_, rubric, { lenient = false, partial = false } = {}) {
+  const issues = lenient ? lenientIssues(eval_, rubric) : schemaIssues(eval_, rubric);
+  if (!partial) return issues;
+  const errors = issues.filter((issue) => !isCoverageGap(issue, rubric));
+  if (scoredCriteria(eval_, rubric).length === 0) {
+    errors.push({ location: "/rubric_scores", keyword: "coverage", message: "no criterion of the rubric is scored" });
+  }
+  return errors;
 }
 
-function scoreBand(score) {
-  for (const band of SCORE_BANDS) {
-    if (score >= band.min) return band.label;
+// Whether an issue is only a missing rubric item that --partial tolerates:
+// a category, criterion, gate check, bonus block or component, or a total
+// derived from them. Metadata stays required, and so does everything an
+// item that is present needs (score, evidence, notes, pass, points).
+function isCoverageGap(issue, rubric) {
+  const missing = issue.keyword === "required" ||
+    (issue.keyword === STRUCTURAL_CHECK && issue.message.startsWith("Missing "));
+  if (!missing || !issue.location) return false;
+  const parts = issue.location.split("/").slice(1);
+  const [top, key] = parts;
+  if (top === "rubric_scores") return parts.length <= 3 || (parts.length === 4 && parts[2] === "criteria");
+  if (top === "automated_gate") {
+    return parts.length === 1 || key === "gate_summary" || (parts.length === 2 && rubric.gateChecks.includes(key));
   }
-  return "Insufficient";
+  if (rubric.bonuses[top]) return parts.length <= 2;
+  return top === "scoring_summary" || (top === "qualitative_summary" && parts.length === 1);
 }
 
-function categoryScore(criteriaScores, criteriaCount) {
-  const sum = criteriaScores.reduce((s, v) => s + v, 0);
-  return (sum / (criteriaCount * 4)) * 100;
+// Criteria an eval scores, as "<category>/<criterion>"
+function scoredCriteria(eval_, rubric) {
+  return rubric.categories.flatMap((cat) => rubric.criteriaMap[cat]
+    .filter((crit) => typeof eval_.rubric_scores?.[cat]?.criteria?.[crit]?.score === "number")
+    .map((crit) => `${cat}/${crit}`));
 }
 
-// ---------------------------------------------------------------------------
-// Validation
-// ---------------------------------------------------------------------------
+// Keyword of the lenient-mode structural checks
+const STRUCTURAL_CHECK = "structure";
+
+function schemaIssues(eval_, rubric) {
+  return validateSchema(eval_, rubric.schema).map((err) => ({
+    location: err.path,
+    keyword: err.keyword,
+    message: err.message,
+  }));
+}
+
+function formatIssue(issue) {
+  return issue.keyword === STRUCTURAL_CHECK
+    ? issue.message
+    : formatSchemaError({ path: issue.location, keyword: issue.keyword, message: issue.message });
+}
 
-function validateEvaluation(eval_, filePath) {
+// Lenient mode: the original hand-written structural checks, driven by the
+// rubric. Tolerates extra properties and metadata that the schema would
+// reject.
+function lenientIssues(eval_, rubric) {
   const errors = [];
-  const warn = (msg) => errors.push(`${filePath}: ${msg}`);
+  const warn = (msg, location = "") => errors.push({ location, keyword: STRUCTURAL_CHECK, message: msg });
+  const maxScore = rubric.maxCriterionScore;
 
-  if (!eval_.evaluation_metadata?.candidate_id) warn("Missing candidate_id");
-  if (!eval_.evaluation_metadata?.evaluator) warn("Missing evaluator");
+  if (!eval_.evaluation_metadata?.candidate_id) warn("Missing candidate_id", "/evaluation_metadata/candidate_id");
+  if (!eval_.evaluation_metadata?.evaluator) warn("Missing evaluator", "/evaluation_metadata/evaluator");
 
   // Gate checks
   if (!eval_.automated_gate) {
-    warn("Missing automated_gate");
+    warn("Missing automated_gate", "/automated_gate");
   } else {
-    for (const gk of GATE_CHECKS) {
+    for (const gk of rubric.gateChecks) {
       if (eval_.automated_gate[gk] === undefined) {
-        warn(`Missing gate check: ${gk}`);
+        warn(`Missing gate check: ${gk}`, `/automated_gate/${gk}`);
       }
     }
   }
 
   // Rubric scores
   if (!eval_.rubric_scores) {
-    warn("Missing rubric_scores");
+    warn("Missing rubric_scores", "/rubric_scores");
   } else {
-    for (const cat of CATEGORIES) {
+    for (const cat of rubric.categories) {
       if (!eval_.rubric_scores[cat]) {
-        warn(`Missing category: ${cat}`);
+        warn(`Missing category: ${cat}`, `/rubric_scores/${cat}`);
         continue;
       }
       const criteria = eval_.rubric_scores[cat].criteria;
       if (!criteria) {
-        warn(`Missing criteria in ${cat}`);
+        warn(`Missing criteria in ${cat}`, `/rubric_scores/${cat}/criteria`);
         continue;
       }
-      for (const crit of CRITERIA_MAP[cat]) {
+      for (const crit of rubric.criteriaMap[cat]) {
         if (!criteria[crit]) {
-          warn(`Missing criterion: ${cat}.${crit}`);
+          warn(`Missing criterion: ${cat}.${crit}`, `/rubric_scores/${cat}/criteria/${crit}`);
         } else {
           const s = criteria[crit].score;
-          if (typeof s !== "number" || s < 0 || s > 4 || !Number.isInteger(s)) {
-            warn(`Invalid score for ${crit}: ${s} (must be integer 0-4)`);
+          if (typeof s !== "number" || s < 0 || s > maxScore || !Number.isInteger(s)) {
+            warn(`Invalid score for ${crit}: ${s} (must be integer 0-${maxScore})`, `/rubric_scores/${cat}/criteria/${crit}/score`);
           }
         }
       }
     }
   }
 
-  // Git bonus
-  if (!eval_.git_history_bonus) {
-    warn("Missing git_history_bonus");
-  } else {
-    const gb = eval_.git_history_bonus;
-    if (typeof gb.bonus_total !== "number" || gb.bonus_total < 0 || gb.bonus_total > 5) {
-      warn(`Invalid git bonus_total: ${gb.bonus_total}`);
+  // Bonus blocks (git history, and AI integration from v1.1)
+  for (const [key, bonus] of Object.entries(rubric.bonuses)) {
+    const block = eval_[key];
+    if (!block) {
+      warn(`Missing ${key}`, `/${key}`);
+      continue;
     }
-  }
-
-  // AI integration bonus (optional — v1.0 evals may not have this field)
-  if (eval_.ai_integration_bonus) {
-    const ab = eval_.ai_integration_bonus;
-    const aiComponents = {
-      I1_ai_vision_planning: 2,
-      I2_ai_implementation: 2,
-      I3_ai_integration_quality: 1,
-    };
-    for (const [key, maxPts] of Object.entries(aiComponents)) {
-      if (ab[key] !== undefined) {
-        const pts = ab[key]?.points;
+    for (const [component, maxPts] of Object.entries(bonus.components)) {
+      if (block[component] !== undefined) {
+        const pts = block[component]?.points;
         if (typeof pts !== "number" || pts < 0 || pts > maxPts || !Number.isInteger(pts)) {
-          warn(`Invalid AI bonus points for ${key}: ${pts} (must be integer 0-${maxPts})`);
+          warn(`Invalid ${key} points for ${component}: ${pts} (must be integer 0-${maxPts})`, `/${key}/${component}/points`);
         }
       }
     }
-    if (typeof ab.bonus_total !== "number" || ab.bonus_total < 0 || ab.bonus_total > 5) {
-      warn(`Invalid AI bonus_total: ${ab.bonus_total}`);
+    if (typeof block.bonus_total !== "number" || block.bonus_total < 0 || block.bonus_total > bonus.maxTotal) {
+      warn(`Invalid ${key} bonus_total: ${block.bonus_total}`, `/${key}/bonus_total`);
     }
   }
 
   // Scoring summary
   if (!eval_.scoring_summary) {
-    warn("Missing scoring_summary");
+    warn("Missing scoring_summary", "/scoring_summary");
   }
 
   // Qualitative summary
   if (!eval_.qualitative_summary) {
-    warn("Missing qualitative_summary");
+    warn("Missing qualitative_summary", "/qualitative_summary");
   }
 
   return errors;
@@ -294,22 +399,23 @@ function extractGateResults(evals, gateKey) {
     .filter((v) => typeof v === "boolean");
 }
 
-function extractGitBonusComponent(evals, key) {
+function extractBonusComponent(evals, bonusKey, component) {
   return evals
-    .map((e) => e.git_history_bonus?.[key]?.points)
+    .map((e) => e[bonusKey]?.[component]?.points)
     .filter((s) => typeof s === "number");
 }
 
-function extractAiBonusComponent(evals, key) {
+function extractRecommendations(evals, rubric) {
   return evals
-    .map((e) => e.ai_integration_bonus?.[key]?.points)
-    .filter((s) => typeof s === "number");
+    .map((e) => e.qualitative_summary?.recommendation)
+    .filter((r) => typeof r === "string" && rubric.recommendationOrder.includes(r));
 }
 
-function extractRecommendations(evals) {
-  return evals
-    .map((e) => e.qualitative_summary?.recommendation)
-    .filter((r) => typeof r === "string" && RECOMMENDATION_ORDER.includes(r));
+// Trust weight of each eval that has a value, aligned with what the
+// matching extract*() function returns. Evaluators without a trust weight
+// count 1.
+function extractWeights(evals, hasValue, trust) {
+  return evals.filter(hasValue).map((e) => trust?.[e.evaluation_metadata?.evaluator] ?? 1);
 }
 
 function extractStrengths(evals) {
@@ -348,158 +454,493 @@ function extractHiringSignals(evals) {
     .filter((s) => typeof s === "string" && s.length > 0);
 }
 
+// ---------------------------------------------------------------------------
+// Consistency check — recompute every evaluator-reported total from the raw
+// criterion, bonus and gate values and flag arithmetic that doesn't match
+// ---------------------------------------------------------------------------
+
+// Reported scores are typically rounded to 1–2 decimals; anything beyond this
+// is a real miscalculation rather than rounding.
+const CONSISTENCY_TOLERANCE = 0.1;
+
+// Evaluators whose files contain mismatches at least this often are flagged
+// as unreliable calculators in the agreement report.
+const MISCALCULATION_RATE_THRESHOLD = 0.5;
+
+// Recompute one evaluator's scores from its raw criterion and bonus values
+// with the Section 6 formulas. Unrounded, except final_score which is
+// rounded the same way as consensus scores before picking its band.
+// A partial eval (--partial) is scored on what it covers: a category over
+// its scored criteria (null when there are none), the weighted score over
+// the categories it scored.
+function recomputeEvaluationScores(eval_, rubric) {
+  const criterionScores = {};
+  const categoryScores = {};
+  for (const cat of rubric.categories) {
+    const criteria = eval_.rubric_scores?.[cat]?.criteria || {};
+    const scores = rubric.criteriaMap[cat]
+      .map((crit) => (criterionScores[crit] = criteria[crit]?.score ?? null))
+      .filter((v) => typeof v === "number");
+    categoryScores[cat] = scores.length > 0 ? categoryScore(scores, scores.length, rubric.maxCriterionScore) : null;
+  }
+  const weighted = weightedTotal(categoryScores, rubric);
+
+  const bonuses = {};
+  for (const [key, bonus] of Object.entries(rubric.bonuses)) {
+    const block = eval_[key] || {};
+    bonuses[bonus.summaryField] = Math.min(
+      bonus.maxTotal,
+      Object.keys(bonus.components).reduce((s, comp) => s + (block[comp]?.points ?? 0), 0)
+    );
+  }
+
+  const finalScore = Math.round((weighted + Object.values(bonuses).reduce((s, v) => s + v, 0)) * 100) / 100;
+  return {
+    criterion_scores: criterionScores,
+    category_scores: categoryScores,
+    weighted_score: weighted,
+    bonuses,
+    final_score: finalScore,
+    score_band: scoreBand(finalScore, rubric),
+  };
+}
+
+function checkEvaluationConsistency(eval_, rubric) {
+  const mismatches = [];
+  const compare = (field, reported, expected, tolerance = CONSISTENCY_TOLERANCE) => {
+    if (reported === undefined || expected === null) return;
+    const ok = typeof expected === "number"
+      ? typeof reported === "number" && Math.abs(reported - expected) <= tolerance
+      : reported === expected;
+    if (!ok) {
+      mismatches.push({
+        field,
+        reported,
+        expected: typeof expected === "number" ? Math.round(expected * 100) / 100 : expected,
+      });
+    }
+  };
+
+  // --- Category, bonus and final scores from raw values ---
+  const summary = eval_.scoring_summary || {};
+  const recomputed = recomputeEvaluationScores(eval_, rubric);
+  for (const cat of rubric.categories) {
+    const expected = recomputed.category_scores[cat];
+    compare(`/rubric_scores/${cat}/category_score`, eval_.rubric_scores?.[cat]?.category_score, expected);
+    compare(`/scoring_summary/category_scores/${cat}`, summary.category_scores?.[cat], expected);
+  }
+  compare("/scoring_summary/weighted_score", summary.weighted_score, recomputed.weighted_score);
+
+  for (const [key, bonus] of Object.entries(rubric.bonuses)) {
+    const block = eval_[key];
+    if (!block) continue;
+    const total = recomputed.bonuses[bonus.summaryField];
+    compare(`/${key}/bonus_total`, block.bonus_total, total, 0);
+    compare(`/scoring_summary/${bonus.summaryField}`, summary[bonus.summaryField], total, 0);
+  }
+
+  compare("/scoring_summary/final_score", summary.final_score, recomputed.final_score);
+  compare("/scoring_summary/score_band", summary.score_band, recomputed.score_band);
+
+  // --- Gate summary from individual gate results ---
+  const gate = eval_.automated_gate || {};
+  const gateResults = rubric.gateChecks.map((gk) => gate[gk]?.pass).filter((v) => typeof v === "boolean");
+  if (gate.gate_summary) {
+    compare("/automated_gate/gate_summary/total_passed", gate.gate_summary.total_passed,
+      gateResults.filter((v) => v === true).length, 0);
+    compare("/automated_gate/gate_summary/total_failed", gate.gate_summary.total_failed,
+      gateResults.filter((v) => v === false).length, 0);
+    // Only the gate- and score-derived conditions can be recomputed; an
+    // evaluator may legitimately trigger auto-fail for reasons they don't capture.
+    if (recomputeAutoFail(eval_, rubric, recomputed.criterion_scores)) {
+      compare("/automated_gate/gate_summary/automatic_failure_triggered",
+        gate.gate_summary.automatic_failure_triggered, true);
+    }
+  }
+
+  return mismatches;
+}
+
+// Whether one evaluator's own gate results and criterion scores trigger an
+// automatic failure
+function recomputeAutoFail(eval_, rubric, criterionScores) {
+  const gate = eval_.automated_gate || {};
+  const gateAutoFail = Object.keys(rubric.autoFailGateMap).some((gk) => gate[gk]?.pass === false);
+  return gateAutoFail || evaluateAutoFailConditions(
+    rubric,
+    criterionScores,
+    [eval_],
+    [eval_.evaluation_metadata?.evaluator]
+  ).some((c) => c.triggered);
+}
+
+// ---------------------------------------------------------------------------
+// Derived auto-fail conditions — failures that are not a single gate
+// (evaluation-framework.md §6.5 #4: quadrant assignments fundamentally wrong)
+// ---------------------------------------------------------------------------
+
+// Compare one evaluator's reported quadrant_mapping with the reference truth.
+// Returns null when the evaluator reported no mapping for any reference project.
+function checkQuadrantMapping(eval_, referenceTruth) {
+  const reported = eval_.quadrant_mapping;
+  if (!reported || !referenceTruth) return null;
+  const checked = Object.keys(referenceTruth.projects).filter((id) => typeof reported[id] === "string");
+  if (checked.length === 0) return null;
+  const wrong = checked
+    .filter((id) => reported[id] !== referenceTruth.projects[id].quadrant)
+    .map((id) => ({ project: id, reported: reported[id], expected: referenceTruth.projects[id].quadrant }));
+  return { projects_checked: checked.length, wrong, wrong_fraction: Math.round((wrong.length / checked.length) * 100) / 100 };
+}
+
+// `criterionScores` maps criterion → score (a consensus, or one evaluator's
+// own). A condition triggers when any listed criterion is at or below its
+// threshold, or when a majority of the evaluators that reported a quadrant
+// mapping got at least `minWrongFraction` of the reference projects wrong.
+function evaluateAutoFailConditions(rubric, criterionScores, evals, evaluatorIds) {
+  return rubric.autoFailConditions.map((cond) => {
+    const criteria = Object.entries(cond.criteriaAtMost).map(([crit, threshold]) => ({
+      criterion: crit,
+      score: criterionScores[crit] ?? null,
+      at_most: threshold,
+      triggered: typeof criterionScores[crit] === "number" && criterionScores[crit] <= threshold,
+    }));
+
+    let mapping = null;
+    if (cond.quadrantMapping) {
+      const reports = evals
+        .map((e, i) => ({ evaluator: evaluatorIds[i], ...checkQuadrantMapping(e, rubric.referenceTruth) }))
+        .filter((r) => r.projects_checked > 0)
+        .map((r) => ({ ...r, fundamentally_wrong: r.wrong_fraction >= cond.quadrantMapping.minWrongFraction }));
+      const votes = reports.filter((r) => r.fundamentally_wrong).length;
+      mapping = {
+        min_wrong_fraction: cond.quadrantMapping.minWrongFraction,
+        reporting_evaluators: reports.length,
+        fundamentally_wrong_votes: votes,
+        evaluators: reports,
+        triggered: reports.length > 0 && votes > reports.length / 2,
+      };
+    }
+
+    return {
+      key: cond.key,
+      reason: cond.reason,
+      triggered: criteria.some((c) => c.triggered) || Boolean(mapping?.triggered),
+      criteria,
+      quadrant_mapping: mapping,
+    };
+  });
+}
+
 // ---------------------------------------------------------------------------
 // Consensus builder — takes N evals for one candidate, returns consensus
 // ---------------------------------------------------------------------------
 
-function buildConsensus(candidateId, evals) {
+// `calibration` (optional) maps evaluator → category → estimated bias; when
+// given, each evaluator's criterion scores are shifted by its bias (clamped to
+// the rubric scale) before the median is taken. Agreement statistics are
+// always computed on the raw scores.
+// `identities` (optional) is the registry identity of each eval, in order;
+// it is recorded as-is so reports can show aliases, kind and model family.
+// `strategies` selects the aggregation rule per data type (see strategies.js;
+// default: the rubric's `aggregation`), `trust` maps evaluator → weight for
+// the weighted strategies.
+// `adjudication` (optional) is a resolveAdjudications() result; its active
+// decisions override the computed criterion scores and gate results, and
+// everything derived from them (category scores, final score, auto-fail),
+// and the consensus recommendation.
+// `gateRun` (optional) is a loadGateRun() result; it does not vote, but each
+// evaluator's gate answers and the gate consensus are compared with it.
+// `repo` (optional) is an indexRepository() result for the candidate's
+// checkout; every evaluator's file:line citations are verified against it.
+// `lintConfig` (optional) is a loadLintConfig() result; each eval's evidence
+// is linted with it.
+// `evals` are parsed, validated eval files for one candidate, all under
+// `rubric`. Returns the consensus-C-XXX.json object.
+export function buildConsensus(candidateId, evals, rubric, {
+  calibration = null,
+  identities = null,
+  strategies = rubric.aggregation,
+  trust = null,
+  adjudication = null,
+  gateRun = null,
+  repo = null,
+  lintConfig = null,
+} = {}) {
   const evaluatorIds = evals.map((e) => e.evaluation_metadata?.evaluator || "unknown");
+  const criterionRule = strategyFn(strategies, "criteria");
+  const gateRule = strategyFn(strategies, "gates");
+  const bonusRule = strategyFn(strategies, "bonuses");
+  const recommendationRule = strategyFn(strategies, "recommendations");
   const divergences = []; // criteria where std dev > 1.0
 
-  // --- Gate consensus: majority pass (>50% of evaluators) ---
+  // --- Arithmetic consistency of each evaluator's self-reported totals ---
+  const evaluatorConsistency = evals.map((e, i) => {
+    const mismatches = checkEvaluationConsistency(e, rubric);
+    return {
+      evaluator: evaluatorIds[i],
+      consistent: mismatches.length === 0,
+      mismatch_count: mismatches.length,
+      mismatches,
+    };
+  });
+
+  // --- Each evaluator's own scores, recomputed from raw values ---
+  // Carried into the consensus file so cross-candidate analyses (reliability,
+  // calibration) can attribute scores to evaluators.
+  const evaluatorScores = evals.map((e, i) => {
+    const r = recomputeEvaluationScores(e, rubric);
+    const round2 = (v) => Math.round(v * 100) / 100;
+    return {
+      evaluator: evaluatorIds[i],
+      criterion_scores: r.criterion_scores,
+      category_scores: Object.fromEntries(
+        Object.entries(r.category_scores).map(([cat, v]) => [cat, v === null ? null : round2(v)])
+      ),
+      weighted_score: round2(r.weighted_score),
+      ...r.bonuses,
+      final_score: r.final_score,
+      score_band: r.score_band,
+      recommendation: e.qualitative_summary?.recommendation ?? null,
+    };
+  });
+
+  // --- Gate consensus: majority pass (>50% of evaluators) by default ---
   // Unanimous is too conservative for AI evaluators — transient environment
   // issues (npm timeouts, port conflicts) can produce false negatives.
   // Split results are flagged for human review via the agreement field.
   const gateConsensus = {};
-  for (const gk of GATE_CHECKS) {
+  for (const gk of rubric.gateChecks) {
     const results = extractGateResults(evals, gk);
     const passCount = results.filter((r) => r === true).length;
     const failCount = results.filter((r) => r === false).length;
-    const majorityPass = results.length > 0 && passCount > failCount;
+    const consensusPass = results.length > 0 && gateRule(passCount, failCount);
     const allAgree = results.length > 0 && (passCount === 0 || failCount === 0);
     gateConsensus[gk] = {
-      consensus_pass: majorityPass,
+      consensus_pass: consensusPass,
       evaluator_results: results,
       pass_count: passCount,
       fail_count: failCount,
       agreement: results.length > 0 ? (allAgree ? "unanimous" : "split") : "no_data",
     };
-  }
-
-  // Recompute automatic failure deterministically from consensus gate results
-  // (not inherited from individual evaluator opinions)
-  const AUTO_FAIL_GATE_MAP = {
-    G3_build_succeeds: "Project does not build (npm run build fails)",
-    G4_matrix_route_exists: "Matrix route (/matrix) does not exist or renders nothing",
-    G9_chart_renders_data: "No scatter plot or chart renders data",
-  };
-  const autoFailReasons = [];
-  for (const [gk, reason] of Object.entries(AUTO_FAIL_GATE_MAP)) {
-    const gc = gateConsensus[gk];
-    if (gc && gc.agreement !== "no_data" && !gc.consensus_pass) {
-      autoFailReasons.push(reason);
+    const adj = adjudication?.active.gates[gk];
+    if (adj) {
+      gateConsensus[gk].computed_consensus_pass = consensusPass;
+      gateConsensus[gk].consensus_pass = adj.value;
+      gateConsensus[gk].adjudicated = adjudicationRecord(adj, consensusPass);
     }
   }
-  const autoFailTriggered = autoFailReasons.length > 0;
 
-  // --- Rubric consensus: median per criterion ---
+  // --- Rubric consensus: median per criterion by default ---
+  // Each criterion is aggregated over the evaluators that scored it; with
+  // partial evals (--partial) that can be fewer than the candidate's
+  // evaluators, or none.
   const rubricConsensus = {};
-  for (const cat of CATEGORIES) {
+  for (const cat of rubric.categories) {
     const criteriaConsensus = {};
-    for (const crit of CRITERIA_MAP[cat]) {
+    for (const crit of rubric.criteriaMap[cat]) {
+      const scored = (e) => typeof e.rubric_scores?.[cat]?.criteria?.[crit]?.score === "number";
       const scores = extractCriterionScores(evals, cat, crit);
-      const med = median(scores);
-      const sd = stddev(scores);
-      const mn = mean(scores);
-
-      if (sd > 1.0) {
-        divergences.push({
-          criterion: crit,
-          category: cat,
-          scores,
-          evaluators: evaluatorIds,
+      const weights = extractWeights(evals, scored, trust);
+      const raters = evaluatorIds.filter((_, i) => scored(evals[i]));
+      if (scores.length === 0) {
+        criteriaConsensus[crit] = {
+          consensus_score: null,
+          mean: null,
+          std_dev: null,
+          individual_scores: [],
+          agreement: "no_data",
+          raters: 0,
+          confidence: confidence(0),
+        };
+      } else {
+        const med = Math.round(criterionRule(scores, weights) * 100) / 100;
+        const sd = stddev(scores);
+        const mn = mean(scores);
+
+        if (sd > 1.0) {
+          divergences.push({
+            criterion: crit,
+            category: cat,
+            scores,
+            evaluators: raters,
+            std_dev: Math.round(sd * 100) / 100,
+            note: "High disagreement — flag for human review",
+            adjudicated: Boolean(adjudication?.active.criteria[crit]),
+          });
+        }
+
+        criteriaConsensus[crit] = {
+          consensus_score: med,
+          mean: Math.round(mn * 100) / 100,
           std_dev: Math.round(sd * 100) / 100,
-          note: "High disagreement — flag for human review",
-        });
+          individual_scores: scores,
+          agreement: sd <= 0.5 ? "strong" : sd <= 1.0 ? "moderate" : "weak",
+          raters: scores.length,
+          confidence: confidence(scores.length),
+        };
       }
 
-      criteriaConsensus[crit] = {
-        consensus_score: med,
-        mean: Math.round(mn * 100) / 100,
-        std_dev: Math.round(sd * 100) / 100,
-        individual_scores: scores,
-        agreement: sd <= 0.5 ? "strong" : sd <= 1.0 ? "moderate" : "weak",
-      };
+      if (calibration && scores.length > 0) {
+        const adjusted = evals
+          .map((e, i) => {
+            const s = e.rubric_scores?.[cat]?.criteria?.[crit]?.score;
+            if (typeof s !== "number") return null;
+            const bias = calibration[evaluatorIds[i]]?.[cat] ?? 0;
+            return Math.min(rubric.maxCriterionScore, Math.max(0, s - bias));
+          })
+          .filter((v) => v !== null);
+        criteriaConsensus[crit].raw_consensus_score = criteriaConsensus[crit].consensus_score;
+        criteriaConsensus[crit].consensus_score = Math.round(criterionRule(adjusted, weights) * 100) / 100;
+        criteriaConsensus[crit].adjusted_scores = adjusted.map((v) => Math.round(v * 100) / 100);
+      }
+
+      const adj = adjudication?.active.criteria[crit];
+      if (adj) {
+        const computed = criteriaConsensus[crit].consensus_score;
+        criteriaConsensus[crit].computed_consensus_score = computed;
+        criteriaConsensus[crit].consensus_score = adj.value;
+        criteriaConsensus[crit].adjudicated = adjudicationRecord(adj, computed);
+      }
     }
 
-    const consensusScores = CRITERIA_MAP[cat].map(
-      (crit) => criteriaConsensus[crit].consensus_score
-    );
-    const catScore = categoryScore(consensusScores, CRITERIA_MAP[cat].length);
+    // Over the criteria that have a consensus score; null when none has.
+    // A category is as confident as its least-rated criterion.
+    const consensusScores = rubric.criteriaMap[cat]
+      .map((crit) => criteriaConsensus[crit].consensus_score)
+      .filter((v) => v !== null);
+    const catScore = consensusScores.length > 0
+      ? categoryScore(consensusScores, consensusScores.length, rubric.maxCriterionScore)
+      : null;
+    const catRaters = Math.min(...rubric.criteriaMap[cat].map((crit) => criteriaConsensus[crit].raters));
 
     rubricConsensus[cat] = {
-      weight: WEIGHTS[cat],
+      weight: rubric.weights[cat],
       criteria: criteriaConsensus,
-      category_score: Math.round(catScore * 100) / 100,
+      category_score: catScore === null ? null : Math.round(catScore * 100) / 100,
+      raters: catRaters,
+      confidence: confidence(catRaters),
     };
   }
 
-  // --- Git bonus: take MAX across evaluators ---
-  const h1Scores = extractGitBonusComponent(evals, "H1_commit_cadence");
-  const h2Scores = extractGitBonusComponent(evals, "H2_message_quality");
-  const h3Scores = extractGitBonusComponent(evals, "H3_logical_progression");
-  const gitBonus = {
-    H1_commit_cadence: { max: Math.max(0, ...h1Scores), individual_scores: h1Scores },
-    H2_message_quality: { max: Math.max(0, ...h2Scores), individual_scores: h2Scores },
-    H3_logical_progression: { max: Math.max(0, ...h3Scores), individual_scores: h3Scores },
-    bonus_total: Math.min(
-      5,
-      Math.max(0, ...h1Scores) + Math.max(0, ...h2Scores) + Math.max(0, ...h3Scores)
-    ),
-  };
+  // Recompute automatic failure deterministically from consensus gate results
+  // and consensus criterion scores (not inherited from individual evaluator
+  // opinions)
+  const autoFailReasons = [];
+  for (const [gk, reason] of Object.entries(rubric.autoFailGateMap)) {
+    const gc = gateConsensus[gk];
+    if (gc && gc.agreement !== "no_data" && !gc.consensus_pass) {
+      autoFailReasons.push(reason);
+    }
+  }
+  const consensusCriterionScores = Object.fromEntries(
+    Object.values(rubricConsensus).flatMap((block) =>
+      Object.entries(block.criteria).map(([crit, cc]) => [crit, cc.consensus_score])
+    )
+  );
+  const failureConditions = evaluateAutoFailConditions(rubric, consensusCriterionScores, evals, evaluatorIds);
+  for (const fc of failureConditions.filter((c) => c.triggered)) {
+    autoFailReasons.push(fc.reason);
+  }
+  const autoFailTriggered = autoFailReasons.length > 0;
 
-  // --- AI integration bonus: take MAX across evaluators (backward-compatible) ---
-  const i1Scores = extractAiBonusComponent(evals, "I1_ai_vision_planning");
-  const i2Scores = extractAiBonusComponent(evals, "I2_ai_implementation");
-  const i3Scores = extractAiBonusComponent(evals, "I3_ai_integration_quality");
-  const aiBonus = {
-    I1_ai_vision_planning: { max: Math.max(0, ...i1Scores.length ? i1Scores : [0]), individual_scores: i1Scores },
-    I2_ai_implementation: { max: Math.max(0, ...i2Scores.length ? i2Scores : [0]), individual_scores: i2Scores },
-    I3_ai_integration_quality: { max: Math.max(0, ...i3Scores.length ? i3Scores : [0]), individual_scores: i3Scores },
-    bonus_total: Math.min(
-      5,
-      Math.max(0, ...i1Scores.length ? i1Scores : [0]) +
-      Math.max(0, ...i2Scores.length ? i2Scores : [0]) +
-      Math.max(0, ...i3Scores.length ? i3Scores : [0])
-    ),
-  };
+  // --- Bonuses (git history, AI integration): MAX across evaluators by default ---
+  // A component no evaluator scored counts as 0. `max` is always the highest
+  // points awarded; `consensus_points` is what the bonus strategy produced.
+  const bonusConsensus = {};
+  const bonusSummary = {};
+  for (const [key, bonus] of Object.entries(rubric.bonuses)) {
+    const block = {};
+    let total = 0;
+    for (const comp of Object.keys(bonus.components)) {
+      const scores = extractBonusComponent(evals, key, comp);
+      const weights = extractWeights(evals, (e) => typeof e[key]?.[comp]?.points === "number", trust);
+      const points = scores.length > 0 ? Math.round(bonusRule(scores, weights) * 100) / 100 : 0;
+      block[comp] = { max: Math.max(0, ...scores), consensus_points: points, individual_scores: scores };
+      total += points;
+    }
+    block.bonus_total = Math.min(bonus.maxTotal, total);
+    bonusConsensus[key] = block;
+    bonusSummary[bonus.summaryField] = block.bonus_total;
+  }
+  const bonusTotal = Object.values(bonusSummary).reduce((s, v) => s + v, 0);
 
   // --- Final score ---
-  let weightedScore = 0;
   const categoryScores = {};
-  for (const cat of CATEGORIES) {
+  for (const cat of rubric.categories) {
     categoryScores[cat] = rubricConsensus[cat].category_score;
-    weightedScore += rubricConsensus[cat].category_score * WEIGHTS[cat];
   }
-  weightedScore = Math.round(weightedScore * 100) / 100;
-  const finalScore = Math.round((weightedScore + gitBonus.bonus_total + aiBonus.bonus_total) * 100) / 100;
-
-  // --- Recommendation consensus: median by ordinal position ---
-  const recs = extractRecommendations(evals);
-  const recIndices = recs.map((r) => RECOMMENDATION_ORDER.indexOf(r));
-  const medianRecIndex = Math.round(median(recIndices));
-  const consensusRecommendation = RECOMMENDATION_ORDER[medianRecIndex] || "No consensus";
+  const weightedScore = Math.round(weightedTotal(categoryScores, rubric) * 100) / 100;
+  const finalScore = Math.round((weightedScore + bonusTotal) * 100) / 100;
+
+  // --- Recommendation consensus: median by ordinal position by default ---
+  const recs = extractRecommendations(evals, rubric);
+  const recIndices = recs.map((r) => rubric.recommendationOrder.indexOf(r));
+  const recWeights = extractWeights(
+    evals,
+    (e) => rubric.recommendationOrder.includes(e.qualitative_summary?.recommendation),
+    trust
+  );
+  const computedRecommendation = recIndices.length > 0
+    ? rubric.recommendationOrder[recommendationRule(recIndices, recWeights)] || "No consensus"
+    : "No consensus";
+  const recAdj = adjudication?.active.recommendations[RECOMMENDATION_ITEM];
+  const consensusRecommendation = recAdj ? recAdj.value : computedRecommendation;
+
+  // --- Recommendation / score coherence (coherence.js) ---
+  // Each evaluator's recommendation against its own recomputed band and
+  // auto-fail (or the auto-fail it reported), then the consensus
+  const consensusCoherence = checkCoherence({
+    score_band: scoreBand(finalScore, rubric),
+    automatic_failure: autoFailTriggered,
+    recommendation: consensusRecommendation,
+  }, rubric);
+  const recommendationCoherence = consensusCoherence && {
+    consensus: { ...consensusCoherence, adjudicated: Boolean(recAdj) },
+    evaluators: evals.map((e, i) => ({
+      evaluator: evaluatorIds[i],
+      ...checkCoherence({
+        score_band: evaluatorScores[i].score_band,
+        automatic_failure: e.automated_gate?.gate_summary?.automatic_failure_triggered === true ||
+          recomputeAutoFail(e, rubric, evaluatorScores[i].criterion_scores),
+        recommendation: evaluatorScores[i].recommendation,
+      }, rubric),
+    })),
+  };
+  if (recommendationCoherence) {
+    recommendationCoherence.incoherent_evaluators = recommendationCoherence.evaluators
+      .filter((e) => e.coherent === false)
+      .map((e) => e.evaluator);
+  }
 
   return {
     candidate_id: candidateId,
+    framework_version: rubric.version,
+    consensus_mode: calibration ? "calibrated" : "raw",
+    aggregation_strategies: describeStrategies(strategies),
+    category_weights: { source: rubric.weightsSource ?? "rubric", weights: rubric.weights },
     evaluator_count: evals.length,
     evaluators: evaluatorIds,
-    confidence: evals.length >= 3 ? "full" : "provisional",
+    ...(identities ? {
+      evaluator_identities: identities,
+      input_files: Object.fromEntries(identities.map((id) => [id.file, id.sha256])),
+    } : {}),
+    confidence: rubric.categories.every((cat) => rubricConsensus[cat].confidence === "full") ? "full" : "provisional",
+    rater_coverage: raterCoverage(rubricConsensus),
     automated_gate: {
       checks: gateConsensus,
       automatic_failure: autoFailTriggered,
       failure_reasons: autoFailReasons,
+      failure_conditions: failureConditions,
+      reference: gateRun?.run ? compareWithGateRun(gateRun, evals, evaluatorIds, gateConsensus, rubric) : null,
     },
     rubric_consensus: rubricConsensus,
-    git_history_bonus: gitBonus,
-    ai_integration_bonus: aiBonus,
+    ...bonusConsensus,
     scoring_summary: {
       category_scores: categoryScores,
       weighted_score: weightedScore,
-      git_bonus: gitBonus.bonus_total,
-      ai_bonus: aiBonus.bonus_total,
+      ...bonusSummary,
       final_score: finalScore,
-      score_band: scoreBand(finalScore),
+      score_band: scoreBand(finalScore, rubric),
       automatic_failure: autoFailTriggered,
       automatic_failure_reasons: autoFailReasons,
     },
@@ -510,9 +951,14 @@ function buildConsensus(candidateId, evals) {
       hiring_signals: extractHiringSignals(evals),
       individual_recommendations: recs,
       consensus_recommendation: consensusRecommendation,
+      ...(recAdj ? {
+        computed_consensus_recommendation: computedRecommendation,
+        adjudicated: adjudicationRecord(recAdj, computedRecommendation),
+      } : {}),
     },
+    recommendation_coherence: recommendationCoherence,
     inter_evaluator_analysis: {
-      total_criteria_evaluated: Object.values(CRITERIA_MAP).flat().length,
+      total_criteria_evaluated: Object.values(rubric.criteriaMap).flat().length,
       high_divergence_criteria: divergences,
       divergence_count: divergences.length,
       overall_agreement: divergences.length === 0
@@ -521,6 +967,64 @@ function buildConsensus(candidateId, evals) {
           ? "moderate"
           : "weak",
     },
+    review: reviewStatus(gateConsensus, divergences, recommendationCoherence, adjudication),
+    evaluator_consistency: evaluatorConsistency,
+    evidence_lint: lintConfig
+      ? evals.map((e, i) => ({ evaluator: evaluatorIds[i], ...lintEvaluation(e, rubric, lintConfig) }))
+      : null,
+    citation_check: repo ? {
+      commit: repo.commit,
+      evaluators: evals.map((e, i) => ({ evaluator: evaluatorIds[i], ...verifyCitations(e, repo) })),
+    } : null,
+    evaluator_scores: evaluatorScores,
+  };
+}
+
+// How many criteria reach full confidence, are provisional, or have no
+// rater at all
+function raterCoverage(rubricConsensus) {
+  const criteria = Object.values(rubricConsensus).flatMap((block) => Object.values(block.criteria));
+  return {
+    min_evaluators: MIN_EVALUATORS,
+    criteria: criteria.length,
+    full: criteria.filter((c) => c.confidence === "full").length,
+    provisional: criteria.filter((c) => c.confidence === "provisional" && c.raters > 0).length,
+    unrated: criteria.filter((c) => c.raters === 0).length,
+  };
+}
+
+// Items a human still has to decide — divergent criteria, split gates and an
+// incoherent consensus recommendation without an applicable adjudication —
+// plus what happened to each decision.
+function reviewStatus(gateConsensus, divergences, coherence, adjudication) {
+  const pending = [
+    ...divergences
+      .filter((d) => !d.adjudicated)
+      .map((d) => ({ type: "criterion", item: d.criterion, reason: `High disagreement (std dev ${d.std_dev})` })),
+    ...Object.entries(gateConsensus)
+      .filter(([, g]) => g.agreement === "split" && !g.adjudicated)
+      .map(([gk, g]) => ({ type: "gate", item: gk, reason: `Split gate (${g.pass_count} pass, ${g.fail_count} fail)` })),
+    ...(coherence?.consensus.coherent === false && !coherence.consensus.adjudicated
+      ? [{
+        type: "recommendation",
+        item: RECOMMENDATION_ITEM,
+        reason: `Incoherent recommendation: ${coherence.consensus.violations.map((v) => v.message).join("; ")}`,
+      }]
+      : []),
+  ];
+  return {
+    status: pending.length > 0 ? "needs_review" : "complete",
+    pending,
+    adjudication_file: adjudication?.file ?? null,
+    applied: (adjudication?.applied ?? []).map((a) => ({
+      type: a.type, item: a.item, value: a.value, reviewer: a.reviewer, decided_at: a.decided_at,
+    })),
+    stale: (adjudication?.stale ?? []).map((a) => ({
+      type: a.type, item: a.item, value: a.value, reviewer: a.reviewer, decided_at: a.decided_at,
+      changed_files: a.changed_files,
+    })),
+    superseded: (adjudication?.superseded ?? []).length,
+    invalid: (adjudication?.invalid ?? []).map((a) => a.message),
   };
 }
 
@@ -528,98 +1032,433 @@ function buildConsensus(candidateId, evals) {
 // Comparison builder — takes all consensus results, ranks candidates
 // ---------------------------------------------------------------------------
 
-function buildComparison(consensusResults) {
-  const ranked = [...consensusResults].sort(
-    (a, b) => b.scoring_summary.final_score - a.scoring_summary.final_score
-  );
-
-  return {
-    generated_at: new Date().toISOString(),
-    candidate_count: ranked.length,
-    ranking: ranked.map((c, i) => ({
-      rank: i + 1,
+// `consensusResults` are buildConsensus() results, one per candidate.
+// `intervals` maps candidate id → finalScoreInterval() result. A candidate
+// without one gets a zero-width interval, so it only shares a rank on an
+// exact score tie. Returns the comparison.json object.
+export function buildComparison(consensusResults, { intervals = {}, generatedAt = new Date().toISOString() } = {}) {
+  const entries = consensusResults.map((c) => {
+    const score = c.scoring_summary.final_score;
+    return {
       candidate_id: c.candidate_id,
-      final_score: c.scoring_summary.final_score,
-      score_band: c.scoring_summary.score_band,
-      weighted_score: c.scoring_summary.weighted_score,
-      git_bonus: c.scoring_summary.git_bonus,
-      ai_bonus: c.scoring_summary.ai_bonus,
-      automatic_failure: c.scoring_summary.automatic_failure,
+      final_score: score,
+      score_interval: intervals[c.candidate_id] ??
+        { lower: score, upper: score, method: "none", level: null, iterations: null },
       category_scores: c.scoring_summary.category_scores,
-      consensus_recommendation: c.qualitative_consensus.consensus_recommendation,
-      evaluator_count: c.evaluator_count,
       evaluator_agreement: c.inter_evaluator_analysis.overall_agreement,
+      divergence_count: c.inter_evaluator_analysis.divergence_count,
+    };
+  });
+  const byId = Object.fromEntries(consensusResults.map((c) => [c.candidate_id, c]));
+  const needingReview = consensusResults.filter((c) => c.review.status !== "complete").map((c) => c.candidate_id);
+
+  return {
+    generated_at: generatedAt,
+    candidate_count: entries.length,
+    // The report is final once no candidate has a pending review item
+    report_status: {
+      final: needingReview.length === 0,
+      candidates_needing_review: needingReview,
+    },
+    ranking_method: {
+      order: "final_score descending, then tie_break_chain",
+      tie_break_chain: TIE_BREAK_CHAIN.map((tb) => ({ key: tb.key, description: tb.description })),
+      shared_ranks: "A candidate whose score interval overlaps the interval of every member of the " +
+        "current group joins it and shares the rank of its anchor (highest-scoring member); overlap does not chain",
+    },
+    ranking: rankCandidates(entries).map((r) => ({
+      rank: r.rank,
+      position: r.position,
+      tie_group: r.tie_group,
+      indistinguishable_from: r.indistinguishable_from,
+      ordered_by: r.ordered_by,
+      ...comparisonEntry(byId[r.candidate_id]),
+      score_interval: r.score_interval,
     })),
   };
 }
 
-function buildComparisonMarkdown(comparison) {
+function comparisonEntry(c) {
+  return {
+    candidate_id: c.candidate_id,
+    framework_version: c.framework_version,
+    final_score: c.scoring_summary.final_score,
+    score_band: c.scoring_summary.score_band,
+    weighted_score: c.scoring_summary.weighted_score,
+    git_bonus: c.scoring_summary.git_bonus ?? 0,
+    ai_bonus: c.scoring_summary.ai_bonus ?? 0,
+    automatic_failure: c.scoring_summary.automatic_failure,
+    automatic_failure_reasons: c.scoring_summary.automatic_failure_reasons,
+    category_scores: c.scoring_summary.category_scores,
+    consensus_recommendation: c.qualitative_consensus.consensus_recommendation,
+    evaluator_count: c.evaluator_count,
+    confidence: c.confidence,
+    evaluator_agreement: c.inter_evaluator_analysis.overall_agreement,
+    divergence_count: c.inter_evaluator_analysis.divergence_count,
+    review_status: c.review.status,
+    pending_review_items: c.review.pending.map((p) => p.item),
+    adjudications_applied: c.review.applied.length,
+    stale_adjudications: c.review.stale.length,
+    gate_reference_disagreements: c.automated_gate.reference?.consensus_disagreements ?? null,
+    recommendation_coherence: c.recommendation_coherence ? {
+      coherent: c.recommendation_coherence.consensus.coherent,
+      allowed: c.recommendation_coherence.consensus.allowed,
+      violations: c.recommendation_coherence.consensus.violations.map((v) => v.message),
+      adjudicated: c.recommendation_coherence.consensus.adjudicated,
+      incoherent_evaluators: c.recommendation_coherence.evaluators
+        .filter((e) => e.coherent === false)
+        .map((e) => ({
+          evaluator: e.evaluator,
+          score_band: e.score_band,
+          automatic_failure: e.automatic_failure,
+          recommendation: e.recommendation,
+        })),
+    } : null,
+  };
+}
+
+// `comparison` is a buildComparison() result; the reports are the matching
+// outputs of the same run. `rubric` supplies the category columns, weights,
+// bands and bonuses (default: the default version in rubrics.json); its
+// weights are the ones in use, --weights included. Returns the
+// comparison.md text.
+export function buildComparisonMarkdown(comparison, {
+  calibrationReport = null,
+  sensitivity = null,
+  strategyComparison = null,
+  weightSensitivity = null,
+  rubric = null,
+} = {}) {
+  if (!rubric) {
+    const rubrics = loadRubrics();
+    rubric = rubrics.versions[rubrics.defaultVersion];
+  }
+  const letter = (cat) => cat.split("_")[0];
+  const pct = (x) => `${Math.round(x * 1000) / 10}%`;
+  const bonuses = Object.entries(rubric.bonuses);
   const lines = [];
   lines.push("# Candidate Comparison Report");
   lines.push("");
   lines.push(`Generated: ${comparison.generated_at}`);
   lines.push(`Candidates evaluated: ${comparison.candidate_count}`);
+  lines.push(
+    comparison.report_status.final
+      ? "Status: final"
+      : `Status: **draft** — ${comparison.report_status.candidates_needing_review.join(", ")} ` +
+        "still need a reviewer's decision (see Human Review)"
+  );
+  if (comparison.blind_review) {
+    lines.push(
+      `Blind review: identifying details redacted; un-blinding mapping sealed (sha256 ${comparison.blind_review.mapping_sha256})`
+    );
+  }
   lines.push("");
 
   // Summary table
   lines.push("## Rankings");
   lines.push("");
-  lines.push(
-    "| Rank | Candidate | Score | Band | Matrix | Tech | UI/UX | PRD | Code | Bonus | Decision | AI | Rec | Agreement |"
-  );
-  lines.push(
-    "|------|-----------|-------|------|--------|------|-------|-----|------|-------|----------|----|-----|-----------|"
-  );
+  lines.push("| Rank | Candidate | Score | Interval | Band | Bonus | Rec | Confidence | Agreement |");
+  lines.push("|------|-----------|-------|----------|------|-------|-----|------------|-----------|");
 
   for (const r of comparison.ranking) {
-    const cs = r.category_scores;
     const fail = r.automatic_failure ? " **FAIL**" : "";
+    const shared = r.indistinguishable_from.length > 0 ? "=" : "";
+    const bonus = bonuses.map(([, b]) => `${b.summaryField.replace(/_bonus$/, "")} +${r[b.summaryField] ?? 0}`);
     lines.push(
-      `| ${r.rank} ` +
+      `| ${r.rank}${shared} ` +
       `| ${r.candidate_id}${fail} ` +
       `| ${r.final_score} ` +
+      `| ${r.score_interval.lower}–${r.score_interval.upper} ` +
       `| ${r.score_band} ` +
-      `| ${cs.A_strategy_matrix} ` +
-      `| ${cs.B_technical_foundation} ` +
-      `| ${cs.C_ui_ux_quality} ` +
-      `| ${cs.D_prd_compliance} ` +
-      `| ${cs.E_code_quality} ` +
-      `| ${cs.F_bonus_features} ` +
-      `| ${cs.G_decision_making} ` +
-      `| ${r.ai_bonus} ` +
+      `| ${bonus.join(", ") || "—"} ` +
       `| ${r.consensus_recommendation} ` +
+      `| ${r.confidence} ` +
       `| ${r.evaluator_agreement} |`
     );
   }
+  lines.push("");
+  lines.push(
+    "Interval: 95% bootstrap over evaluators (3+ evaluators) or the leave-one-evaluator-out range (2 evaluators). " +
+    "`=` marks a shared rank."
+  );
+
+  lines.push("");
+  lines.push("### Category Scores");
+  lines.push("");
+  lines.push(`| Candidate | ${rubric.categories.map(letter).join(" | ")} | Weighted |`);
+  lines.push(`|-----------|${rubric.categories.map(() => "---").join("|")}|----------|`);
+  for (const r of comparison.ranking) {
+    const cs = r.category_scores;
+    lines.push(`| ${r.candidate_id} | ${rubric.categories.map((cat) => cs[cat] ?? "—").join(" | ")} | ${r.weighted_score} |`);
+  }
+  lines.push("");
+  lines.push("Columns are the categories under Category Weights; `—` marks a category nobody scored (`--partial`).");
+
+  const failures = comparison.ranking.filter((r) => r.automatic_failure);
+  if (failures.length > 0) {
+    lines.push("");
+    lines.push("### Automatic Failures");
+    lines.push("");
+    for (const r of failures) {
+      lines.push(`- **${r.candidate_id}:** ${r.automatic_failure_reasons.join("; ")}`);
+    }
+  }
+
+  const groups = [...new Set(comparison.ranking.map((r) => r.tie_group))]
+    .map((g) => comparison.ranking.filter((r) => r.tie_group === g))
+    .filter((members) => members.length > 1);
+  if (groups.length > 0) {
+    lines.push("");
+    lines.push("### Statistically Indistinguishable Groups");
+    lines.push("");
+    lines.push(
+      "Every member's interval overlaps every other member's, so the data does not support ordering them; " +
+      "they share the rank of the group's anchor (its highest-scoring member). Overlap does not chain, so a " +
+      "separate rank below a group does not make a candidate distinguishable from each member of it: it only " +
+      "means its interval missed at least one of them. Order within a group is by score, then the tie-break chain."
+    );
+    lines.push("");
+    for (const members of groups) {
+      const list = members.map((r) => `${r.candidate_id} (${r.final_score})`).join(", ");
+      lines.push(`- **Rank ${members[0].rank}:** ${list}`);
+    }
+  }
+
+  const tieBroken = comparison.ranking.filter((r) => r.ordered_by && r.ordered_by !== "final_score");
+  lines.push("");
+  lines.push("### Tie-Break Chain");
+  lines.push("");
+  lines.push("Equal final scores are ordered by:");
+  lines.push("");
+  comparison.ranking_method.tie_break_chain.forEach((tb, i) => lines.push(`${i + 1}. ${tb.description}`));
+  for (const r of tieBroken) {
+    const above = comparison.ranking[r.position - 2];
+    lines.push("");
+    lines.push(`${above.candidate_id} is listed above ${r.candidate_id} (both ${r.final_score}) by \`${r.ordered_by}\`.`);
+  }
+
+  const reviewRows = comparison.ranking.filter(
+    (r) => r.pending_review_items.length > 0 || r.stale_adjudications > 0 || r.adjudications_applied > 0
+  );
+  if (reviewRows.length > 0) {
+    lines.push("");
+    lines.push("## Human Review");
+    lines.push("");
+    lines.push(
+      "Divergent criteria and split gates need a reviewer's decision in `adjudication-C-XXX.json`. " +
+      "Stale adjudications were made against eval files that have since changed and are not applied."
+    );
+    lines.push("");
+    lines.push("| Candidate | Status | Still Needs Review | Adjudicated | Stale |");
+    lines.push("|-----------|--------|--------------------|-------------|-------|");
+    for (const r of reviewRows) {
+      lines.push(
+        `| ${r.candidate_id} | ${r.review_status === "complete" ? "complete" : "**needs review**"} ` +
+        `| ${r.pending_review_items.join(", ") || "—"} | ${r.adjudications_applied} | ${r.stale_adjudications} |`
+      );
+    }
+  }
+
+  const coherenceRows = comparison.ranking.filter(
+    (r) => r.recommendation_coherence &&
+      (r.recommendation_coherence.coherent === false || r.recommendation_coherence.incoherent_evaluators.length > 0)
+  );
+  if (coherenceRows.length > 0) {
+    lines.push("");
+    lines.push("## Recommendation Coherence");
+    lines.push("");
+    lines.push(
+      "Recommendations outside the range the rubric allows for their score band or automatic failure " +
+      "(`recommendation_coherence` in `rubrics.json`). An incoherent consensus needs a reviewer's " +
+      "`recommendation` decision in `adjudication-C-XXX.json`, confirming or changing it, before the report is final."
+    );
+    lines.push("");
+    lines.push("| Candidate | Band | Consensus Rec | Allowed | Consensus | Incoherent Evaluators |");
+    lines.push("|-----------|------|---------------|---------|-----------|-----------------------|");
+    for (const r of coherenceRows) {
+      const rc = r.recommendation_coherence;
+      const status = rc.coherent !== false ? "coherent" : rc.adjudicated ? "incoherent, adjudicated" : "**incoherent**";
+      const evaluators = rc.incoherent_evaluators
+        .map((e) => `${e.evaluator} (${e.score_band}${e.automatic_failure ? ", auto-fail" : ""}: ${e.recommendation})`)
+        .join(", ");
+      lines.push(
+        `| ${r.candidate_id}${r.automatic_failure ? " **FAIL**" : ""} | ${r.score_band} | ${r.consensus_recommendation} ` +
+        `| ${rc.allowed.join(", ") || "—"} | ${status} | ${evaluators || "—"} |`
+      );
+    }
+  }
+
+  const flagged = sensitivity ? sensitivity.candidates.filter((c) => c.depends_on_single_evaluator) : [];
+  if (flagged.length > 0) {
+    lines.push("");
+    lines.push("## Needs a Human Tie-Breaker");
+    lines.push("");
+    lines.push(
+      "Removing a single evaluator changes the outcome for these candidates (see `sensitivity-report.json`). " +
+      "Their band or hiring decision rests on one opinion and should be settled by a human reviewer."
+    );
+    lines.push("");
+    lines.push("| Candidate | Evaluators | Baseline | Without | Score | Band | Rec | Auto-Fail |");
+    lines.push("|-----------|------------|----------|---------|-------|------|-----|-----------|");
+    for (const c of flagged) {
+      const b = c.baseline;
+      for (const w of c.without_evaluator.filter((x) => x.band_changed || x.hire_decision_changed || x.auto_fail_changed)) {
+        const change = (changed, from, to) => (changed ? `${from} → **${to}**` : "—");
+        lines.push(
+          `| ${c.candidate_id} | ${c.evaluator_count} | ${b.final_score} ${b.score_band}, ${b.recommendation} ` +
+          `| ${w.evaluator} | ${w.score_change >= 0 ? "+" : ""}${w.score_change} ` +
+          `| ${change(w.band_changed, b.score_band, w.score_band)} ` +
+          `| ${change(w.recommendation_changed, b.recommendation, w.recommendation)} ` +
+          `| ${change(w.auto_fail_changed, b.automatic_failure ? "yes" : "no", w.automatic_failure ? "yes" : "no")} |`
+        );
+      }
+    }
+  }
+
+  const gateRows = comparison.ranking.filter((r) => r.gate_reference_disagreements !== null);
+  if (gateRows.length > 0) {
+    lines.push("");
+    lines.push("## Gate Runner Reference");
+    lines.push("");
+    lines.push(
+      "Gates re-run by `gate-runner.js` on the candidate's checkout (`gate-run-C-XXX.json`). The runner does not vote; " +
+      "a consensus that disagrees with it is worth a second look."
+    );
+    lines.push("");
+    lines.push("| Candidate | Consensus Disagrees On |");
+    lines.push("|-----------|------------------------|");
+    for (const r of gateRows) {
+      lines.push(`| ${r.candidate_id} | ${r.gate_reference_disagreements.join(", ") || "—"} |`);
+    }
+  }
 
   lines.push("");
   lines.push("## Category Weights");
   lines.push("");
   lines.push("| Category | Weight |");
   lines.push("|----------|--------|");
-  lines.push("| A: Strategy Matrix | 30% |");
-  lines.push("| B: Technical Foundation | 15% |");
-  lines.push("| C: UI/UX Quality | 15% |");
-  lines.push("| D: PRD Compliance | 10% |");
-  lines.push("| E: Code Quality | 20% |");
-  lines.push("| F: Bonus Features | 5% |");
-  lines.push("| G: Decision Making | 5% |");
+  for (const cat of rubric.categories) {
+    lines.push(`| ${letter(cat)}: ${rubric.categoryLabels[cat]} | ${pct(rubric.weights[cat])} |`);
+  }
+  if (rubric.weightsSource) {
+    lines.push("");
+    lines.push(`> **Note:** This run overrides the rubric's weights with \`${rubric.weightsSource}\`.`);
+  }
   lines.push("");
   lines.push("## Score Bands");
   lines.push("");
   lines.push("| Range | Band |");
   lines.push("|-------|------|");
-  lines.push("| 90-110 | Exceptional |");
-  lines.push("| 75-89 | Strong |");
-  lines.push("| 60-74 | Competent |");
-  lines.push("| 45-59 | Below Expectations |");
-  lines.push("| 0-44 | Insufficient |");
+  const maxScore = 100 + bonuses.reduce((sum, [, b]) => sum + (b.maxTotal ?? 0), 0);
+  rubric.scoreBands.forEach((band, i) => {
+    const upper = i === 0 ? maxScore : rubric.scoreBands[i - 1].min - 1;
+    lines.push(`| ${band.min}-${upper} | ${band.label} |`);
+  });
   lines.push("");
   lines.push(
-    "> **Note:** Final scores include up to 5 bonus points for git history and up to 5 bonus points for AI integration. " +
+    "> **Note:** " +
+    (bonuses.length > 0
+      ? `Final scores include ${bonuses.map(([key, b]) => `up to ${b.maxTotal} bonus points from \`${key}\``).join(" and ")}. `
+      : "") +
     "Automatic failure flags are noted but candidates still receive scores for comparative purposes."
   );
 
+  if (calibrationReport) {
+    lines.push("");
+    lines.push("## Calibration");
+    lines.push("");
+    lines.push(
+      "Rankings above use the **calibrated** consensus: each evaluator's per-category bias " +
+      "(mean offset from the raw consensus, see `evaluator-profiles.json`) was subtracted before taking the median."
+    );
+    if (calibrationReport.uncalibrated_evaluators.length > 0) {
+      lines.push(`Not calibrated (too few candidates): ${calibrationReport.uncalibrated_evaluators.join(", ")}.`);
+    }
+    lines.push("");
+    lines.push("| Candidate | Raw Rank | Calibrated Rank | Raw Score | Calibrated Score | Raw Band | Calibrated Band |");
+    lines.push("|-----------|----------|-----------------|-----------|------------------|----------|-----------------|");
+    for (const c of calibrationReport.ranking_changes) {
+      const moved = c.rank_change > 0 ? ` (▲${c.rank_change})` : c.rank_change < 0 ? ` (▼${-c.rank_change})` : "";
+      lines.push(
+        `| ${c.candidate_id} | ${c.raw_rank} | ${c.calibrated_rank}${moved} | ${c.raw_final_score} ` +
+        `| ${c.calibrated_final_score} | ${c.raw_band} | ${c.calibrated_band} |`
+      );
+    }
+  }
+
+  if (strategyComparison) {
+    const fmt = (st) => Object.entries(st).map(([type, name]) => `${type}=${name}`).join(", ");
+    lines.push("");
+    lines.push("## Strategy Comparison");
+    lines.push("");
+    lines.push(`- **A (rankings above):** ${fmt(strategyComparison.strategies_a)}`);
+    lines.push(`- **B:** ${fmt(strategyComparison.strategies_b)}`);
+    lines.push("");
+    lines.push(
+      `B moves ${strategyComparison.candidates_moved} candidate(s) and changes ${strategyComparison.band_changes} band(s), ` +
+      `${strategyComparison.recommendation_changes} recommendation(s) and ${strategyComparison.auto_fail_changes} auto-fail status(es).`
+    );
+    lines.push("");
+    lines.push("| Candidate | Rank A | Rank B | Score A | Score B | Band A | Band B | Rec A | Rec B |");
+    lines.push("|-----------|--------|--------|---------|---------|--------|--------|-------|-------|");
+    for (const c of strategyComparison.ranking_changes) {
+      const moved = c.rank_change > 0 ? ` (▲${c.rank_change})` : c.rank_change < 0 ? ` (▼${-c.rank_change})` : "";
+      const failA = c.automatic_failure_a ? " **FAIL**" : "";
+      const failB = c.automatic_failure_b ? " **FAIL**" : "";
+      lines.push(
+        `| ${c.candidate_id} | ${c.rank_a} | ${c.rank_b}${moved} | ${c.final_score_a}${failA} | ${c.final_score_b}${failB} ` +
+        `| ${c.band_a} | ${c.band_b} | ${c.recommendation_a} | ${c.recommendation_b} |`
+      );
+    }
+  }
+
+  if (weightSensitivity) {
+    const ws = weightSensitivity;
+    lines.push("");
+    lines.push("## Weight Sensitivity");
+    lines.push("");
+    lines.push(
+      `Candidates re-ranked under ${ws.samples} sampled category weight vectors (see \`weight-sensitivity.json\`). ` +
+      `${ws.method}.`
+    );
+    if (ws.bounds) {
+      lines.push(
+        `Bounds: ${Object.entries(ws.bounds).map(([cat, [lo, hi]]) => `${letter(cat)} ${pct(lo)}–${pct(hi)}`).join(", ")}.`
+      );
+    }
+    lines.push("");
+    lines.push(
+      `The top ${ws.top_n.n} (${ws.top_n.base.join(", ")}) keep the same members in ${pct(ws.top_n.same_members)} ` +
+      `of samples and the same order in ${pct(ws.top_n.same_order)}.`
+    );
+    lines.push("");
+    lines.push("| Candidate | Position | P(first) | Mean Position | Position Range | Score Range |");
+    lines.push("|-----------|----------|----------|---------------|----------------|-------------|");
+    for (const c of ws.candidates) {
+      lines.push(
+        `| ${c.candidate_id} | ${c.base_position} | ${pct(c.p_first)} | ${c.mean_position} ` +
+        `| ${c.position_range[0]}–${c.position_range[1]} | ${c.score_range[0]}–${c.score_range[1]} |`
+      );
+    }
+    lines.push("");
+    lines.push(
+      "Smallest change to the weights in use that brings each candidate level with the one above it " +
+      "(total weight moved between categories):"
+    );
+    lines.push("");
+    lines.push("| Pair | Gap | Weight Moved | Move |");
+    lines.push("|------|-----|--------------|------|");
+    for (const p of ws.adjacent_pairs) {
+      const move = p.min_weight_shift === 0
+        ? "already level"
+        : p.moves.map((m) => `${pct(m.amount)} ${letter(m.from)} → ${letter(m.to)}`).join(", ");
+      lines.push(
+        `| ${p.upper} > ${p.lower} | ${p.score_gap} ` +
+        `| ${p.min_weight_shift === null ? "never" : pct(p.min_weight_shift)} | ${move || "—"} |`
+      );
+    }
+  }
+
   return lines.join("\n");
 }
 
@@ -627,7 +1466,10 @@ function buildComparisonMarkdown(comparison) {
 // Agreement report
 // ---------------------------------------------------------------------------
 
-function buildAgreementReport(consensusResults) {
+// `consensusResults` are raw (uncalibrated) buildConsensus() results.
+// `independence` (optional) is a buildIndependenceAnalysis() result over
+// the same candidates' eval files. Returns the agreement-report.json object.
+export function buildAgreementReport(consensusResults, { independence = null, generatedAt = new Date().toISOString() } = {}) {
   const allDivergences = [];
   for (const c of consensusResults) {
     for (const d of c.inter_evaluator_analysis.high_divergence_criteria) {
@@ -653,33 +1495,346 @@ function buildAgreementReport(consensusResults) {
       note: "This criterion frequently produces evaluator disagreement. Consider refining its rubric definition.",
     }));
 
-  return {
-    generated_at: new Date().toISOString(),
-    total_candidates: consensusResults.length,
-    total_divergences: allDivergences.length,
-    all_divergences: allDivergences,
-    frequently_divergent_criteria: problematicCriteria,
-    summary:
-      allDivergences.length === 0
-        ? "Strong inter-evaluator agreement across all candidates and criteria."
-        : `${allDivergences.length} high-divergence instances found across ${consensusResults.length} candidates. ` +
-          `${problematicCriteria.length} criteria show recurring disagreement and may need rubric refinement.`,
-  };
-}
-
-// ---------------------------------------------------------------------------
-// Main
-// ---------------------------------------------------------------------------
-
-function main() {
-  const args = process.argv.slice(2);
-
-  if (args.length === 0 || args.includes("--help")) {
-    console.log(`
+  // Per-evaluator arithmetic reliability: how often self-reported totals
+  // disagree with the totals recomputed from their own criterion scores
+  const calcByEvaluator = {};
+  for (const c of consensusResults) {
+    for (const ec of c.evaluator_consistency) {
+      const entry = calcByEvaluator[ec.evaluator] ||= {
+        evaluator: ec.evaluator,
+        files_checked: 0,
+        files_with_mismatches: 0,
+        total_mismatches: 0,
+        mismatches: [],
+      };
+      entry.files_checked++;
+      if (!ec.consistent) entry.files_with_mismatches++;
+      entry.total_mismatches += ec.mismatch_count;
+      for (const m of ec.mismatches) {
+        entry.mismatches.push({ candidate_id: c.candidate_id, ...m });
+      }
+    }
+  }
+  // Per-evaluator agreement with the gate runner, where a gate run exists
+  const gateByEvaluator = {};
+  for (const c of consensusResults) {
+    const ref = c.automated_gate.reference;
+    if (!ref) continue;
+    for (const ea of ref.evaluator_agreement) {
+      const entry = gateByEvaluator[ea.evaluator] ||= {
+        evaluator: ea.evaluator,
+        candidates: 0,
+        gates_compared: 0,
+        gates_agreed: 0,
+        disagreements: [],
+      };
+      entry.candidates++;
+      entry.gates_compared += ea.compared;
+      entry.gates_agreed += ea.agreed;
+      for (const gk of ea.disagreed_on) {
+        entry.disagreements.push({ candidate_id: c.candidate_id, gate: gk, reference_pass: ref.checks[gk].reference_pass });
+      }
+    }
+  }
+  const gateReferenceAgreement = Object.values(gateByEvaluator)
+    .map((e) => ({
+      ...e,
+      accuracy: e.gates_compared > 0 ? Math.round((e.gates_agreed / e.gates_compared) * 100) / 100 : null,
+    }))
+    .sort((a, b) => (a.accuracy ?? 1) - (b.accuracy ?? 1));
+
+  // Per-evaluator evidence quality (lint findings)
+  const lintByEvaluator = {};
+  for (const c of consensusResults) {
+    for (const el of c.evidence_lint ?? []) {
+      const entry = lintByEvaluator[el.evaluator] ||= {
+        evaluator: el.evaluator,
+        files_checked: 0,
+        files_with_findings: 0,
+        counts: Object.fromEntries(SEVERITIES.map((sev) => [sev, 0])),
+        by_rule: {},
+        findings: [],
+      };
+      entry.files_checked++;
+      if (el.findings.length > 0) entry.files_with_findings++;
+      for (const sev of SEVERITIES) entry.counts[sev] += el.counts[sev];
+      for (const f of el.findings) {
+        entry.by_rule[f.rule] = (entry.by_rule[f.rule] || 0) + 1;
+        entry.findings.push({ candidate_id: c.candidate_id, ...f });
+      }
+    }
+  }
+  const evidenceQuality = Object.values(lintByEvaluator)
+    .sort((a, b) => b.counts.error - a.counts.error || b.counts.warning - a.counts.warning);
+
+  // Per-evaluator citation accuracy, where a checkout was given (--repos)
+  const citeByEvaluator = {};
+  for (const c of consensusResults) {
+    for (const ec of c.citation_check?.evaluators ?? []) {
+      const entry = citeByEvaluator[ec.evaluator] ||= {
+        evaluator: ec.evaluator,
+        candidates: 0,
+        citations: 0,
+        checked: 0,
+        verified: 0,
+        by_status: { ok: 0, missing_file: 0, line_out_of_range: 0, outside_repo: 0, ambiguous: 0 },
+        problems: [],
+      };
+      entry.candidates++;
+      entry.citations += ec.total;
+      entry.checked += ec.checked;
+      entry.verified += ec.verified;
+      for (const [status, n] of Object.entries(ec.by_status)) entry.by_status[status] += n;
+      for (const p of ec.problems.filter((x) => x.status !== "ambiguous")) {
+        entry.problems.push({ candidate_id: c.candidate_id, status: p.status, citation: p.text, location: p.location });
+      }
+    }
+  }
+  const evaluatorCitationAccuracy = Object.values(citeByEvaluator)
+    .map((e) => {
+      const accuracy = e.checked > 0 ? Math.round((e.verified / e.checked) * 100) / 100 : null;
+      return { ...e, accuracy, unreliable_citations: accuracy !== null && accuracy < CITATION_ACCURACY_THRESHOLD };
+    })
+    .sort((a, b) => (a.accuracy ?? 1) - (b.accuracy ?? 1));
+
+  const evaluatorCalculationAccuracy = Object.values(calcByEvaluator)
+    .map((e) => {
+      const rate = e.files_checked > 0 ? e.files_with_mismatches / e.files_checked : 0;
+      return {
+        ...e,
+        miscalculation_rate: Math.round(rate * 100) / 100,
+        frequent_miscalculator: rate >= MISCALCULATION_RATE_THRESHOLD,
+      };
+    })
+    .sort((a, b) => b.miscalculation_rate - a.miscalculation_rate);
+
+  return {
+    generated_at: generatedAt,
+    total_candidates: consensusResults.length,
+    total_divergences: allDivergences.length,
+    all_divergences: allDivergences,
+    frequently_divergent_criteria: problematicCriteria,
+    evaluator_calculation_accuracy: evaluatorCalculationAccuracy,
+    gate_reference_agreement: gateReferenceAgreement,
+    evaluator_citation_accuracy: evaluatorCitationAccuracy,
+    evidence_quality: evidenceQuality,
+    independence,
+    inter_rater_reliability: buildReliabilityAnalysis(consensusResults),
+    summary:
+      allDivergences.length === 0
+        ? "Strong inter-evaluator agreement across all candidates and criteria."
+        : `${allDivergences.length} high-divergence instances found across ${consensusResults.length} candidates. ` +
+          `${problematicCriteria.length} criteria show recurring disagreement and may need rubric refinement.`,
+  };
+}
+
+// Console summary of the agreement report, evaluator profiles and rubric
+// health — printed by aggregate and by the report subcommand.
+function agreementSummary(agreementReport, profiles, rubricHealth) {
+  const lines = [];
+  const irr = agreementReport.inter_rater_reliability;
+  const fmt = (x) => x.estimate === null
+    ? "undefined"
+    : `${x.estimate} [${x.ci_lower ?? "?"}, ${x.ci_upper ?? "?"}] ${x.interpretation}`;
+  lines.push("\n--- Inter-Rater Reliability ---");
+  lines.push(`  Krippendorff's alpha (ordinal, all criteria): ${fmt(irr.krippendorff_alpha.overall)}`);
+  lines.push(`  ICC(2,k) on final scores (${irr.final_score_icc.candidates.length} candidates): ${fmt(irr.final_score_icc)}`);
+
+  lines.push("\n--- Evaluator Profiles ---");
+  for (const p of profiles) {
+    lines.push(
+      `  ${p.evaluator}: ${p.leniency} (offset ${p.mean_offset >= 0 ? "+" : ""}${p.mean_offset}/criterion, ` +
+      `${p.final_score_offset >= 0 ? "+" : ""}${p.final_score_offset} final), ` +
+      `outlier ${p.outlier_count}/${p.contested_criteria}, sole divergence cause ${p.sole_divergence_cause_count}x`
+    );
+  }
+
+  lines.push(`\n--- Rubric Health (${rubricHealth.evaluations} evaluations, ${rubricHealth.candidates} candidates) ---`);
+  lines.push(
+    `  Cronbach's alpha: ${Object.entries(rubricHealth.categories)
+      .map(([cat, c]) => `${cat.split("_")[0]} ${c.alpha_individual ?? "n/a"}`).join(", ")}`
+  );
+  for (const p of rubricHealth.redundant_pairs.slice(0, 10)) {
+    lines.push(`  Redundant? ${p.criteria.join(" ~ ")} r=${p.r_individual}, partial r=${p.partial_r}`);
+  }
+  if (rubricHealth.redundant_pairs.length > 10) {
+    lines.push(`  ... ${rubricHealth.redundant_pairs.length - 10} more possibly redundant pair(s) in rubric-health.json`);
+  }
+  for (const c of rubricHealth.ceiling_floor) {
+    lines.push(`  ${c.effect.replace("_", " ")}: ${c.criterion} (${Math.round(c.share * 100)}% of scores)`);
+  }
+  for (const c of rubricHealth.non_discriminating) {
+    lines.push(`  Not discriminating: ${c.criterion} (${c.reasons.join(", ")}, consensus sd ${c.consensus_sd})`);
+  }
+
+  const independence = agreementReport.independence;
+  lines.push(`\n--- Evaluator Independence (${independence.files_compared} files) ---`);
+  if (independence.independent) lines.push("  No duplicated evidence or matching score vectors found");
+  for (const w of independence.warnings) lines.push(`  WARNING: ${w}`);
+
+  lines.push("\n--- Evidence Quality ---");
+  for (const e of agreementReport.evidence_quality) {
+    const rules = Object.entries(e.by_rule).map(([rule, n]) => `${rule} ${n}`).join(", ");
+    lines.push(
+      `  ${e.evaluator}: ${SEVERITIES.map((sev) => `${e.counts[sev]} ${sev}(s)`).join(", ")} ` +
+      `in ${e.files_with_findings}/${e.files_checked} file(s)${rules ? ` — ${rules}` : ""}`
+    );
+  }
+
+  if (agreementReport.evaluator_citation_accuracy.length > 0) {
+    lines.push("\n--- Citation Accuracy ---");
+    for (const e of agreementReport.evaluator_citation_accuracy) {
+      lines.push(
+        `  ${e.evaluator}: ${e.verified}/${e.checked} citation(s) verified across ${e.candidates} candidate(s)` +
+        `${e.accuracy === null ? "" : ` — ${e.accuracy}`}${e.unreliable_citations ? " [UNRELIABLE]" : ""}`
+      );
+    }
+  }
+
+  return lines;
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+// Subcommands; `node aggregate.js <evals-directory>` runs `aggregate`
+const COMMANDS = {
+  validate: "Validate every eval file and report accepted and rejected files; writes nothing",
+  aggregate: "Validate, aggregate and write every output (default)",
+  compare: "Print comparison.md, or comparison.json with --json; writes nothing",
+  report: "Print the agreement report, evaluator profiles and rubric health; writes nothing",
+  diff: "Compare two output directories: what changed per candidate and which input files caused it",
+};
+
+// Exit codes shared by every subcommand
+export const EXIT_CODES = {
+  ok: 0,
+  // Bad arguments or config, a missing directory, nothing to aggregate
+  error: 1,
+  // validate: a file was rejected; any command: --fail-on-lint findings
+  check_failed: 2,
+};
+
+// Every eval file that parses, per candidate directory, whether or not it
+// validates: [{ candidateId, evals }] for buildBlinding()
+function readAllEvals(evalsDir, entries) {
+  return entries.map((candidateId) => {
+    const dirPath = join(evalsDir, candidateId);
+    const evals = readdirSync(dirPath)
+      .filter((f) => f.endsWith(".json") && !isAdjudicationFile(f) && !isGateRunFile(f))
+      .sort()
+      .flatMap((f) => {
+        try {
+          return [JSON.parse(readFileSync(join(dirPath, f), "utf-8"))];
+        } catch {
+          return [];
+        }
+      });
+    return { candidateId, evals };
+  });
+}
+
+// `diff <before-output-dir> <after-output-dir>`: compare two aggregate runs
+// by their manifests and outputs (see manifest.js)
+function runDiff(args) {
+  const dirs = args.filter((a) => !a.startsWith("--"));
+  if (dirs.length !== 2) {
+    console.error("Error: diff needs two output directories: <before> <after>");
+    process.exit(EXIT_CODES.error);
+  }
+  let diff;
+  try {
+    diff = diffRuns(loadRun(dirs[0]), loadRun(dirs[1]));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(EXIT_CODES.error);
+  }
+  if (args.includes("--json")) {
+    console.log(JSON.stringify({ command: "diff", ...diff }, null, 2));
+  } else {
+    for (const line of formatRunDiff(diff)) console.log(line);
+  }
+}
+
+function printUsage() {
+  console.log(`
 Roadmap Engine Evaluation Aggregator
 
 Usage:
-  node aggregate.js <evals-directory> [--output <output-dir>]
+  node aggregate.js [<command>] <evals-directory> [--output <output-dir>] [--rubric <file>]
+                    [--json] [--evaluators <file>] [--strategies <spec>] [--compare-strategies <spec>]
+                    [--repos <dir>] [--lint-config <file>] [--fail-on-lint <severity>]
+                    [--weights <spec>] [--weight-robustness <mode>] [--blind]
+                    [--lenient] [--partial] [--strict] [--junit <file>] [--sarif <file>]
+                    [--timestamp <iso-8601>] [--calibrate]
+  node aggregate.js diff <before-output-dir> <after-output-dir> [--json]
+
+Commands:
+${Object.entries(COMMANDS).map(([name, description]) => `  ${name.padEnd(10)} ${description}`).join("\n")}
+
+Options (every command):
+  --output <dir>   Output directory for aggregate (default: <evals-directory>/output)
+  --json           Print one JSON document on stdout; progress goes to stderr
+  --rubric <file>  Rubric definition file keyed by framework_version
+                   (default: evaluation/rubrics.json). Each eval is validated
+                   and aggregated under the rubric version it declares.
+  --evaluators <file>
+                   Evaluator registry mapping aliases to canonical evaluator
+                   ids (default: evaluation/evaluators.json).
+  --lenient        Use structural checks instead of full schema validation;
+                   schema violations are reported as warnings. Files with a
+                   missing or unknown framework_version use the default rubric.
+  --partial        Accept evals that score only part of the rubric; each
+                   criterion is aggregated over the evaluators that scored it
+                   and is provisional with fewer than ${MIN_EVALUATORS}.
+  --strict         Exit ${EXIT_CODES.check_failed} after writing outputs if any eval file was rejected.
+  --junit <file>   Also write the validation report as JUnit XML.
+  --sarif <file>   Also write the validation report as SARIF 2.1.0.
+  --strategies <spec>
+                   Aggregation strategy per data type, overriding the rubric's
+                   defaults, e.g. criteria=trimmed_mean,gates=supermajority.
+                   criteria: median | mean | trimmed_mean | weighted_median
+                   gates: majority | supermajority | unanimous
+                   bonuses: max | median | mean
+                   recommendations: ordinal_median | weighted_ordinal_median | most_conservative
+  --compare-strategies <spec>
+                   Also aggregate with these strategies (on top of --strategies)
+                   and report how the ranking differs.
+  --timestamp <iso-8601>
+                   Timestamp to record in every output instead of the current
+                   time; with the same inputs the outputs are then identical.
+  --calibrate      Subtract each evaluator's estimated per-category bias before
+                   taking the median, and report how rankings change.
+  --repos <dir>    Directory of candidate checkouts (<dir>/C-001, ...). Every
+                   file:line citation in evidence, notes and qualitative
+                   summaries is verified against the candidate's checkout.
+  --lint-config <file>
+                   Evidence lint rules and severities
+                   (default: evaluation/evidence-lint.json).
+  --fail-on-lint <severity>
+                   Exit ${EXIT_CODES.check_failed} after writing outputs if any accepted eval has lint
+                   findings at or above this severity: error | warning | info.
+  --weights <spec> Category weights to score with instead of the rubric's, by
+                   key or letter, e.g. E=0.25 or A=0.25,E=0.25. Unlisted
+                   categories share the rest in proportion to their weights.
+  --weight-robustness <mode>
+                   Re-rank under sampled weight vectors and report how stable
+                   the ranking is: around (near the weights in use) | simplex.
+  --weight-samples <n>
+                   Weight vectors to sample (default: ${DEFAULT_WEIGHT_SAMPLES}).
+  --weight-spread <x>
+                   around: maximum change per weight (default: ${DEFAULT_WEIGHT_SPREAD}).
+  --weight-bounds <spec>
+                   simplex: per-category bounds, e.g. A=0.2:0.4,E=0.1:0.3.
+  --blind          Blind review: redact repo URLs and identifying tokens from
+                   every output, report remaining leaks, and write the
+                   un-blinding mapping to a separate sealed file.
+  --blind-config <file>
+                   Deny-list and redaction settings (default: evaluation/blind.json).
+  --blind-mapping <file>
+                   Where to seal the un-blinding mapping; must be outside the
+                   output directory (default: <output-dir>-unblinding.json).
 
 Expected directory structure:
   <evals-directory>/
@@ -687,6 +1842,7 @@ Expected directory structure:
       eval-agent-opus-1.json
       eval-agent-sonnet-2.json
       eval-human-1.json
+      gate-run-C-001.json     (optional: gate-runner.js reference, does not vote)
     C-002/
       eval-agent-opus-1.json
       ...
@@ -696,18 +1852,156 @@ Outputs (written to <output-dir>, default: ./output):
   consensus-C-002.json
   comparison.json          Cross-candidate ranking
   comparison.md            Human-readable comparison table
+  report.html              Offline HTML report: sortable ranking, radar charts,
+                           criterion heatmaps, gates, bonuses and evidence
   agreement-report.json    Inter-evaluator reliability analysis
+  evaluator-profiles.json  Per-evaluator leniency, outlier and divergence profile
+  sensitivity-report.json  Outcome changes with each evaluator left out
+  rubric-health.json       Criterion correlations, Cronbach's alpha, ceiling/floor
+                           effects and non-discriminating criteria
+  strategy-comparison.json Ranking differences under --compare-strategies
+  weight-sensitivity.json  Ranking under sampled weights (--weight-robustness)
+  blind-review-report.json Redactions and remaining leaks (--blind)
+  validation-report.json   Accepted, partial and rejected eval files with error locations
+  run-manifest.json        Script version, settings, config and input hashes, output hashes
+
+Exit codes:
+  ${EXIT_CODES.ok}  success
+  ${EXIT_CODES.error}  bad arguments or config, missing directory, nothing to aggregate
+  ${EXIT_CODES.check_failed}  validate or --strict rejected a file, or --fail-on-lint findings
 `);
-    process.exit(0);
-  }
+}
+
+// ---------------------------------------------------------------------------
+// Run stages shared by validate, aggregate, compare and report
+// ---------------------------------------------------------------------------
+
+/**
+ * Options of every command but diff, with the config files they name
+ * loaded. A bad option or config exits with EXIT_CODES.error.
+ */
+function parseOptions(args) {
+  // A path option falls back when it is missing or has no value; a spec
+  // option is null when missing and "" without a value, which its parser
+  // rejects
+  const option = (flag, fallback) => {
+    const idx = args.indexOf(flag);
+    return idx >= 0 && args[idx + 1] ? args[idx + 1] : fallback;
+  };
+  const spec = (flag) => {
+    const idx = args.indexOf(flag);
+    return idx >= 0 ? args[idx + 1] ?? "" : null;
+  };
 
   const evalsDir = args[0];
-  const outputIdx = args.indexOf("--output");
-  const outputDir = outputIdx >= 0 && args[outputIdx + 1] ? args[outputIdx + 1] : join(evalsDir, "output");
+  const outputDir = option("--output", join(evalsDir, "output"));
+  const opts = {
+    evalsDir,
+    outputDir,
+    json: args.includes("--json"),
+    lenient: args.includes("--lenient"),
+    partial: args.includes("--partial"),
+    calibrate: args.includes("--calibrate"),
+    strict: args.includes("--strict"),
+    blind: args.includes("--blind"),
+    rubricPath: option("--rubric", DEFAULT_RUBRIC_PATH),
+    registryPath: option("--evaluators", DEFAULT_REGISTRY_PATH),
+    reposDir: option("--repos", null),
+    lintConfigPath: option("--lint-config", DEFAULT_LINT_CONFIG_PATH),
+    failOnLint: spec("--fail-on-lint"),
+    strategiesSpec: spec("--strategies"),
+    compareSpec: spec("--compare-strategies"),
+    weightsSpec: spec("--weights"),
+    junitPath: spec("--junit"),
+    sarifPath: spec("--sarif"),
+    blindMappingPath: resolve(
+      option("--blind-mapping", join(dirname(resolve(outputDir)), `${basename(resolve(outputDir))}-unblinding.json`))
+    ),
+    generatedAt: new Date().toISOString(),
+    weightOptions: null,
+    blindConfig: null,
+  };
+
+  try {
+    const timestamp = spec("--timestamp");
+    if (timestamp !== null) {
+      const at = Date.parse(timestamp);
+      if (Number.isNaN(at)) throw new Error("--timestamp must be an ISO 8601 date-time, e.g. 2026-01-15T12:00:00Z");
+      opts.generatedAt = new Date(at).toISOString();
+    }
+    if (opts.failOnLint !== null && !SEVERITIES.includes(opts.failOnLint)) {
+      throw new Error(`--fail-on-lint must be one of ${SEVERITIES.join(", ")}`);
+    }
+    opts.lintConfig = loadLintConfig(opts.lintConfigPath);
+    opts.rubrics = loadRubrics(opts.rubricPath);
+    const { rubrics } = opts;
+    if (opts.weightsSpec !== null) {
+      for (const [version, rubric] of Object.entries(rubrics.versions)) {
+        rubrics.versions[version] = applyWeights(rubric, parseWeightSpec(opts.weightsSpec, rubric));
+      }
+    }
+    const robustnessMode = spec("--weight-robustness");
+    if (robustnessMode !== null) {
+      if (!WEIGHT_SAMPLING_MODES.includes(robustnessMode)) {
+        throw new Error(`--weight-robustness must be one of ${WEIGHT_SAMPLING_MODES.join(", ")}`);
+      }
+      const samplesSpec = spec("--weight-samples");
+      const spreadSpec = spec("--weight-spread");
+      const boundsSpec = spec("--weight-bounds");
+      const samples = samplesSpec !== null ? Number(samplesSpec) : DEFAULT_WEIGHT_SAMPLES;
+      const spread = spreadSpec !== null ? Number(spreadSpec) : DEFAULT_WEIGHT_SPREAD;
+      if (!Number.isInteger(samples) || samples < 1) throw new Error("--weight-samples must be a positive integer");
+      if (!(spread > 0 && spread <= 1)) throw new Error("--weight-spread must be greater than 0 and at most 1");
+      opts.weightOptions = {
+        mode: robustnessMode,
+        samples,
+        spread,
+        bounds: boundsSpec !== null
+          ? parseWeightBounds(boundsSpec, rubrics.versions[rubrics.defaultVersion].categories)
+          : null,
+      };
+    }
+    for (const [flag, path] of [["--junit", opts.junitPath], ["--sarif", opts.sarifPath]]) {
+      if (path === "") throw new Error(`${flag} needs a file path`);
+    }
+    if (opts.blind) {
+      opts.blindConfig = loadBlindConfig(option("--blind-config", DEFAULT_BLIND_CONFIG_PATH));
+      const fromOutput = relative(resolve(outputDir), opts.blindMappingPath);
+      if (!fromOutput.startsWith("..") && !isAbsolute(fromOutput)) {
+        throw new Error("--blind-mapping must be outside the output directory");
+      }
+    }
+    opts.registry = loadEvaluatorRegistry(opts.registryPath);
+    opts.cliStrategies = opts.strategiesSpec !== null ? parseStrategySpec(opts.strategiesSpec) : {};
+    opts.compareStrategies = opts.compareSpec !== null ? parseStrategySpec(opts.compareSpec) : null;
+    resolveStrategies(opts.cliStrategies, opts.compareStrategies);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(EXIT_CODES.error);
+  }
+  return opts;
+}
+
+/**
+ * Check the directories, find the candidates, print the run header and set
+ * up blind review. Returns the run context every later stage takes:
+ * { command, opts, writes, log, entries, blinding, blindOutput, ... }.
+ */
+function startRun(command, opts) {
+  const { evalsDir, outputDir, json, lenient, partial, reposDir, rubrics, registry, blind, blindConfig } = opts;
+  // stdout carries only the product: the JSON document with --json, and
+  // what compare and report print
+  const writes = command === "aggregate";
+  // Looked up on each call: a blind run redacts console output (see below)
+  const log = (...parts) => (json || command === "compare" || command === "report" ? console.error : console.log)(...parts);
 
   if (!existsSync(evalsDir)) {
     console.error(`Error: Directory not found: ${evalsDir}`);
-    process.exit(1);
+    process.exit(EXIT_CODES.error);
+  }
+  if (reposDir && !existsSync(reposDir)) {
+    console.error(`Error: Directory not found: ${reposDir}`);
+    process.exit(EXIT_CODES.error);
   }
 
   // Discover candidate directories
@@ -718,107 +2012,900 @@ Outputs (written to <output-dir>, default: ./output):
 
   if (entries.length === 0) {
     console.error(`Error: No candidate directories (C-XXX) found in ${evalsDir}`);
-    process.exit(1);
+    process.exit(EXIT_CODES.error);
+  }
+
+  log(`Found ${entries.length} candidate(s): ${entries.join(", ")}`);
+  log(`Rubric: ${opts.rubricPath} (versions: ${Object.keys(rubrics.versions).join(", ")}; default ${rubrics.defaultVersion})`);
+  log(`Evaluators: ${opts.registryPath} (${Object.keys(registry.evaluators).length} registered)`);
+  log(
+    `Aggregation: rubric defaults${Object.keys(opts.cliStrategies).length > 0 ? `, overridden by ${opts.strategiesSpec}` : ""}`
+  );
+  if (opts.weightsSpec !== null) {
+    const weights = rubrics.versions[rubrics.defaultVersion].weights;
+    log(`Weights: ${Object.entries(weights).map(([cat, w]) => `${cat.split("_")[0]}=${w}`).join(", ")} (--weights)`);
+  }
+  if (blind) {
+    log(
+      `Blind review: ${blindConfig.path} (${blindConfig.denyList.length} deny-list term(s)); ` +
+      `${writes ? `mapping sealed to ${opts.blindMappingPath}` : "mapping not written (aggregate only)"}`
+    );
+  }
+  log(`Validation: ${lenient ? "lenient (structural checks, schema violations as warnings)" : "strict (JSON Schema per rubric version)"}`);
+  if (partial) {
+    log(`Partial evaluations: accepted; each criterion is aggregated over the evaluators that scored it (full confidence from ${MIN_EVALUATORS})`);
+  }
+  for (const truthPath of new Set(Object.values(rubrics.versions).map((r) => r.referenceTruthPath).filter(Boolean))) {
+    const truth = Object.values(rubrics.versions).find((r) => r.referenceTruthPath === truthPath).referenceTruth;
+    const stale = staleReferenceSources(truth, truthPath);
+    if (stale.length > 0) {
+      console.warn(
+        `Warning: reference truth ${truthPath} is out of date (${stale.join(", ")} changed). ` +
+          `Regenerate it with: node evaluation/ground-truth.js`
+      );
+    }
   }
 
-  console.log(`Found ${entries.length} candidate(s): ${entries.join(", ")}`);
+  // Identifying tokens come from every readable eval file, rejected ones
+  // included, before anything is printed: rejection messages and warnings
+  // quote eval content. From here on every console message, the CI reports
+  // and every output are redacted.
+  const blinding = blind ? buildBlinding(readAllEvals(evalsDir, entries), blindConfig) : null;
+  if (blinding) {
+    for (const method of ["log", "warn", "error"]) {
+      const write = console[method].bind(console);
+      console[method] = (...parts) => write(...parts.map((p) => (typeof p === "string" ? redact(p, blinding).value : p)));
+    }
+  }
+  const blindRedactions = [];
+  const blindLeaks = [];
+  // Redacted and leak-scanned copy of an output (JSON value or text); text
+  // is handled line by line so locations are line numbers
+  const blindOutput = (file, value) => {
+    if (!blinding) return value;
+    const isText = typeof value === "string";
+    const { value: redacted, redactions } = redact(isText ? value.split("\n") : value, blinding);
+    const where = (location) => (isText ? `line ${Number(location.slice(1)) + 1}` : location);
+    for (const r of redactions) blindRedactions.push({ file, ...r, location: where(r.location) });
+    for (const l of scanLeaks(redacted)) blindLeaks.push({ file, ...l, location: where(l.location) });
+    return isText ? redacted.join("\n") : redacted;
+  };
 
   // Ensure output directory
-  if (!existsSync(outputDir)) {
+  if (writes && !existsSync(outputDir)) {
     mkdirSync(outputDir, { recursive: true });
   }
 
-  const allConsensus = [];
-  let totalErrors = 0;
+  return {
+    command,
+    opts,
+    writes,
+    log,
+    entries: entries.sort(),
+    blinding,
+    blindRedactions,
+    blindLeaks,
+    blindOutput,
+    outputHashes: {},
+    trust: trustWeights(registry),
+    // Strategies: rubric version's `aggregation`, then --strategies on top
+    strategiesFor: (rubric, selection = opts.cliStrategies) => resolveStrategies(rubric.aggregation, selection),
+  };
+}
 
-  for (const candidateDir of entries.sort()) {
-    const dirPath = join(evalsDir, candidateDir);
-    const evalFiles = readdirSync(dirPath).filter((f) => f.endsWith(".json"));
+// What the per-candidate stages below accumulate over a run
+function newRunState() {
+  return {
+    fileResults: [], // { candidate_id, file, path, status, errors, warnings } — see validation-report.js
+    inputs: new Map(), // file result → run-manifest.json input record
+    allConsensus: [],
+    loaded: [], // { candidateId, evals, rubric, identities, ... } — kept for the calibrated pass
+    sideInputs: [], // adjudication files and gate runs
+    totalErrors: 0,
+  };
+}
 
-    if (evalFiles.length === 0) {
-      console.warn(`  Warning: No JSON files found in ${dirPath}, skipping.`);
-      continue;
+/**
+ * Read and validate the eval files of one candidate. Every file's status
+ * goes into `state.fileResults` (see validation-report.js) and its
+ * run-manifest record into `state.inputs`. Returns the accepted evals, or
+ * null when the candidate has none left to aggregate.
+ */
+function loadCandidateEvals(ctx, candidateDir, state) {
+  const { log, opts: { evalsDir, lenient, partial, rubrics, registry } } = ctx;
+  const { fileResults, inputs } = state;
+  const dirPath = join(evalsDir, candidateDir);
+  const evalFiles = readdirSync(dirPath).filter(
+    (f) => f.endsWith(".json") && !isAdjudicationFile(f) && !isGateRunFile(f)
+  ).sort();
+
+  if (evalFiles.length === 0) {
+    console.warn(`  Warning: No JSON files found in ${dirPath}, skipping.`);
+    return null;
+  }
+
+  log(`\n  ${candidateDir}: ${evalFiles.length} evaluation(s)`);
+
+  const evals = [];
+  for (const file of evalFiles) {
+    const filePath = join(dirPath, file);
+    const result = { candidate_id: candidateDir, file, path: filePath, status: "rejected", errors: [], warnings: [] };
+    fileResults.push(result);
+    let raw = null;
+    try {
+      raw = readFileSync(filePath, "utf-8");
+      inputs.set(result, { sha256: contentHash(raw), evaluator: null, reported_as: null, framework_version: null });
+      const parsed = JSON.parse(raw);
+      inputs.get(result).framework_version = parsed.evaluation_metadata?.framework_version ?? null;
+      const rubric = rubricForEvaluation(parsed, rubrics, { lenient });
+      if (!rubric) {
+        const declared = parsed.evaluation_metadata?.framework_version;
+        result.errors.push(...locateIssues([{
+          location: "/evaluation_metadata/framework_version",
+          keyword: "framework_version",
+          message: `no rubric for framework_version ${JSON.stringify(declared)} ` +
+            `(defined: ${Object.keys(rubrics.versions).join(", ")})`,
+        }], raw));
+        console.error(`    REJECTED ${file}: ${result.errors[0].message}`);
+        state.totalErrors++;
+        continue;
+      }
+      const issues = validationIssues(parsed, rubric, { lenient, partial });
+      if (issues.length > 0) {
+        result.errors.push(...locateIssues(issues, raw));
+        console.error(`    REJECTED ${file} (${issues.length} validation error(s)):`);
+        for (const issue of issues) {
+          console.error(`      - ${filePath}: ${formatIssue(issue)}`);
+        }
+        state.totalErrors += issues.length;
+        continue;
+      }
+      if (lenient) {
+        const warnings = schemaIssues(parsed, rubric);
+        result.warnings.push(...locateIssues(warnings, raw));
+        for (const w of warnings) {
+          console.warn(`    Schema warning: ${filePath}: ${formatIssue(w)}`);
+        }
+      } else if (partial) {
+        // Whatever the schema still flags is a coverage gap
+        result.warnings.push(...locateIssues(schemaIssues(parsed, rubric), raw));
+      }
+      if (partial) {
+        const total = Object.values(rubric.criteriaMap).flat().length;
+        result.coverage = { criteria_scored: scoredCriteria(parsed, rubric).length, criteria_total: total };
+        if (result.coverage.criteria_scored < total) {
+          log(`    Partial: ${file} scores ${result.coverage.criteria_scored} of ${total} criteria`);
+        }
+      }
+
+      // Metadata is the source of truth for identity; the file name only
+      // stands in when metadata is missing (possible in --lenient mode).
+      const reported = parsed.evaluation_metadata?.evaluator;
+      const fromName = evaluatorFromFilename(file);
+      const identity = resolveEvaluator(registry, reported || fromName || "unknown");
+      Object.assign(inputs.get(result), { evaluator: identity.evaluator, reported_as: identity.reported_as });
+      const identityWarnings = [];
+      if (reported && fromName && resolveEvaluator(registry, fromName).evaluator !== identity.evaluator) {
+        identityWarnings.push(
+          `${file} is named for "${fromName}" but its metadata says "${reported}" (using ${identity.evaluator})`
+        );
+      }
+      if (!identity.registered) {
+        identityWarnings.push(`evaluator "${identity.reported_as}" is not in the evaluator registry`);
+      }
+      for (const message of identityWarnings) {
+        console.warn(`    Identity warning: ${message}`);
+      }
+      result.warnings.push(...locateIssues(
+        identityWarnings.map((message) => ({ location: "/evaluation_metadata/evaluator", keyword: "identity", message })),
+        raw
+      ));
+
+      const canonical = identity.evaluator === reported
+        ? parsed
+        : { ...parsed, evaluation_metadata: { ...parsed.evaluation_metadata, evaluator: identity.evaluator } };
+      evals.push({ eval_: canonical, rubric, file, raw, result, identity: { ...identity, file, sha256: contentHash(raw) } });
+      result.status = result.warnings.length > 0 ? "partial" : "accepted";
+      const alias = identity.reported_as !== identity.evaluator ? ` as "${identity.reported_as}"` : "";
+      log(
+        `    Loaded: ${file} (evaluator: ${identity.evaluator}${alias}, framework v${rubric.version})`
+      );
+    } catch (err) {
+      result.errors.push({
+        location: null,
+        keyword: raw === null ? "read" : "parse",
+        message: `cannot ${raw === null ? "read" : "parse"}: ${err.message}`,
+        line: null,
+        column: null,
+      });
+      console.error(`    Error reading ${file}: ${err.message}`);
+      state.totalErrors++;
     }
+  }
 
-    console.log(`\n  ${candidateDir}: ${evalFiles.length} evaluation(s)`);
+  // The same evaluator twice would count twice in every median. There is
+  // no way to tell which file is authoritative, so all of them are rejected.
+  const byEvaluator = {};
+  for (const e of evals) (byEvaluator[e.identity.evaluator] ||= []).push(e);
+  for (const [evaluator, group] of Object.entries(byEvaluator)) {
+    if (group.length < 2) continue;
+    console.error(
+      `    REJECTED ${group.map((e) => e.file).join(", ")}: ${group.length} files from evaluator ${evaluator}`
+    );
+    for (const e of group) {
+      e.result.status = "rejected";
+      e.result.errors.push(...locateIssues([{
+        location: "/evaluation_metadata/evaluator",
+        keyword: "duplicate_evaluator",
+        message: `${group.length} files from evaluator ${evaluator}`,
+      }], e.raw));
+    }
+    state.totalErrors += group.length;
+    evals.splice(0, evals.length, ...evals.filter((e) => e.identity.evaluator !== evaluator));
+  }
+
+  if (evals.length === 0) {
+    console.warn(`  No valid evaluations for ${candidateDir}, skipping.`);
+    return null;
+  }
+
+  // A candidate's evals must all be scored under one rubric version —
+  // medians across different criteria sets or weights are meaningless.
+  const versions = [...new Set(evals.map((e) => e.rubric.version))];
+  if (versions.length > 1) {
+    console.error(`  ERROR: ${candidateDir} mixes framework versions, skipping:`);
+    for (const e of evals) {
+      console.error(`      - ${e.file}: v${e.rubric.version}`);
+      e.result.status = "rejected";
+      e.result.errors.push(...locateIssues([{
+        location: "/evaluation_metadata/framework_version",
+        keyword: "mixed_versions",
+        message: `${candidateDir} mixes framework versions (${versions.join(", ")})`,
+      }], e.raw));
+    }
+    state.totalErrors++;
+    return null;
+  }
+  if (evals.length < MIN_EVALUATORS) {
+    console.warn(`  Warning: Only ${evals.length} valid evaluation(s) for ${candidateDir}. Methodology requires ${MIN_EVALUATORS}+. Results will be marked provisional.`);
+  } else if (partial) {
+    const raters = {};
+    for (const e of evals) {
+      for (const key of scoredCriteria(e.eval_, e.rubric)) raters[key] = (raters[key] ?? 0) + 1;
+    }
+    const { categories, criteriaMap } = evals[0].rubric;
+    const thin = categories.flatMap((cat) =>
+      criteriaMap[cat].filter((crit) => (raters[`${cat}/${crit}`] ?? 0) < MIN_EVALUATORS));
+    if (thin.length > 0) {
+      console.warn(
+        `  Warning: ${thin.length} criteria of ${candidateDir} scored by fewer than ${MIN_EVALUATORS} evaluators ` +
+        "(provisional): " + thin.join(", ")
+      );
+    }
+  }
+  return evals;
+}
+
+/**
+ * Consensus for one candidate from its accepted evals, with adjudications,
+ * the gate run and the checkout for citations. Adds it to
+ * `state.allConsensus`, and to `state.loaded` what the later passes
+ * (calibration, intervals, sensitivity) rebuild consensus from.
+ */
+function addCandidateConsensus(ctx, candidateDir, evals, state) {
+  const { log, trust, strategiesFor, opts: { evalsDir, reposDir, lintConfig } } = ctx;
+  const { allConsensus, loaded, sideInputs } = state;
+  const dirPath = join(evalsDir, candidateDir);
+  const candidateEvals = evals.map((e) => e.eval_);
+  const identities = evals.map((e) => e.identity);
+  const rubric = evals[0].rubric;
+
+  // Human decisions apply only while the eval files they were based on
+  // are unchanged
+  const adjudication = resolveAdjudications(
+    loadAdjudicationFile(dirPath, candidateDir),
+    rubric,
+    Object.fromEntries(identities.map((id) => [id.file, id.sha256]))
+  );
+  if (adjudication.file) {
+    log(
+      `    Adjudication: ${adjudication.file} — ${adjudication.applied.length} applied, ` +
+      `${adjudication.stale.length} stale, ${adjudication.invalid.length} invalid`
+    );
+  }
+  for (const a of adjudication.stale) {
+    console.warn(
+      `    Stale adjudication: ${a.type} ${a.item} by ${a.reviewer} (${a.decided_at}) — ` +
+      `changed since: ${a.changed_files.join(", ")}`
+    );
+  }
+  for (const a of adjudication.invalid) {
+    console.error(`    Invalid adjudication: ${a.message}`);
+    state.totalErrors++;
+  }
+
+  const gateRun = loadGateRun(dirPath, candidateDir, rubric);
+  for (const [kind, file] of [["adjudication", adjudication.file], ["gate_run", gateRun?.file]]) {
+    if (file) {
+      sideInputs.push({ candidate_id: candidateDir, file, kind, sha256: contentHash(readFileSync(join(dirPath, file), "utf-8")) });
+    }
+  }
+  for (const message of gateRun?.errors ?? []) {
+    console.error(`    Invalid gate run ${gateRun.file}: ${message}`);
+    state.totalErrors++;
+  }
+
+  const repoPath = reposDir ? join(reposDir, candidateDir) : null;
+  const repo = repoPath && existsSync(repoPath) ? indexRepository(repoPath) : null;
+  if (repoPath && !repo) {
+    console.warn(`    Citations: no checkout at ${repoPath}, not verified`);
+  }
+
+  const consensus = buildConsensus(candidateDir, candidateEvals, rubric, {
+    identities,
+    strategies: strategiesFor(rubric),
+    trust,
+    adjudication,
+    gateRun,
+    repo,
+    lintConfig,
+  });
+  allConsensus.push(consensus);
+  loaded.push({ candidateId: candidateDir, evals: candidateEvals, rubric, identities, adjudication, gateRun, repo });
+
+  log(
+    `    Score: ${consensus.scoring_summary.final_score} (${consensus.scoring_summary.score_band})` +
+    `${consensus.scoring_summary.automatic_failure ? " **AUTO-FAIL**" : ""}`
+  );
+
+  for (const ec of consensus.evaluator_consistency.filter((x) => !x.consistent)) {
+    log(`    Arithmetic: ${ec.evaluator} reported ${ec.mismatch_count} total(s) that don't match its own scores`);
+  }
+
+  for (const el of consensus.evidence_lint.filter((x) => x.findings.length > 0)) {
+    log(
+      `    Evidence lint: ${el.evaluator} ${SEVERITIES.map((sev) => `${el.counts[sev]} ${sev}(s)`).join(", ")}`
+    );
+  }
+
+  for (const ec of consensus.citation_check?.evaluators ?? []) {
+    log(
+      `    Citations: ${ec.evaluator} ${ec.verified}/${ec.checked} verified` +
+      `${ec.checked > ec.verified ? ` (${ec.checked - ec.verified} unresolved)` : ""}`
+    );
+  }
+
+  const coherence = consensus.recommendation_coherence;
+  if (coherence?.consensus.coherent === false) {
+    log(
+      `    Coherence: consensus ${coherence.consensus.violations.map((v) => v.message).join("; ")}` +
+      `${coherence.consensus.adjudicated ? " — adjudicated" : ""}`
+    );
+  }
+  for (const ec of coherence?.evaluators.filter((e) => e.coherent === false) ?? []) {
+    log(`    Coherence: ${ec.evaluator} ${ec.violations.map((v) => v.message).join("; ")}`);
+  }
+
+  const reference = consensus.automated_gate.reference;
+  if (reference) {
+    log(
+      `    Gate run: ${reference.file} — consensus ` +
+      `${reference.consensus_disagreements.length > 0 ? `disagrees on ${reference.consensus_disagreements.join(", ")}` : "agrees"}` +
+      ` (${reference.compared.length} gate(s) compared)`
+    );
+  }
+
+  if (consensus.review.pending.length > 0) {
+    log(
+      `    Review: ${consensus.review.pending.length} item(s) need human review ` +
+      `(${consensus.review.pending.map((p) => p.item).join(", ")})`
+    );
+  }
+}
+
+/**
+ * Every file's status, for validation-report.json and CI: writes --junit and
+ * --sarif and returns the validation report.
+ */
+function reportValidation(ctx, fileResults) {
+  const { blindOutput, outputHashes, opts: { evalsDir, lenient, strict, generatedAt, junitPath, sarifPath } } = ctx;
+  const validationReport = buildValidationReport(fileResults, { evalsDir, lenient, strict, generatedAt });
+  // The CI reports are written outside the output directory but redacted,
+  // scanned and hashed like the outputs
+  const writeCiReport = (path, report) => {
+    const out = blindOutput(portablePath(path), report);
+    const content = typeof out === "string" ? out : JSON.stringify(out, null, 2);
+    writeFileSync(path, content);
+    outputHashes[portablePath(path)] = contentHash(content);
+  };
+  if (junitPath) writeCiReport(junitPath, toJUnit(validationReport));
+  if (sarifPath) writeCiReport(sarifPath, toSarif(validationReport));
+  return validationReport;
+}
+
+/**
+ * Derive every output from the consensus: comparison, reports, markdown and
+ * HTML. Each passes through writeOutput(), which returns it as written
+ * (redacted and scanned on a blind run) and writes it only for aggregate.
+ */
+function buildOutputs(ctx, { allConsensus, loaded, validationReport }) {
+  const { writes, blinding, blindOutput, outputHashes, trust, strategiesFor } = ctx;
+  const { outputDir, calibrate, rubrics, registry, cliStrategies, compareStrategies, weightOptions, generatedAt } = ctx.opts;
+
+  // The mapping is sealed (written) only by aggregate; its hash goes into
+  // comparison.json either way
+  let mappingSha256 = null;
+  if (blinding) {
+    const mapping = sealedMapping(blinding, generatedAt);
+    if (writes) writeFileSync(ctx.opts.blindMappingPath, mapping, { mode: 0o600 });
+    mappingSha256 = contentHash(mapping);
+  }
+  const written = [];
+  const writeOutput = (file, value) => {
+    const out = blindOutput(file, value);
+    if (writes) {
+      const content = typeof out === "string" ? out : JSON.stringify(out, null, 2);
+      writeFileSync(join(outputDir, file), content);
+      written.push(file);
+      outputHashes[file] = contentHash(content);
+    }
+    return out;
+  };
+
+  writeOutput("validation-report.json", validationReport);
+
+  // Evaluator profiles always come from the raw consensus
+  const profiles = buildEvaluatorProfiles(allConsensus).map((p) => {
+    const { kind, model_family } = resolveEvaluator(registry, p.evaluator);
+    return { evaluator: p.evaluator, kind, model_family, ...p };
+  });
+  const profilesOutput = writeOutput("evaluator-profiles.json", { generated_at: generatedAt, evaluators: profiles });
+
+  let finalConsensus = allConsensus;
+  let calibrationReport = null;
+  const offsets = calibrate ? calibrationOffsets(profiles) : null;
+  const options = (rubric, adjudication, selection) => ({
+    calibration: offsets,
+    strategies: strategiesFor(rubric, selection),
+    trust,
+    adjudication,
+  });
+  if (calibrate) {
+    finalConsensus = loaded.map(({ candidateId, evals, rubric, identities, adjudication, gateRun, repo }) =>
+      buildConsensus(candidateId, evals, rubric, {
+        ...options(rubric, adjudication), identities, gateRun, repo, lintConfig: ctx.opts.lintConfig,
+      })
+    );
+    calibrationReport = buildCalibrationReport(
+      profiles,
+      buildComparison(allConsensus),
+      buildComparison(finalConsensus)
+    );
+  }
+
+  for (const consensus of finalConsensus) {
+    writeOutput(`consensus-${consensus.candidate_id}.json`, consensus);
+  }
+
+  // Uncertainty on each final score, under the same consensus mode
+  const intervals = {};
+  for (const { candidateId, evals, rubric, adjudication } of loaded) {
+    const scoreFn = (subset) =>
+      buildConsensus(candidateId, subset, rubric, options(rubric, adjudication)).scoring_summary.final_score;
+    intervals[candidateId] = finalScoreInterval(evals, scoreFn);
+  }
+
+  const comparison = buildComparison(finalConsensus, { intervals, generatedAt });
+
+  // Leave-one-evaluator-out: does any single evaluator decide the outcome?
+  const consensusById = Object.fromEntries(finalConsensus.map((c) => [c.candidate_id, c]));
+  const sensitivity = buildSensitivityReport(
+    loaded.map(({ candidateId, evals, rubric, adjudication }) =>
+      buildCandidateSensitivity(consensusById[candidateId], evals, rubric, (subset) =>
+        buildConsensus(candidateId, subset, rubric, options(rubric, adjudication))
+      )
+    )
+  );
+  writeOutput("sensitivity-report.json", { generated_at: generatedAt, ...sensitivity });
+
+  // Same candidates under a second strategy set (--compare-strategies)
+  let strategyComparison = null;
+  if (compareStrategies) {
+    const alternative = loaded.map(({ candidateId, evals, rubric, adjudication }) =>
+      buildConsensus(candidateId, evals, rubric, options(rubric, adjudication, { ...cliStrategies, ...compareStrategies }))
+    );
+    // Reported against the default rubric version; each consensus file
+    // records the exact strategies used for its candidate.
+    const defaultRubric = rubrics.versions[rubrics.defaultVersion];
+    strategyComparison = buildStrategyComparison(
+      strategiesFor(defaultRubric),
+      comparison,
+      strategiesFor(defaultRubric, { ...cliStrategies, ...compareStrategies }),
+      buildComparison(alternative)
+    );
+    writeOutput("strategy-comparison.json", { generated_at: generatedAt, ...strategyComparison });
+  }
 
-    const evals = [];
-    for (const file of evalFiles) {
-      const filePath = join(dirPath, file);
+  // Ranking under sampled category weights (--weight-robustness); every
+  // candidate must be scored on the same categories with the same weights
+  let weightSensitivity = null;
+  if (weightOptions) {
+    const baseWeights = loaded[0].rubric.weights;
+    const sameWeights = loaded.every(({ rubric }) =>
+      rubric.categories.length === Object.keys(baseWeights).length &&
+      rubric.categories.every((cat) => rubric.weights[cat] === baseWeights[cat])
+    );
+    if (!sameWeights) {
+      console.warn("\nWarning: candidates are scored under different category weights; --weight-robustness skipped.");
+    } else {
       try {
-        const raw = readFileSync(filePath, "utf-8");
-        const parsed = JSON.parse(raw);
-        const errors = validateEvaluation(parsed, filePath);
-        if (errors.length > 0) {
-          console.error(`    REJECTED ${file} (${errors.length} validation error(s)):`);
-          for (const err of errors) {
-            console.error(`      - ${err}`);
-          }
-          totalErrors += errors.length;
-          continue;
-        }
-        evals.push(parsed);
-        console.log(`    Loaded: ${file} (evaluator: ${parsed.evaluation_metadata?.evaluator || "unknown"})`);
+        weightSensitivity = buildWeightSensitivity(finalConsensus, baseWeights, weightOptions);
       } catch (err) {
-        console.error(`    Error reading ${file}: ${err.message}`);
-        totalErrors++;
+        console.error(`\nError: ${err.message}`);
+        process.exit(EXIT_CODES.error);
       }
+      writeOutput("weight-sensitivity.json", { generated_at: generatedAt, ...weightSensitivity });
     }
+  }
 
-    if (evals.length === 0) {
-      console.warn(`  No valid evaluations for ${candidateDir}, skipping.`);
-      continue;
-    }
-    if (evals.length < 3) {
-      console.warn(`  Warning: Only ${evals.length} valid evaluation(s) for ${candidateDir}. Methodology requires 3+. Results will be marked provisional.`);
+  if (calibrationReport) comparison.calibration = calibrationReport;
+  if (blinding) {
+    comparison.blind_review = { mapping_sha256: mappingSha256, report: "blind-review-report.json" };
+  }
+  const comparisonOutput = writeOutput("comparison.json", comparison);
+
+  const comparisonMd = buildComparisonMarkdown(comparison, {
+    calibrationReport,
+    sensitivity,
+    strategyComparison,
+    weightSensitivity,
+    rubric: rubrics.versions[rubrics.defaultVersion],
+  });
+  const comparisonMdOutput = writeOutput("comparison.md", comparisonMd);
+  writeOutput("report.html", buildHtmlReport(comparison, finalConsensus, {
+    evals: Object.fromEntries(loaded.map(({ candidateId, evals }) => [candidateId, evals])),
+    rubric: rubrics.versions[rubrics.defaultVersion],
+  }));
+
+  // Agreement is a property of the raw scores, not the calibrated consensus
+  const agreementReport = buildAgreementReport(allConsensus, {
+    generatedAt,
+    independence: buildIndependenceAnalysis(loaded.map(({ candidateId, evals }) => ({ candidateId, evals }))),
+  });
+  const agreementOutput = writeOutput("agreement-report.json", agreementReport);
+
+  // So is rubric health; criteria and scale come from the default version
+  const rubricHealth = buildRubricHealth(allConsensus, rubrics.versions[rubrics.defaultVersion]);
+  const rubricHealthOutput = writeOutput("rubric-health.json", { generated_at: generatedAt, ...rubricHealth });
+
+  return {
+    written,
+    mappingSha256,
+    comparison,
+    comparisonOutput,
+    comparisonMdOutput,
+    profilesOutput,
+    agreementOutput,
+    rubricHealthOutput,
+    sensitivity,
+    strategyComparison,
+    weightSensitivity,
+    calibrationReport,
+  };
+}
+
+/**
+ * The blind-review report and the run manifest, which describe every other
+ * output and so are written last (aggregate only).
+ */
+function writeRunRecords(ctx, run) {
+  const { command, blinding, blindRedactions, blindLeaks, outputHashes, strategiesFor } = ctx;
+  const { evalsDir, outputDir, lenient, partial, strict, calibrate, reposDir, failOnLint, blind, blindConfig,
+    rubrics, generatedAt } = ctx.opts;
+  const { written } = run;
+
+  if (blinding) {
+    const report = JSON.stringify({
+      generated_at: generatedAt,
+      method: "whole-word, case-insensitive redaction of repo URLs, repo owner/name tokens and the deny-list " +
+        "in every string of every output; redacted outputs scanned for URLs, e-mail addresses, home directories and @handles",
+      config: blindConfig.path,
+      deny_list_terms: blindConfig.denyList.length,
+      placeholder: blindConfig.placeholder,
+      mapping_sha256: run.mappingSha256,
+      redaction_count: blindRedactions.reduce((n, r) => n + r.replacements, 0),
+      redactions: blindRedactions,
+      clean: blindLeaks.length === 0,
+      leaks: blindLeaks,
+    }, null, 2);
+    writeFileSync(join(outputDir, "blind-review-report.json"), report);
+    written.push("blind-review-report.json");
+    outputHashes["blind-review-report.json"] = contentHash(report);
+  }
+
+  const versions = [...new Set(run.loaded.map((l) => l.rubric.version))].sort();
+  const manifest = buildRunManifest({
+    generatedAt,
+    command,
+    evalsDir: portablePath(evalsDir),
+    settings: {
+      validation: lenient ? "lenient" : "strict",
+      partial,
+      strict,
+      calibrate,
+      strategies: ctx.opts.strategiesSpec,
+      compare_strategies: ctx.opts.compareSpec,
+      weights: ctx.opts.weightsSpec,
+      weight_robustness: ctx.opts.weightOptions,
+      repos: reposDir ? portablePath(reposDir) : null,
+      fail_on_lint: failOnLint,
+      blind,
+    },
+    config: {
+      rubric: ctx.opts.rubricPath,
+      evaluators: ctx.opts.registryPath,
+      lint: ctx.opts.lintConfigPath,
+      blind: blindConfig?.path ?? null,
+      ...Object.fromEntries(versions.map((v) => [`reference_truth@${v}`, rubrics.versions[v].referenceTruthPath])),
+    },
+    aggregation: Object.fromEntries(versions.map((v) => [v, {
+      strategies: strategiesFor(rubrics.versions[v]),
+      weights: rubrics.versions[v].weights,
+    }])),
+    inputs: [
+      ...run.fileResults.map((r) => ({
+        candidate_id: r.candidate_id,
+        file: r.file,
+        kind: "evaluation",
+        ...(run.inputs.get(r) ?? { sha256: null, evaluator: null, reported_as: null, framework_version: null }),
+        status: r.status,
+      })),
+      ...run.sideInputs,
+    ],
+    outputs: outputHashes,
+  });
+  writeFileSync(join(outputDir, MANIFEST_FILE), JSON.stringify(blinding ? redact(manifest, blinding).value : manifest, null, 2));
+  written.push(MANIFEST_FILE);
+}
+
+// Console summary of a run: files, rankings, agreement and the optional analyses
+function logRunSummary(ctx, run) {
+  const { log, writes, blinding, blindRedactions, blindLeaks, opts: { outputDir, calibrate, compareSpec } } = ctx;
+  const { validationReport, sensitivity, strategyComparison, calibrationReport, weightSensitivity } = run;
+  const { summary: validation } = validationReport;
+
+  log("\n--- Summary ---");
+  log(`Candidates processed: ${run.allConsensus.length}`);
+  log(`Validation issues: ${run.totalErrors}`);
+  log(
+    `Eval files: ${validation.accepted} accepted, ${validation.partial} partial, ${validation.rejected} rejected` +
+    `${validation.rejected > 0 ? ` (${Object.entries(validationReport.candidates)
+      .filter(([, c]) => c.rejected > 0).map(([id, c]) => `${id}: ${c.rejected_files.join(", ")}`).join("; ")})` : ""}`
+  );
+  if (writes) {
+    log(`\nOutputs written to: ${outputDir}/`);
+    log("  - consensus-C-XXX.json  (per-candidate)");
+    log("  - validation-report.json (accepted, partial and rejected eval files)");
+    log("  - comparison.json        (ranking)");
+    log("  - comparison.md          (readable table)");
+    log("  - report.html            (charts, heatmaps and evidence)");
+    log("  - agreement-report.json  (evaluator reliability)");
+    log("  - evaluator-profiles.json (evaluator calibration)");
+    log("  - sensitivity-report.json (leave-one-evaluator-out)");
+    log("  - rubric-health.json     (criterion correlations and discrimination)");
+    if (strategyComparison) log("  - strategy-comparison.json (alternative aggregation strategies)");
+    if (weightSensitivity) log("  - weight-sensitivity.json (ranking under sampled weights)");
+    if (blinding) log("  - blind-review-report.json (redactions and leak scan)");
+    log("  - run-manifest.json      (input, setting and output hashes)");
+  }
+
+  log(`\n--- Rankings${calibrate ? " (calibrated)" : ""} ---`);
+  for (const r of run.comparison.ranking) {
+    const fail = r.automatic_failure ? " [AUTO-FAIL]" : "";
+    const shared = r.indistinguishable_from.length > 0 ? "=" : " ";
+    log(
+      `  #${r.rank}${shared} ${r.candidate_id}  ${r.final_score} pts [${r.score_interval.lower}, ${r.score_interval.upper}]  ` +
+      `${r.score_band}  ${r.consensus_recommendation}${fail}`
+    );
+  }
+
+  for (const line of agreementSummary(run.agreementOutput, run.profilesOutput.evaluators, run.rubricHealthOutput)) log(line);
+
+  if (sensitivity.candidates_flagged > 0) {
+    log("\n--- Single-Evaluator Sensitivity ---");
+    for (const c of sensitivity.candidates.filter((x) => x.depends_on_single_evaluator)) {
+      const who = [...new Set(Object.values(c.pivotal_evaluators).flat())].join(", ");
+      log(`  ${c.candidate_id}: ${c.flags.join(", ")} depends on ${who} — needs a human tie-breaker`);
     }
+  }
+  if (strategyComparison) {
+    log("\n--- Strategy Comparison ---");
+    log(
+      `  ${compareSpec}: moved ${strategyComparison.candidates_moved} candidate(s), ` +
+      `changed ${strategyComparison.band_changes} band(s), ${strategyComparison.recommendation_changes} recommendation(s), ` +
+      `${strategyComparison.auto_fail_changes} auto-fail status(es)`
+    );
+  }
+  if (calibrationReport) {
+    log(
+      `  Calibration moved ${calibrationReport.candidates_moved} candidate(s) in the ranking, ` +
+      `changed ${calibrationReport.band_changes} band(s)`
+    );
+  }
 
-    const consensus = buildConsensus(candidateDir, evals);
-    allConsensus.push(consensus);
+  if (weightSensitivity) {
+    const top = weightSensitivity.top_n;
+    log(`\n--- Weight Sensitivity (${weightSensitivity.mode}, ${weightSensitivity.samples} samples) ---`);
+    log(
+      `  Top ${top.n} (${top.base.join(", ")}): same members in ${Math.round(top.same_members * 100)}% ` +
+      `of samples, same order in ${Math.round(top.same_order * 100)}%`
+    );
+    for (const c of weightSensitivity.candidates.filter((x) => x.p_first > 0)) {
+      log(`  ${c.candidate_id}: first in ${Math.round(c.p_first * 100)}% of samples`);
+    }
+    for (const p of weightSensitivity.adjacent_pairs) {
+      log(
+        `  ${p.upper} > ${p.lower}: ` +
+        `${p.min_weight_shift === null ? "holds under any weights" : `level after moving ${p.min_weight_shift} of weight`}`
+      );
+    }
+  }
 
-    const outPath = join(outputDir, `consensus-${candidateDir}.json`);
-    writeFileSync(outPath, JSON.stringify(consensus, null, 2));
-    console.log(`    Consensus written: ${outPath}`);
-    console.log(
-      `    Score: ${consensus.scoring_summary.final_score} (${consensus.scoring_summary.score_band})` +
-      `${consensus.scoring_summary.automatic_failure ? " **AUTO-FAIL**" : ""}`
+  if (blinding) {
+    log("\n--- Blind Review ---");
+    log(
+      `  ${blindRedactions.reduce((n, r) => n + r.replacements, 0)} redaction(s) in ` +
+      `${new Set(blindRedactions.map((r) => r.file)).size} file(s); ` +
+      `${writes ? `mapping sealed to ${ctx.opts.blindMappingPath}` : "mapping not written"} (sha256 ${run.mappingSha256.slice(0, 12)})`
     );
+    for (const l of blindLeaks) {
+      log(`  LEAK ${l.file} ${l.location}: looks like ${l.pattern.replace("_", " ")} — add it to the deny-list`);
+    }
+  }
+}
 
-    if (consensus.inter_evaluator_analysis.divergence_count > 0) {
-      console.log(
-        `    Divergences: ${consensus.inter_evaluator_analysis.divergence_count} criteria need human review`
+/**
+ * Validate and build consensus candidate by candidate, then derive every
+ * output — the run behind aggregate, compare and report, which differ only
+ * in what they write and print. Returns { ctx, run }.
+ */
+function aggregateRun(command, args) {
+  const ctx = startRun(command, parseOptions(args));
+  const run = newRunState();
+  for (const candidateId of ctx.entries) {
+    const evals = loadCandidateEvals(ctx, candidateId, run);
+    if (evals) addCandidateConsensus(ctx, candidateId, evals, run);
+  }
+  const validationReport = reportValidation(ctx, run.fileResults);
+  run.validationReport = validationReport;
+
+  if (run.allConsensus.length === 0) {
+    if (ctx.writes) {
+      writeFileSync(
+        join(ctx.opts.outputDir, "validation-report.json"),
+        JSON.stringify(ctx.blindOutput("validation-report.json", validationReport), null, 2)
       );
     }
+    console.error("Error: No valid evaluations to aggregate");
+    process.exit(EXIT_CODES.error);
+  }
+
+  Object.assign(run, buildOutputs(ctx, run));
+  if (ctx.writes) writeRunRecords(ctx, run);
+  logRunSummary(ctx, run);
+
+  const { failOnLint } = ctx.opts;
+  run.lintFailures = failOnLint
+    ? run.allConsensus.flatMap((c) =>
+      c.evidence_lint.filter((el) => findingsAtOrAbove(el.counts, failOnLint) > 0)
+        .map((el) => `${c.candidate_id}/${el.evaluator}`)
+    )
+    : [];
+  return { ctx, run };
+}
+
+// --fail-on-lint and --strict fail the run once everything is written and printed
+function exitOnChecks(ctx, run) {
+  const { opts: { failOnLint, strict } } = ctx;
+  const { lintFailures, validationReport: { summary: validation } } = run;
+  if (lintFailures.length > 0) {
+    console.error(
+      `\nEvidence lint: ${lintFailures.length} eval file(s) with findings at or above "${failOnLint}" ` +
+      `(${lintFailures.join(", ")}) — failing the run (--fail-on-lint)`
+    );
+  }
+  if (strict && validation.rejected > 0) {
+    console.error(`\nValidation: ${validation.rejected} eval file(s) rejected — failing the run (--strict)`);
+  }
+  if (lintFailures.length > 0 || (strict && validation.rejected > 0)) {
+    process.exit(EXIT_CODES.check_failed);
   }
+}
 
-  // --- Cross-candidate comparison ---
-  if (allConsensus.length > 0) {
-    const comparison = buildComparison(allConsensus);
-    writeFileSync(join(outputDir, "comparison.json"), JSON.stringify(comparison, null, 2));
+// ---------------------------------------------------------------------------
+// Subcommands
+// ---------------------------------------------------------------------------
 
-    const comparisonMd = buildComparisonMarkdown(comparison);
-    writeFileSync(join(outputDir, "comparison.md"), comparisonMd);
+// `validate`: report accepted and rejected files; writes nothing but the CI reports
+function runValidate(args) {
+  const ctx = startRun("validate", parseOptions(args));
+  const state = newRunState();
+  for (const candidateId of ctx.entries) loadCandidateEvals(ctx, candidateId, state);
+  const validationReport = reportValidation(ctx, state.fileResults);
+  const { summary: validation } = validationReport;
+  if (ctx.opts.json) {
+    console.log(JSON.stringify({ command: "validate", ...validationReport }, null, 2));
+  } else {
+    ctx.log(
+      `\n${validation.files} file(s): ${validation.accepted} accepted, ${validation.partial} partial, ` +
+      `${validation.rejected} rejected`
+    );
+  }
+  process.exit(validation.rejected > 0 ? EXIT_CODES.check_failed : EXIT_CODES.ok);
+}
 
-    const agreementReport = buildAgreementReport(allConsensus);
-    writeFileSync(join(outputDir, "agreement-report.json"), JSON.stringify(agreementReport, null, 2));
+// `aggregate`: write every output; --json prints a run summary
+function runAggregate(args) {
+  const { ctx, run } = aggregateRun("aggregate", args);
+  if (ctx.opts.json) {
+    const { comparisonOutput, validationReport: { summary: validation } } = run;
+    console.log(JSON.stringify({
+      command: "aggregate",
+      output_dir: ctx.opts.outputDir,
+      outputs: run.written,
+      candidates: run.allConsensus.length,
+      validation_issues: run.totalErrors,
+      validation,
+      report_status: comparisonOutput.report_status,
+      ranking: comparisonOutput.ranking.map((r) => ({
+        rank: r.rank,
+        candidate_id: r.candidate_id,
+        final_score: r.final_score,
+        score_band: r.score_band,
+        automatic_failure: r.automatic_failure,
+        consensus_recommendation: r.consensus_recommendation,
+      })),
+      lint_failures: run.lintFailures,
+    }, null, 2));
+  }
+  exitOnChecks(ctx, run);
+}
 
-    console.log("\n--- Summary ---");
-    console.log(`Candidates processed: ${allConsensus.length}`);
-    console.log(`Validation issues: ${totalErrors}`);
-    console.log(`\nOutputs written to: ${outputDir}/`);
-    console.log("  - consensus-C-XXX.json  (per-candidate)");
-    console.log("  - comparison.json        (ranking)");
-    console.log("  - comparison.md          (readable table)");
-    console.log("  - agreement-report.json  (evaluator reliability)");
+// `compare`: print comparison.md, or comparison.json with --json
+function runCompare(args) {
+  const { ctx, run } = aggregateRun("compare", args);
+  console.log(ctx.opts.json ? JSON.stringify(run.comparisonOutput, null, 2) : run.comparisonMdOutput);
+  exitOnChecks(ctx, run);
+}
 
-    console.log("\n--- Rankings ---");
-    for (const r of comparison.ranking) {
-      const fail = r.automatic_failure ? " [AUTO-FAIL]" : "";
-      console.log(
-        `  #${r.rank}  ${r.candidate_id}  ${r.final_score} pts  ${r.score_band}  ${r.consensus_recommendation}${fail}`
-      );
-    }
+// `report`: print the agreement report, evaluator profiles and rubric health
+function runReport(args) {
+  const { ctx, run } = aggregateRun("report", args);
+  const { agreementOutput, profilesOutput, rubricHealthOutput } = run;
+  console.log(ctx.opts.json
+    ? JSON.stringify({
+      agreement_report: agreementOutput,
+      evaluator_profiles: profilesOutput.evaluators,
+      rubric_health: rubricHealthOutput,
+    }, null, 2)
+    : agreementSummary(agreementOutput, profilesOutput.evaluators, rubricHealthOutput).join("\n").trimStart());
+  exitOnChecks(ctx, run);
+}
+
+const HANDLERS = { validate: runValidate, aggregate: runAggregate, compare: runCompare, report: runReport, diff: runDiff };
+
+function main() {
+  const argv = process.argv.slice(2);
+  const command = COMMANDS[argv[0]] ? argv[0] : "aggregate";
+  const args = COMMANDS[argv[0]] ? argv.slice(1) : argv;
+
+  if (args.length === 0 || args.includes("--help")) {
+    printUsage();
+    process.exit(EXIT_CODES.ok);
   }
+  HANDLERS[command](args);
 }
 
-main();
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
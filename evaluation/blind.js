@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+
+/**
+ * Blind review: redaction, leak scan and the sealed un-blinding mapping
+ *
+ * candidate_id is anonymized, but each eval still carries a repo_url such as
+ * github.com/<owner>/roadmap-<handle>, and free text (a hiring_signal that
+ * opens with the candidate's first name) can identify the person. With
+ * --blind the aggregator:
+ *
+ *   - derives identifying tokens from every candidate's repo_url — the URL
+ *     itself, its owner and repository name, and the parts of the name
+ *     (split on - _ . and camelCase) — and adds the deny_list from
+ *     blind.json (or --blind-config). ignore_tokens drops generic URL and
+ *     path words ("roadmap", "github").
+ *   - replaces every token, as a whole word and case-insensitively, in every
+ *     string of every output file with the placeholder.
+ *   - scans the redacted outputs for what still looks identifying (URLs,
+ *     e-mail addresses, home directories, @handles) and reports each hit's
+ *     location in blind-review-report.json.
+ *   - writes candidate id → repo_url(s) and tokens to a separate mapping
+ *     file outside the output directory; its sha256 is recorded in
+ *     comparison.json so the mapping can be checked when it is opened.
+ *
+ * Un-blinding, after the report is final:
+ *   node blind.js <mapping-file> <comparison.json> [--force] [--json]
+ *
+ * Refuses (exit 2) while comparison.json still has candidates awaiting a
+ * reviewer's decision, unless --force; exits 1 when the mapping does not
+ * match the sha256 sealed into comparison.json.
+ */
+
+import { readFileSync, existsSync } from "node:fs";
+import { resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { contentHash } from "./adjudication.js";
+
+export const DEFAULT_BLIND_CONFIG_PATH = fileURLToPath(new URL("./blind.json", import.meta.url));
+
+// Words after "@" in code that evidence quotes: CSS at-rules and JSDoc tags
+const CODE_AT_WORDS = [
+  "media", "import", "supports", "keyframes", "font-face", "layer", "tailwind", "apply", "container", "page",
+  "param", "returns", "return", "example", "type", "typedef", "property", "throws", "see", "deprecated",
+];
+
+// Patterns that still look identifying after redaction. An e-mail address
+// needs an alphabetic top-level domain (not "react@19.0.0"); a handle may not
+// continue into a path or version ("@/components", "@scope/pkg@1.0").
+export const LEAK_PATTERNS = {
+  url: /\b(?:https?|file|local):\/\/(?!(?:localhost|127\.0\.0\.1)\b)\S+|\bwww\.\S+/i,
+  repo_host: /\b(?:github|gitlab|bitbucket)\.(?:com|org)\/\S+/i,
+  email: /[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[A-Za-z]{2,}(?![\w.-]*\d)/,
+  home_path: /\/(?:home|Users)\/[^\s/]+/,
+  handle: new RegExp(
+    `(?<![\\w.@/])@(?!(?:${CODE_AT_WORDS.join("|")})(?![\\w-]))[A-Za-z0-9][A-Za-z0-9-]{1,38}(?![\\w/@-])`
+  ),
+};
+
+// ---------------------------------------------------------------------------
+// Config
+// ---------------------------------------------------------------------------
+
+export function loadBlindConfig(path = DEFAULT_BLIND_CONFIG_PATH) {
+  let file;
+  try {
+    file = JSON.parse(readFileSync(path, "utf-8"));
+  } catch (err) {
+    throw new Error(`Cannot read blind-review config ${path}: ${err.message}`);
+  }
+  const problems = [];
+  const isStringList = (v) => Array.isArray(v) && v.every((s) => typeof s === "string" && s.trim() !== "");
+  if (!isStringList(file.deny_list ?? [])) problems.push("deny_list must be an array of non-empty strings");
+  if (!isStringList(file.ignore_tokens ?? [])) problems.push("ignore_tokens must be an array of non-empty strings");
+  if (!Number.isInteger(file.min_token_length ?? 3) || (file.min_token_length ?? 3) < 1) {
+    problems.push("min_token_length must be a positive integer");
+  }
+  if (typeof (file.placeholder ?? "[REDACTED]") !== "string") problems.push("placeholder must be a string");
+  if (problems.length > 0) {
+    throw new Error(`Invalid blind-review config ${path}: ${problems.join("; ")}`);
+  }
+  return {
+    path,
+    denyList: file.deny_list ?? [],
+    ignoreTokens: (file.ignore_tokens ?? []).map((t) => t.toLowerCase()),
+    minTokenLength: file.min_token_length ?? 3,
+    placeholder: file.placeholder ?? "[REDACTED]",
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Identifying tokens
+// ---------------------------------------------------------------------------
+
+/**
+ * Tokens that identify the candidate behind one repo_url: the URL, the
+ * owner and repository name, and the name's parts. Accepts URLs
+ * (https://github.com/o/r), local paths (/home/o/r, local:///home/o/r) and
+ * an optional trailing annotation ("… (branch: x @ abc123)").
+ */
+export function repoTokens(repoUrl, config) {
+  if (typeof repoUrl !== "string" || repoUrl.trim() === "") return [];
+  const path = repoUrl
+    .replace(/\s*\(.*\)\s*$/, "")
+    .replace(/^[a-z]+:\/\/(?:[^/]*@)?/i, "/")
+    .replace(/\.git$/, "");
+  const segments = path.split("/").filter(Boolean);
+  const [owner, name] = segments.length >= 2 ? segments.slice(-2) : [null, segments[0]];
+  const ignored = (t) => config.ignoreTokens.includes(t.toLowerCase()) || /^\d+$/.test(t);
+
+  const tokens = new Set([repoUrl.trim()]);
+  for (const whole of [owner, name]) {
+    if (!whole || ignored(whole)) continue;
+    tokens.add(whole);
+    for (const part of whole.split(/[-_.]+/)) {
+      const pieces = [part, ...(part.match(/[A-Z]+(?=[A-Z][a-z])|[A-Z]?[a-z]+|\d+/g) ?? [])];
+      // "nirajang20" is also written "nirajang"
+      for (const token of pieces.flatMap((p) => [p, p.replace(/\d+$/, "")])) {
+        if (token.length >= config.minTokenLength && !ignored(token)) tokens.add(token);
+      }
+    }
+  }
+  return [...tokens];
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * `candidates` is [{ candidateId, evals }]. Returns { matcher, placeholder,
+ * mapping } — `matcher` finds every identifying token of every candidate
+ * (a candidate can be named in another's evals), longest first.
+ */
+export function buildBlinding(candidates, config) {
+  const mapping = {};
+  const all = new Set(config.denyList);
+  for (const { candidateId, evals } of candidates) {
+    const repoUrls = [...new Set(evals.map((e) => e.evaluation_metadata?.repo_url).filter(Boolean))].sort();
+    const tokens = [...new Set(repoUrls.flatMap((url) => repoTokens(url, config)))];
+    for (const t of tokens) all.add(t);
+    mapping[candidateId] = { repo_urls: repoUrls, identifying_tokens: tokens };
+  }
+  const alternatives = [...all].sort((a, b) => b.length - a.length || a.localeCompare(b)).map(escapeRegExp);
+  return {
+    matcher: alternatives.length > 0
+      ? new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives.join("|")})(?![\\p{L}\\p{N}_])`, "giu")
+      : null,
+    placeholder: config.placeholder,
+    mapping: { deny_list: config.denyList, candidates: mapping },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Redaction and leak scan
+// ---------------------------------------------------------------------------
+
+// Every string in `value` with its JSON Pointer (object keys are not visited)
+function mapStrings(value, fn, pointer = "") {
+  if (typeof value === "string") return fn(value, pointer);
+  if (Array.isArray(value)) return value.map((v, i) => mapStrings(v, fn, `${pointer}/${i}`));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, mapStrings(v, fn, `${pointer}/${k}`)]));
+  }
+  return value;
+}
+
+/**
+ * Redacted copy of any JSON value (or a string). Returns
+ * { value, redactions: [{ location, replacements }] }.
+ */
+export function redact(value, blinding) {
+  const redactions = [];
+  const redacted = mapStrings(value, (text, location) => {
+    if (!blinding.matcher) return text;
+    let replacements = 0;
+    const out = text.replace(blinding.matcher, () => {
+      replacements++;
+      return blinding.placeholder;
+    });
+    if (replacements > 0) redactions.push({ location: location || "/", replacements });
+    return out;
+  });
+  return { value: redacted, redactions };
+}
+
+/** Strings in `value` matching a LEAK_PATTERNS entry: [{ location, pattern }]. */
+export function scanLeaks(value) {
+  const leaks = [];
+  mapStrings(value, (text, location) => {
+    for (const [pattern, re] of Object.entries(LEAK_PATTERNS)) {
+      if (re.test(text)) leaks.push({ location: location || "/", pattern });
+    }
+    return text;
+  });
+  return leaks;
+}
+
+/** Sealed mapping file contents; its sha256 goes into comparison.json. */
+export function sealedMapping(blinding, sealedAt) {
+  return JSON.stringify({
+    $comment: "Un-blinding mapping for a blind review. Keep it away from reviewers until decisions are final; " +
+      "open it with: node evaluation/blind.js <this-file> <comparison.json>",
+    sealed_at: sealedAt,
+    ...blinding.mapping,
+  }, null, 2);
+}
+
+// ---------------------------------------------------------------------------
+// CLI: un-blinding
+// ---------------------------------------------------------------------------
+
+function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length < 2 || args.includes("--help")) {
+    console.log(`
+Roadmap Engine Blind Review — un-blinding
+
+Usage:
+  node blind.js <mapping-file> <comparison.json> [--force] [--json]
+
+Checks the mapping against the sha256 sealed into comparison.json and prints
+each ranked candidate's repository. Refuses while candidates still need a
+reviewer's decision.
+
+Options:
+  --force  Un-blind a draft report
+  --json   Print the un-blinded ranking as JSON
+`);
+    process.exit(args.includes("--help") ? 0 : 1);
+  }
+
+  const [mappingPath, comparisonPath] = args.filter((a) => !a.startsWith("--"));
+  for (const p of [mappingPath, comparisonPath]) {
+    if (!p || !existsSync(p)) {
+      console.error(`Error: Not found: ${p}`);
+      process.exit(1);
+    }
+  }
+
+  let raw;
+  let mapping;
+  let comparison;
+  try {
+    raw = readFileSync(mappingPath, "utf-8");
+    mapping = JSON.parse(raw);
+    comparison = JSON.parse(readFileSync(comparisonPath, "utf-8"));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  const sealed = comparison.blind_review?.mapping_sha256;
+  if (!sealed) {
+    console.error(`Error: ${comparisonPath} is not from a blind run`);
+    process.exit(1);
+  }
+  if (contentHash(raw) !== sealed) {
+    console.error(`Error: ${mappingPath} does not match the mapping sealed into ${comparisonPath}`);
+    process.exit(1);
+  }
+  if (!comparison.report_status?.final && !args.includes("--force")) {
+    console.error(
+      `Refusing to un-blind: ${comparison.report_status?.candidates_needing_review?.join(", ")} ` +
+      "still need a reviewer's decision (--force to override)"
+    );
+    process.exit(2);
+  }
+
+  const rows = comparison.ranking.map((r) => ({
+    rank: r.rank,
+    candidate_id: r.candidate_id,
+    final_score: r.final_score,
+    consensus_recommendation: r.consensus_recommendation,
+    repo_urls: mapping.candidates?.[r.candidate_id]?.repo_urls ?? [],
+  }));
+  if (args.includes("--json")) {
+    console.log(JSON.stringify({ sealed_at: mapping.sealed_at, ranking: rows }, null, 2));
+    return;
+  }
+  console.log(`Mapping sealed ${mapping.sealed_at}; report ${comparison.report_status?.final ? "final" : "draft (--force)"}\n`);
+  for (const r of rows) {
+    console.log(`${String(r.rank).padStart(3)}  ${r.candidate_id}  ${r.final_score}  ${r.consensus_recommendation}  ${r.repo_urls.join(", ")}`);
+  }
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
@@ -0,0 +1,191 @@
+/**
+ * Evaluator calibration profiles and bias-adjusted consensus
+ *
+ * A raw median cannot tell a consistently harsh (or generous) evaluator
+ * apart from genuine disagreement about a candidate. Using the evaluator
+ * scores carried in every consensus result, this module builds a profile
+ * per evaluator across the whole candidate pool:
+ *
+ *   - mean offset from consensus (criterion level) and on the final score
+ *   - leniency per category (mean criterion offset within the category)
+ *   - outlier frequency: how often it is the single evaluator farthest
+ *     from the median on a criterion where evaluators disagree
+ *   - sole divergence cause: how often removing just this evaluator would
+ *     bring a flagged criterion (std dev > 1.0) back under the threshold
+ *
+ * calibrationOffsets() turns the profiles into per-evaluator, per-category
+ * bias estimates that buildConsensus() subtracts before taking the median
+ * in --calibrate mode. Offsets are measured against the raw consensus,
+ * which includes the evaluator itself, so they slightly understate the
+ * true bias — a deliberately conservative correction.
+ */
+
+import { mean, stddev, median, round } from "./stats.js";
+
+// Mean category offset beyond which an evaluator is labeled lenient/harsh
+export const LENIENCY_THRESHOLD = 0.25;
+
+// Evaluators who scored fewer candidates than this are not calibrated:
+// their offset estimate is too noisy to correct with.
+export const MIN_CANDIDATES_FOR_CALIBRATION = 3;
+
+// Must match the divergence threshold in buildConsensus()
+const DIVERGENCE_STD_DEV = 1.0;
+
+function leniencyLabel(offset) {
+  if (offset > LENIENCY_THRESHOLD) return "lenient";
+  if (offset < -LENIENCY_THRESHOLD) return "harsh";
+  return "neutral";
+}
+
+/**
+ * Build one profile per evaluator from raw (uncalibrated) consensus results.
+ * Returns profiles sorted by evaluator id.
+ */
+export function buildEvaluatorProfiles(consensusResults) {
+  const acc = {};
+  const entry = (id) => (acc[id] ||= {
+    evaluator: id,
+    candidates: new Set(),
+    offsets: [],
+    categoryOffsets: {},
+    finalOffsets: [],
+    itemsContested: 0,
+    outliers: [],
+    divergencesInvolved: 0,
+    soleCauses: [],
+  });
+
+  for (const c of consensusResults) {
+    for (const es of c.evaluator_scores) {
+      const e = entry(es.evaluator);
+      e.candidates.add(c.candidate_id);
+      e.finalOffsets.push(es.final_score - c.scoring_summary.final_score);
+    }
+
+    for (const [cat, block] of Object.entries(c.rubric_consensus)) {
+      for (const [crit, cc] of Object.entries(block.criteria)) {
+        const rated = c.evaluator_scores
+          .filter((es) => typeof es.criterion_scores[crit] === "number")
+          .map((es) => ({ evaluator: es.evaluator, score: es.criterion_scores[crit] }));
+        const consensusScore = cc.raw_consensus_score ?? cc.consensus_score;
+
+        for (const r of rated) {
+          const e = entry(r.evaluator);
+          const diff = r.score - consensusScore;
+          e.offsets.push(diff);
+          (e.categoryOffsets[cat] ||= []).push(diff);
+        }
+
+        // Outlier: the single evaluator farthest from the median, when
+        // evaluators disagree at all
+        const med = median(rated.map((r) => r.score));
+        const devs = rated.map((r) => ({ ...r, dev: Math.abs(r.score - med) }));
+        const maxDev = Math.max(0, ...devs.map((d) => d.dev));
+        if (maxDev > 0) {
+          for (const r of rated) entry(r.evaluator).itemsContested++;
+          const farthest = devs.filter((d) => d.dev === maxDev);
+          if (farthest.length === 1) {
+            entry(farthest[0].evaluator).outliers.push({
+              candidate_id: c.candidate_id,
+              criterion: crit,
+              score: farthest[0].score,
+              median: med,
+            });
+          }
+        }
+
+        // Sole divergence cause: removing exactly one evaluator resolves it
+        if (stddev(rated.map((r) => r.score)) > DIVERGENCE_STD_DEV) {
+          const resolvers = rated.filter((r) => {
+            const others = rated.filter((o) => o !== r).map((o) => o.score);
+            return stddev(others) <= DIVERGENCE_STD_DEV;
+          });
+          for (const r of rated) entry(r.evaluator).divergencesInvolved++;
+          if (resolvers.length === 1) {
+            entry(resolvers[0].evaluator).soleCauses.push({
+              candidate_id: c.candidate_id,
+              criterion: crit,
+              scores: rated.map((r) => r.score),
+            });
+          }
+        }
+      }
+    }
+  }
+
+  return Object.values(acc)
+    .sort((a, b) => a.evaluator.localeCompare(b.evaluator))
+    .map((e) => {
+      const meanOffset = mean(e.offsets);
+      const categoryOffsets = {};
+      const categoryLeniency = {};
+      for (const [cat, diffs] of Object.entries(e.categoryOffsets)) {
+        categoryOffsets[cat] = round(mean(diffs), 3);
+        categoryLeniency[cat] = leniencyLabel(mean(diffs));
+      }
+      return {
+        evaluator: e.evaluator,
+        candidates_scored: e.candidates.size,
+        criteria_scored: e.offsets.length,
+        mean_offset: round(meanOffset, 3),
+        mean_absolute_offset: round(mean(e.offsets.map(Math.abs)), 3),
+        final_score_offset: round(mean(e.finalOffsets), 2),
+        leniency: leniencyLabel(meanOffset),
+        category_offsets: categoryOffsets,
+        category_leniency: categoryLeniency,
+        contested_criteria: e.itemsContested,
+        outlier_count: e.outliers.length,
+        outlier_rate: e.itemsContested > 0 ? round(e.outliers.length / e.itemsContested, 3) : 0,
+        outliers: e.outliers,
+        divergences_involved: e.divergencesInvolved,
+        sole_divergence_cause_count: e.soleCauses.length,
+        sole_divergence_causes: e.soleCauses,
+        calibration_eligible: e.candidates.size >= MIN_CANDIDATES_FOR_CALIBRATION,
+      };
+    });
+}
+
+/**
+ * Per-evaluator, per-category bias estimates to subtract in --calibrate
+ * mode: { [evaluator]: { [category]: offset } }. Evaluators below
+ * MIN_CANDIDATES_FOR_CALIBRATION are left out (treated as unbiased).
+ */
+export function calibrationOffsets(profiles) {
+  const offsets = {};
+  for (const p of profiles) {
+    if (!p.calibration_eligible) continue;
+    offsets[p.evaluator] = { ...p.category_offsets };
+  }
+  return offsets;
+}
+
+/**
+ * Compare raw and calibrated rankings (both buildComparison() results).
+ * Ranks here are positions in the strict order, so a candidate that only
+ * moves within a shared-rank group still shows as moved.
+ */
+export function buildCalibrationReport(profiles, rawComparison, calibratedComparison) {
+  const rawById = Object.fromEntries(rawComparison.ranking.map((r) => [r.candidate_id, r]));
+  const changes = calibratedComparison.ranking.map((cal) => {
+    const raw = rawById[cal.candidate_id];
+    return {
+      candidate_id: cal.candidate_id,
+      raw_rank: raw.position,
+      calibrated_rank: cal.position,
+      rank_change: raw.position - cal.position,
+      raw_final_score: raw.final_score,
+      calibrated_final_score: cal.final_score,
+      score_change: round(cal.final_score - raw.final_score, 2),
+      raw_band: raw.score_band,
+      calibrated_band: cal.score_band,
+    };
+  });
+  return {
+    offsets_applied: calibrationOffsets(profiles),
+    uncalibrated_evaluators: profiles.filter((p) => !p.calibration_eligible).map((p) => p.evaluator),
+    ranking_changes: changes,
+    candidates_moved: changes.filter((c) => c.rank_change !== 0).length,
+    band_changes: changes.filter((c) => c.raw_band !== c.calibrated_band).length,
+  };
+}
@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+
+/**
+ * Evidence citation verifier
+ *
+ * Evaluators cite evidence as `path:line` or `path:start-end`
+ * (`scripts/governance/index.mjs:22`, `src/components/TopBar.tsx:83-85`).
+ * This module extracts every such citation from the `evidence` and `notes`
+ * strings and the `qualitative_summary` of an eval file, and checks it
+ * against a local clone of the candidate's repository:
+ *
+ *   ok                 the file exists and the lines are within it
+ *   missing_file       no such file in the repository, or a dangling symlink
+ *   line_out_of_range  the file exists but is shorter than the cited line,
+ *                      or the range is empty (start > end, line 0)
+ *   outside_repo       the path escapes the repository (`..`, symlinks)
+ *   ambiguous          a partial path (`TopBar.tsx:9`) that matches several
+ *                      files; not counted either way
+ *
+ * A citation may be a suffix of the real path — `Sidebar.tsx:8-54` resolves
+ * to `src/components/Sidebar.tsx` when that is the only match. Paths without
+ * a line number are checked only when they contain a directory, so library
+ * names such as `chart.js` are not mistaken for files. URLs are ignored.
+ *
+ * Citation accuracy is ok / (citations − ambiguous). The aggregator runs the
+ * check with --repos and reports the rate per evaluator in the agreement
+ * report.
+ *
+ * Usage:
+ *   node citations.js <eval-file-or-candidate-dir> --repo <candidate-clone> [--json]
+ */
+
+import { spawnSync } from "node:child_process";
+import { existsSync, readdirSync, readFileSync, realpathSync, statSync } from "node:fs";
+import { basename, join, relative, resolve, sep } from "node:path";
+import { fileURLToPath } from "node:url";
+import { isAdjudicationFile } from "./adjudication.js";
+import { isGateRunFile } from "./gate-runner.js";
+
+// Evaluators whose citation accuracy is below this are flagged
+export const CITATION_ACCURACY_THRESHOLD = 0.9;
+
+const URL_PATTERN = /\b[a-z][a-z0-9+.-]*:\/\/\S+/gi;
+// Path segments: plain names, Next.js route groups "(group)" and dynamic
+// segments "[slug]"; the last segment needs a file extension
+const SEGMENT = String.raw`(?:\([\w-]+\)|[\w@.\[\]-]+)`;
+const CITATION_PATTERN = new RegExp(
+  String.raw`(?<![\w@.\/-])((?:\.{1,2}\/|\/)?(?:${SEGMENT}\/)*[\w@\[\]-][\w@.\[\]-]*\.[A-Za-z][A-Za-z0-9]{0,5})` +
+    String.raw`(?::(\d+)(?:\s*[-–]\s*(\d+))?)?(?![\w\/])`,
+  "g"
+);
+const IGNORED_DIRS = new Set(["node_modules", ".git"]);
+
+// ---------------------------------------------------------------------------
+// Extraction
+// ---------------------------------------------------------------------------
+
+/** Citations in one string: [{ text, path, start, end }] (start/end null without lines). */
+export function parseCitations(text) {
+  const citations = [];
+  for (const m of String(text).replace(URL_PATTERN, (url) => " ".repeat(url.length)).matchAll(CITATION_PATTERN)) {
+    const [, path, start, end] = m;
+    if (start === undefined && !path.includes("/")) continue;
+    citations.push({
+      text: m[0],
+      path,
+      start: start === undefined ? null : Number(start),
+      end: start === undefined ? null : Number(end ?? start),
+    });
+  }
+  return citations;
+}
+
+/**
+ * Every citation in an eval's evidence, notes and qualitative summary, with
+ * the JSON Pointer of the string it came from.
+ */
+export function extractCitations(eval_) {
+  const found = [];
+  const walk = (value, pointer, cited) => {
+    if (typeof value === "string") {
+      if (cited) for (const c of parseCitations(value)) found.push({ location: pointer, ...c });
+    } else if (Array.isArray(value)) {
+      value.forEach((v, i) => walk(v, `${pointer}/${i}`, cited));
+    } else if (value && typeof value === "object") {
+      for (const [key, v] of Object.entries(value)) {
+        walk(v, `${pointer}/${key}`, cited || key === "evidence" || key === "notes" || key === "qualitative_summary");
+      }
+    }
+  };
+  walk(eval_, "", false);
+  return found;
+}
+
+// ---------------------------------------------------------------------------
+// Verification
+// ---------------------------------------------------------------------------
+
+// Symlinked directories are not indexed: citations through them resolve to
+// the real path (see resolvePath), and they may loop or leave the checkout. Dangling links are kept so a
+// citation of one is reported rather than resolved to another file.
+function linksToDirectory(path) {
+  try {
+    return statSync(path).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+function listRepoFiles(root) {
+  const files = [];
+  const walk = (dir) => {
+    for (const entry of readdirSync(dir, { withFileTypes: true })) {
+      const full = join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRS.has(entry.name)) walk(full);
+      } else if (entry.isFile() || (entry.isSymbolicLink() && !linksToDirectory(full))) {
+        files.push(relative(root, full).split(sep).join("/"));
+      }
+    }
+  };
+  walk(root);
+  return files.sort();
+}
+
+/**
+ * Index a checkout for verifyCitations(). Line counts are read lazily.
+ * Returns { root, commit, files: Set, lineCount(path) }.
+ */
+export function indexRepository(repoPath) {
+  const root = realpathSync(resolve(repoPath));
+  const files = new Set(listRepoFiles(root));
+  const lineCounts = new Map();
+  const git = spawnSync("git", ["rev-parse", "HEAD"], { cwd: root, encoding: "utf-8", timeout: 10_000 });
+  return {
+    root,
+    commit: git.status === 0 ? git.stdout.trim() : null,
+    files,
+    lineCount(path) {
+      if (!lineCounts.has(path)) {
+        const content = readFileSync(join(root, path), "utf-8");
+        lineCounts.set(path, content === "" ? 0 : content.replace(/\r?\n$/, "").split(/\r?\n/).length);
+      }
+      return lineCounts.get(path);
+    },
+  };
+}
+
+function insideRoot(root, path) {
+  const rel = relative(root, path);
+  return rel !== "" && !rel.startsWith("..") && !rel.startsWith(sep) && !/^[A-Za-z]:/.test(rel);
+}
+
+// Real path of a repository path, or null when it cannot be resolved (a
+// dangling symlink, a link loop)
+function realPath(repo, path) {
+  try {
+    return realpathSync(join(repo.root, path));
+  } catch {
+    return null;
+  }
+}
+
+// Candidate repository paths for a cited path, best match first
+function resolvePath(repo, cited) {
+  const path = cited.replace(/^@\//, "src/").replace(/^\.\//, "");
+  if (path.startsWith("../") || path.includes("/../")) {
+    const full = resolve(repo.root, path);
+    if (!insideRoot(repo.root, full)) return { status: "outside_repo", matches: [] };
+  }
+  const normalized = relative(repo.root, resolve(repo.root, path.replace(/^\//, ""))).split(sep).join("/");
+  for (const candidate of [normalized, `public/${normalized}`]) {
+    if (repo.files.has(candidate)) return { status: "found", matches: [candidate] };
+  }
+  const matches = [...repo.files].filter((f) => f.endsWith(`/${normalized}`));
+  if (matches.length > 0) return { status: "found", matches };
+  // A path through a symlinked directory counts as its real path
+  const real = realPath(repo, normalized);
+  const target = real && insideRoot(repo.root, real) ? relative(repo.root, real).split(sep).join("/") : null;
+  return target && repo.files.has(target) ? { status: "found", matches: [target] } : { status: "missing_file", matches };
+}
+
+function lineStatus(repo, path, c) {
+  if (c.start === null) return "ok";
+  if (c.start < 1 || c.end < c.start) return "line_out_of_range";
+  return c.end <= repo.lineCount(path) ? "ok" : "line_out_of_range";
+}
+
+export function verifyCitation(repo, c) {
+  const { status, matches } = resolvePath(repo, c.path);
+  if (status !== "found") return { ...c, status, resolved_path: null };
+
+  // Symlinks can dangle or point out of the checkout
+  const reals = matches.map((m) => realPath(repo, m));
+  if (matches.length === 1 && reals[0] === null) {
+    return { ...c, status: "missing_file", resolved_path: matches[0] };
+  }
+  if (matches.length === 1 && !insideRoot(repo.root, reals[0])) {
+    return { ...c, status: "outside_repo", resolved_path: matches[0] };
+  }
+  if (matches.length > 1) {
+    if (reals.some((r) => r === null)) return { ...c, status: "ambiguous", resolved_path: null, matches };
+    // Fine if the lines fit every match; unknown otherwise
+    const fits = matches.every((m) => lineStatus(repo, m, c) === "ok");
+    return { ...c, status: fits ? "ok" : "ambiguous", resolved_path: null, matches };
+  }
+  const result = { ...c, status: lineStatus(repo, matches[0], c), resolved_path: matches[0] };
+  if (result.status === "line_out_of_range") result.file_lines = repo.lineCount(matches[0]);
+  return result;
+}
+
+/**
+ * Check every citation in one eval against an indexed repository.
+ * Returns { total, checked, verified, accuracy, by_status, problems }.
+ */
+export function verifyCitations(eval_, repo) {
+  const results = extractCitations(eval_).map((c) => verifyCitation(repo, c));
+  const byStatus = { ok: 0, missing_file: 0, line_out_of_range: 0, outside_repo: 0, ambiguous: 0 };
+  for (const r of results) byStatus[r.status]++;
+  const checked = results.length - byStatus.ambiguous;
+  return {
+    total: results.length,
+    checked,
+    verified: byStatus.ok,
+    accuracy: checked > 0 ? Math.round((byStatus.ok / checked) * 100) / 100 : null,
+    by_status: byStatus,
+    problems: results.filter((r) => r.status !== "ok"),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// CLI
+// ---------------------------------------------------------------------------
+
+function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args.includes("--help")) {
+    console.log(`
+Roadmap Engine Evidence Citation Verifier
+
+Usage:
+  node citations.js <eval-file-or-candidate-dir> --repo <candidate-clone> [--json]
+
+Checks every path:line citation in the evidence, notes and qualitative
+summary of the eval file(s) against the candidate's repository.
+
+Options:
+  --repo <dir>  Local clone of the candidate's repository (required)
+  --json        Print the full result as JSON
+
+Exit codes:
+  0  every checkable citation resolved
+  1  usage error
+  2  some citations point at missing files, lines or paths outside the repo
+`);
+    process.exit(0);
+  }
+
+  const repoIdx = args.indexOf("--repo");
+  const repoPath = repoIdx >= 0 ? args[repoIdx + 1] : undefined;
+  if (!repoPath || !existsSync(repoPath) || !statSync(repoPath).isDirectory()) {
+    console.error(`Error: --repo must name the candidate's checkout${repoPath ? ` (not found: ${repoPath})` : ""}`);
+    process.exit(1);
+  }
+  const target = args[0];
+  if (!existsSync(target)) {
+    console.error(`Error: Not found: ${target}`);
+    process.exit(1);
+  }
+  const files = statSync(target).isDirectory()
+    ? readdirSync(target)
+      .filter((f) => f.endsWith(".json") && !isAdjudicationFile(f) && !isGateRunFile(f))
+      .sort()
+      .map((f) => join(target, f))
+    : [target];
+
+  const repo = indexRepository(repoPath);
+  const results = [];
+  for (const file of files) {
+    let parsed;
+    try {
+      parsed = JSON.parse(readFileSync(file, "utf-8"));
+    } catch (err) {
+      console.error(`Error reading ${file}: ${err.message}`);
+      process.exit(1);
+    }
+    results.push({
+      file: basename(file),
+      evaluator: parsed.evaluation_metadata?.evaluator ?? null,
+      ...verifyCitations(parsed, repo),
+    });
+  }
+
+  if (args.includes("--json")) {
+    console.log(JSON.stringify({ repo: repo.root, commit: repo.commit, files: results }, null, 2));
+  } else {
+    console.log(`Repository: ${repo.root}${repo.commit ? ` @ ${repo.commit.slice(0, 12)}` : ""}`);
+    for (const r of results) {
+      console.log(
+        `\n  ${r.file} (${r.evaluator ?? "unknown evaluator"}): ${r.verified}/${r.checked} citation(s) verified` +
+        `${r.accuracy === null ? "" : ` — accuracy ${r.accuracy}`}${r.by_status.ambiguous ? `, ${r.by_status.ambiguous} ambiguous` : ""}`
+      );
+      for (const p of r.problems) {
+        const detail = p.status === "line_out_of_range" && p.file_lines !== undefined ? ` (file has ${p.file_lines} lines)` : "";
+        console.log(`    ${p.status}: ${p.text}${detail} at ${p.location}`);
+      }
+    }
+  }
+  process.exit(results.some((r) => r.problems.some((p) => p.status !== "ambiguous")) ? 2 : 0);
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
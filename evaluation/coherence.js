@@ -0,0 +1,75 @@
+/**
+ * Recommendation / score coherence
+ *
+ * The recommendation is aggregated on its own ordinal scale, independently
+ * of the score, so nothing stops an evaluator — or the consensus — from
+ * pairing "Strong Hire" with a Below Expectations score, or "Hire" with an
+ * automatic failure. `recommendation_coherence` in rubrics.json gives each
+ * score band, and automatic failure, the range of recommendations that fit
+ * it, as [best, worst] on the recommendation scale.
+ *
+ * checkCoherence() tests one band / auto-fail / recommendation outcome
+ * against those ranges. The aggregator runs it on each evaluator's own
+ * recomputed outcome and on the consensus. An incoherent consensus is a
+ * pending review item: a reviewer confirms or changes the recommendation
+ * with a `recommendation` decision in the adjudication file before the
+ * report counts as final.
+ */
+
+// Recommendations from `best` to `worst`, inclusive
+function expand([best, worst], order) {
+  return order.slice(order.indexOf(best), order.indexOf(worst) + 1);
+}
+
+/**
+ * Recommendations that fit a score band and automatic failure status under
+ * the rubric's coherence rules, best first. Null when the rubric has none.
+ */
+export function allowedRecommendations(scoreBand, automaticFailure, rubric) {
+  const rules = rubric.recommendationCoherence;
+  if (!rules) return null;
+  const order = rubric.recommendationOrder;
+  let allowed = rules.scoreBands[scoreBand] ? expand(rules.scoreBands[scoreBand], order) : [...order];
+  if (automaticFailure && rules.automaticFailure) {
+    const failAllowed = expand(rules.automaticFailure, order);
+    allowed = allowed.filter((r) => failAllowed.includes(r));
+  }
+  return allowed;
+}
+
+/**
+ * Check one outcome: { score_band, automatic_failure, recommendation }.
+ * Returns null when the rubric has no coherence rules, else
+ * { ...outcome, coherent, allowed, violations: [{ rule, message }] } —
+ * `coherent` is null when there is no recommendation on the scale to check.
+ */
+export function checkCoherence({ score_band, automatic_failure, recommendation }, rubric) {
+  const rules = rubric.recommendationCoherence;
+  if (!rules) return null;
+  const order = rubric.recommendationOrder;
+  const outcome = { score_band, automatic_failure, recommendation };
+  const allowed = allowedRecommendations(score_band, automatic_failure, rubric);
+  if (!order.includes(recommendation)) {
+    return { ...outcome, coherent: null, allowed, violations: [] };
+  }
+
+  const violations = [];
+  const bandRange = rules.scoreBands[score_band];
+  if (bandRange && !expand(bandRange, order).includes(recommendation)) {
+    violations.push({
+      rule: "score_band",
+      message: `"${recommendation}" does not fit the ${score_band} band (expected ${rangeText(bandRange)})`,
+    });
+  }
+  if (automatic_failure && rules.automaticFailure && !expand(rules.automaticFailure, order).includes(recommendation)) {
+    violations.push({
+      rule: "automatic_failure",
+      message: `"${recommendation}" despite an automatic failure (expected ${rangeText(rules.automaticFailure)})`,
+    });
+  }
+  return { ...outcome, coherent: violations.length === 0, allowed, violations };
+}
+
+function rangeText([best, worst]) {
+  return best === worst ? best : `${best} to ${worst}`;
+}
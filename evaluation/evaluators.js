@@ -0,0 +1,119 @@
+/**
+ * Evaluator registry for the evaluation aggregator
+ *
+ * The same evaluator can appear under several names — `codex`, `codex-gpt5`
+ * and `codex-gpt-5` in evaluation_metadata.evaluator, `eval-codex.json` vs
+ * `eval-codex-gpt5.json` on disk. Cross-candidate analyses (reliability,
+ * calibration profiles) key on the evaluator id, so every name is mapped to
+ * one canonical id before aggregation. The registry (evaluation/evaluators.json
+ * by default) lists each canonical evaluator with its aliases, its kind
+ * (human or agent), for agents the model family, and an optional `trust`
+ * weight (default 1) used by the weighted aggregation strategies.
+ *
+ * Names are matched case-insensitively. A name that is not in the registry
+ * is its own canonical id, with kind "unknown".
+ */
+
+import { readFileSync } from "node:fs";
+import { basename } from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const DEFAULT_REGISTRY_PATH = fileURLToPath(new URL("./evaluators.json", import.meta.url));
+
+const EVALUATOR_KINDS = ["agent", "human"];
+
+function normalizeName(name) {
+  return String(name).trim().toLowerCase();
+}
+
+/**
+ * Load and check an evaluator registry file.
+ * Returns { path, evaluators: { [id]: { id, kind, model_family, trust, aliases } }, index }
+ * where `index` maps every normalized id and alias to its canonical id.
+ * Throws with a descriptive message if the file is invalid or two
+ * evaluators claim the same alias.
+ */
+export function loadEvaluatorRegistry(path = DEFAULT_REGISTRY_PATH) {
+  let file;
+  try {
+    file = JSON.parse(readFileSync(path, "utf-8"));
+  } catch (err) {
+    throw new Error(`Cannot read evaluator registry ${path}: ${err.message}`);
+  }
+
+  const problems = [];
+  const evaluators = {};
+  const index = new Map();
+  const claim = (name, id) => {
+    const key = normalizeName(name);
+    const owner = index.get(key);
+    if (owner && owner !== id) {
+      problems.push(`"${name}" is claimed by both ${owner} and ${id}`);
+      return;
+    }
+    index.set(key, id);
+  };
+
+  for (const [id, def] of Object.entries(file.evaluators || {})) {
+    if (!EVALUATOR_KINDS.includes(def.kind)) {
+      problems.push(`${id}: kind must be one of ${EVALUATOR_KINDS.join(", ")}`);
+    }
+    if (def.trust !== undefined && !(typeof def.trust === "number" && def.trust > 0)) {
+      problems.push(`${id}: trust must be a positive number`);
+    }
+    if (def.aliases !== undefined && !Array.isArray(def.aliases)) {
+      problems.push(`${id}: aliases must be an array`);
+    }
+    evaluators[id] = {
+      id,
+      kind: def.kind,
+      model_family: def.model_family ?? null,
+      trust: def.trust ?? 1,
+      aliases: def.aliases || [],
+    };
+    claim(id, id);
+    for (const alias of evaluators[id].aliases) claim(alias, id);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid evaluator registry ${path}: ${problems.join("; ")}`);
+  }
+  return { path, evaluators, index };
+}
+
+// { [canonical id]: trust } for the weighted aggregation strategies
+export function trustWeights(registry) {
+  return Object.fromEntries(Object.values(registry.evaluators).map((e) => [e.id, e.trust]));
+}
+
+/**
+ * Resolve a reported evaluator name to its registry identity:
+ * { evaluator, reported_as, kind, model_family, registered }.
+ */
+export function resolveEvaluator(registry, name) {
+  const id = registry.index.get(normalizeName(name));
+  if (!id) {
+    return {
+      evaluator: normalizeName(name),
+      reported_as: name,
+      kind: "unknown",
+      model_family: null,
+      registered: false,
+    };
+  }
+  const def = registry.evaluators[id];
+  return {
+    evaluator: id,
+    reported_as: name,
+    kind: def.kind,
+    model_family: def.model_family,
+    registered: true,
+  };
+}
+
+// "eval-codex-gpt5.json" -> "codex-gpt5"; null when the file name does not
+// follow the eval-<evaluator>.json convention.
+export function evaluatorFromFilename(file) {
+  const match = /^eval-(.+)\.json$/i.exec(basename(file));
+  return match ? match[1] : null;
+}
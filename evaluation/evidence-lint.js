@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+
+/**
+ * Evidence-quality lint for evaluation files
+ *
+ * Schema validation checks that `evidence` and `notes` are strings; it says
+ * nothing about whether they follow the Section 8 rules. This module runs a
+ * set of rules over the evidence, notes and qualitative summary of an eval:
+ *
+ *   evidence-blank                     criterion evidence (or evidence for
+ *                                      awarded bonus points) is empty
+ *   evidence-boilerplate               evidence is a stock phrase ("N/A",
+ *                                      "see above"), or short and without
+ *                                      a file reference
+ *   zero-without-wording               a 0 whose evidence lacks "Not
+ *                                      attempted" / "No evidence found"
+ *   high-score-without-file-reference  a 3 or 4 whose evidence names no file
+ *   borderline-contradiction           "Borderline 2/3 — chose 2" notes that
+ *                                      disagree with the reported score
+ *   hiring-signal-too-short            hiring_signal below the word minimum
+ *   strength-too-short                 a top_strengths entry below the word
+ *                                      minimum
+ *
+ * Severities and thresholds come from evidence-lint.json (or --lint-config);
+ * a rule set to "off" is skipped. The aggregator lints every accepted eval
+ * and reports findings per evaluator; --fail-on-lint makes findings at or
+ * above a severity fail the run.
+ *
+ * Usage:
+ *   node evidence-lint.js <eval-file-or-dir>... [--config <file>] [--fail-on <severity>] [--json]
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync } from "node:fs";
+import { join, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { isAdjudicationFile } from "./adjudication.js";
+import { parseCitations } from "./citations.js";
+import { isGateRunFile } from "./gate-runner.js";
+import { loadRubrics, DEFAULT_RUBRIC_PATH } from "./rubric.js";
+
+export const DEFAULT_LINT_CONFIG_PATH = fileURLToPath(new URL("./evidence-lint.json", import.meta.url));
+
+export const SEVERITIES = ["error", "warning", "info"];
+
+// A bare file name is a reference too ("StrategyMatrixChart.tsx")
+const FILE_NAME = /\b[\w.-]+\.(?:[cm]?[jt]sx?|json|md|mdx|css|scss|ya?ml|html|vue|svelte|astro|sh)\b/i;
+const BORDERLINE = /borderline\s+(\d)\s*\/\s*(\d)([^.\n]*)/gi;
+const LEAN = /\b(?:chose|chosen|choosing|went with|lean(?:s|ing)?(?:\s+towards?)?|scored?|giving|gave)\s+(?:a\s+)?(\d)\b/i;
+
+function hasFileReference(text) {
+  return parseCitations(text).length > 0 || FILE_NAME.test(text);
+}
+
+function words(text) {
+  return String(text).trim().split(/\s+/).filter(Boolean).length;
+}
+
+// ---------------------------------------------------------------------------
+// Rules
+// ---------------------------------------------------------------------------
+
+// Every scored item with its evidence and notes:
+// [{ location, kind: "criterion" | "bonus", score, evidence, notes }]
+function scoredItems(eval_, rubric) {
+  const items = [];
+  for (const cat of rubric.categories) {
+    for (const crit of rubric.criteriaMap[cat]) {
+      const c = eval_.rubric_scores?.[cat]?.criteria?.[crit];
+      if (!c) continue;
+      items.push({
+        location: `/rubric_scores/${cat}/criteria/${crit}`,
+        kind: "criterion",
+        score: c.score,
+        evidence: c.evidence ?? "",
+        notes: c.notes ?? "",
+      });
+    }
+  }
+  for (const [key, bonus] of Object.entries(rubric.bonuses)) {
+    for (const comp of Object.keys(bonus.components)) {
+      const b = eval_[key]?.[comp];
+      if (!b) continue;
+      items.push({ location: `/${key}/${comp}`, kind: "bonus", score: b.points, evidence: b.evidence ?? "", notes: b.notes ?? "" });
+    }
+  }
+  return items;
+}
+
+// rule id → (eval_, rubric, options) → [{ location, message }]
+const RULES = {
+  "evidence-blank": (eval_, rubric) =>
+    scoredItems(eval_, rubric)
+      .filter((it) => (it.kind === "criterion" || it.score > 0) && it.evidence.trim() === "")
+      .map((it) => ({ location: `${it.location}/evidence`, message: `Evidence is blank (score ${it.score})` })),
+
+  "evidence-boilerplate": (eval_, rubric, { min_length: minLength = 20, phrases = [] }) => {
+    const stock = new Set(phrases.map((p) => p.toLowerCase()));
+    return scoredItems(eval_, rubric)
+      .filter((it) => it.evidence.trim() !== "" && it.score > 0)
+      .flatMap((it) => {
+        const text = it.evidence.trim();
+        const normalized = text.toLowerCase().replace(/[.!\s]+$/, "");
+        if (stock.has(normalized)) {
+          return [{ location: `${it.location}/evidence`, message: `Evidence is boilerplate: "${text}"` }];
+        }
+        // A bare citation is short but specific
+        if (text.length < minLength && !hasFileReference(text)) {
+          return [{ location: `${it.location}/evidence`, message: `Evidence is only ${text.length} characters: "${text}"` }];
+        }
+        return [];
+      });
+  },
+
+  "zero-without-wording": (eval_, rubric, { required_wording: wording = [] }) =>
+    scoredItems(eval_, rubric)
+      .filter((it) => it.kind === "criterion" && it.score === 0)
+      .filter((it) => !wording.some((w) => it.evidence.toLowerCase().includes(w.toLowerCase())))
+      .map((it) => ({
+        location: `${it.location}/evidence`,
+        message: `Score 0 without ${wording.map((w) => `"${w}"`).join(" or ")} in the evidence`,
+      })),
+
+  "high-score-without-file-reference": (eval_, rubric, { min_score: minScore = 3 }) =>
+    scoredItems(eval_, rubric)
+      .filter((it) => it.kind === "criterion" && it.score >= minScore)
+      .filter((it) => !hasFileReference(it.evidence))
+      .map((it) => ({ location: `${it.location}/evidence`, message: `Score ${it.score} with no file reference in the evidence` })),
+
+  "borderline-contradiction": (eval_, rubric) =>
+    scoredItems(eval_, rubric).flatMap((it) => {
+      const findings = [];
+      for (const field of ["notes", "evidence"]) {
+        for (const m of it[field].matchAll(BORDERLINE)) {
+          const [phrase, a, b, rest] = m;
+          const lean = LEAN.exec(rest)?.[1];
+          const expected = lean !== undefined ? [Number(lean)] : [Number(a), Number(b)];
+          if (!expected.includes(it.score)) {
+            findings.push({
+              location: `${it.location}/${field}`,
+              message: `"${phrase.trim()}" but the score is ${it.score}`,
+            });
+          }
+        }
+      }
+      return findings;
+    }),
+
+  "hiring-signal-too-short": (eval_, rubric, { min_words: minWords = 20 }) => {
+    const signal = eval_.qualitative_summary?.hiring_signal;
+    if (typeof signal !== "string" || words(signal) >= minWords) return [];
+    return [{ location: "/qualitative_summary/hiring_signal", message: `hiring_signal has ${words(signal)} word(s), expected at least ${minWords}` }];
+  },
+
+  "strength-too-short": (eval_, rubric, { min_words: minWords = 6 }) =>
+    (eval_.qualitative_summary?.top_strengths ?? [])
+      .map((text, i) => ({ text, i }))
+      .filter(({ text }) => typeof text === "string" && words(text) < minWords)
+      .map(({ text, i }) => ({
+        location: `/qualitative_summary/top_strengths/${i}`,
+        message: `Strength has ${words(text)} word(s), expected at least ${minWords}: "${text}"`,
+      })),
+};
+
+export const RULE_IDS = Object.keys(RULES);
+
+/**
+ * Load and check a lint configuration. Returns { path, rules: { [id]:
+ * { severity, ...options } } } with every rule present. Throws on an unknown
+ * rule or severity.
+ */
+export function loadLintConfig(path = DEFAULT_LINT_CONFIG_PATH) {
+  let file;
+  try {
+    file = JSON.parse(readFileSync(path, "utf-8"));
+  } catch (err) {
+    throw new Error(`Cannot read lint config ${path}: ${err.message}`);
+  }
+  const problems = [];
+  const rules = {};
+  for (const [id, def] of Object.entries(file.rules || {})) {
+    if (!RULES[id]) problems.push(`unknown rule "${id}" (available: ${RULE_IDS.join(", ")})`);
+    if (![...SEVERITIES, "off"].includes(def.severity)) problems.push(`${id}: severity must be one of ${SEVERITIES.join(", ")}, off`);
+    rules[id] = def;
+  }
+  for (const id of RULE_IDS) {
+    if (!rules[id]) problems.push(`rule "${id}" is not configured`);
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid lint config ${path}: ${problems.join("; ")}`);
+  }
+  return { path, rules };
+}
+
+/**
+ * Run every enabled rule over one eval.
+ * Returns { findings: [{ rule, severity, location, message }], counts: { error, warning, info } }.
+ */
+export function lintEvaluation(eval_, rubric, config) {
+  const findings = [];
+  for (const [id, { severity, ...options }] of Object.entries(config.rules)) {
+    if (severity === "off") continue;
+    for (const f of RULES[id](eval_, rubric, options)) findings.push({ rule: id, severity, ...f });
+  }
+  const counts = Object.fromEntries(SEVERITIES.map((s) => [s, findings.filter((f) => f.severity === s).length]));
+  return { findings, counts };
+}
+
+// Findings at or above `level` ("error" counts errors; "warning" counts errors and warnings)
+export function findingsAtOrAbove(counts, level) {
+  return SEVERITIES.slice(0, SEVERITIES.indexOf(level) + 1).reduce((n, s) => n + (counts[s] ?? 0), 0);
+}
+
+// ---------------------------------------------------------------------------
+// CLI
+// ---------------------------------------------------------------------------
+
+function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args.includes("--help")) {
+    console.log(`
+Roadmap Engine Evidence Lint
+
+Usage:
+  node evidence-lint.js <eval-file-or-dir>... [--config <file>] [--rubric <file>]
+                        [--fail-on <severity>] [--json]
+
+Options:
+  --config <file>       Rule severities and thresholds (default: evaluation/evidence-lint.json)
+  --rubric <file>       Rubric definitions (default: evaluation/rubrics.json)
+  --fail-on <severity>  Exit 2 when there are findings at or above this
+                        severity: error | warning | info
+  --json                Print the findings as JSON
+
+Rules: ${RULE_IDS.join(", ")}
+`);
+    process.exit(0);
+  }
+
+  const option = (flag) => {
+    const idx = args.indexOf(flag);
+    return idx >= 0 ? args[idx + 1] : undefined;
+  };
+  const failOn = option("--fail-on");
+  if (failOn !== undefined && !SEVERITIES.includes(failOn)) {
+    console.error(`Error: --fail-on must be one of ${SEVERITIES.join(", ")}`);
+    process.exit(1);
+  }
+
+  let config;
+  let rubrics;
+  try {
+    config = loadLintConfig(option("--config") ?? DEFAULT_LINT_CONFIG_PATH);
+    rubrics = loadRubrics(option("--rubric") ?? DEFAULT_RUBRIC_PATH);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  const valueFlags = new Set(["--config", "--rubric", "--fail-on"]);
+  const targets = args.filter((a, i) => !a.startsWith("--") && !valueFlags.has(args[i - 1]));
+  const files = [];
+  for (const target of targets) {
+    if (!existsSync(target)) {
+      console.error(`Error: Not found: ${target}`);
+      process.exit(1);
+    }
+    if (statSync(target).isDirectory()) {
+      files.push(...readdirSync(target)
+        .filter((f) => f.endsWith(".json") && !isAdjudicationFile(f) && !isGateRunFile(f))
+        .sort()
+        .map((f) => join(target, f)));
+    } else {
+      files.push(target);
+    }
+  }
+
+  const results = [];
+  for (const file of files) {
+    let parsed;
+    try {
+      parsed = JSON.parse(readFileSync(file, "utf-8"));
+    } catch (err) {
+      console.error(`Error reading ${file}: ${err.message}`);
+      process.exit(1);
+    }
+    const rubric = rubrics.versions[parsed.evaluation_metadata?.framework_version] ?? rubrics.versions[rubrics.defaultVersion];
+    results.push({ file, evaluator: parsed.evaluation_metadata?.evaluator ?? null, ...lintEvaluation(parsed, rubric, config) });
+  }
+
+  if (args.includes("--json")) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    for (const r of results) {
+      console.log(
+        `\n${r.file} (${r.evaluator ?? "unknown evaluator"}): ` +
+        SEVERITIES.map((s) => `${r.counts[s]} ${s}(s)`).join(", ")
+      );
+      for (const f of r.findings) {
+        console.log(`  ${f.severity.padEnd(7)} ${f.rule}  ${f.location}: ${f.message}`);
+      }
+    }
+  }
+
+  if (failOn && results.some((r) => findingsAtOrAbove(r.counts, failOn) > 0)) {
+    process.exit(2);
+  }
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
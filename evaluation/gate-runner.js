@@ -0,0 +1,610 @@
+#!/usr/bin/env node
+
+/**
+ * Automated gate runner for a local candidate checkout
+ *
+ * Section 4's gate checks are deterministic, yet every evaluator fills them
+ * in by hand — which is how "split" gates happen. This script runs them
+ * against a checkout and writes the `automated_gate` block (including
+ * `gate_summary`) in exactly the shape schema.json requires:
+ *
+ *   static   G1 package.json, G4 /matrix route, G5 project files,
+ *            G6 chart library, G7 normalization, G8 quadrant logic,
+ *            G10 tooltips — file system and source scans
+ *   commands G2 `npm ci` / `npm install` against an offline npm cache,
+ *            G3 `npm run build`, falling back to `npm run dev` — each with
+ *            a timeout, after which the whole process group is killed; a
+ *            failed install leaves G3 not checked
+ *
+ * G9 (the chart renders data points) needs the rendered page; the runner
+ * records a static hint but marks it as not checked.
+ *
+ * The result is saved as `gate-run-C-XXX.json` next to the candidate's eval
+ * files. The aggregator does not vote with it: it reports, per gate, where
+ * each evaluator and the gate consensus disagree with the runner.
+ *
+ * Usage:
+ *   node gate-runner.js <candidate-checkout> [--candidate C-XXX] [--output <file>]
+ *                       [--npm-cache <dir>] [--install-timeout <s>] [--build-timeout <s>]
+ *                       [--dev-timeout <s>] [--static-only] [--rubric <file>]
+ */
+
+import { spawn, spawnSync } from "node:child_process";
+import { existsSync, readdirSync, readFileSync, statSync, writeFileSync } from "node:fs";
+import { join, relative, resolve, sep } from "node:path";
+import { fileURLToPath } from "node:url";
+import { loadRubrics, DEFAULT_RUBRIC_PATH } from "./rubric.js";
+import { validateSchema, formatSchemaError } from "./schema-validator.js";
+
+export const RUNNER_VERSION = "1.0";
+
+export const DEFAULT_TIMEOUTS = { install: 300, build: 300, dev: 60 }; // seconds
+
+// Gates the runner cannot decide; they are reported but never compared
+export const NOT_AUTOMATED = {
+  G9_chart_renders_data: "Needs the rendered chart; the static hint in notes is advisory",
+};
+
+const CHART_LIBRARIES = [
+  "recharts",
+  "d3",
+  "chart.js",
+  "react-chartjs-2",
+  "@visx/",
+  "@nivo/",
+  "victory",
+  "echarts",
+  "echarts-for-react",
+  "plotly.js",
+  "react-plotly.js",
+  "apexcharts",
+  "react-apexcharts",
+  "highcharts",
+  "@mui/x-charts",
+  "@tremor/react",
+];
+
+const QUADRANT_LABELS = ["Quick Wins", "Big Bets", "Fillers", "Time Sinks"];
+
+const SOURCE_EXTENSIONS = /\.(m?[jt]sx?|cjs|vue|svelte|astro)$/;
+const IGNORED_DIRS = new Set(["node_modules", ".git", ".next", "dist", "build", "out", "coverage", ".turbo", ".vercel"]);
+const MAX_SOURCE_BYTES = 1024 * 1024;
+const OUTPUT_TAIL_LINES = 20;
+
+// ---------------------------------------------------------------------------
+// Gate-run files
+// ---------------------------------------------------------------------------
+
+export function gateRunFileName(candidateId) {
+  return `gate-run-${candidateId}.json`;
+}
+
+export function isGateRunFile(file) {
+  return /^gate-run-.*\.json$/.test(file);
+}
+
+// The automated_gate subschema of an eval schema, standalone
+function automatedGateSchema(schema) {
+  return { ...schema.properties.automated_gate, $defs: schema.$defs };
+}
+
+/**
+ * Read a candidate's gate-run file, if any.
+ * Returns null when there is none, else { file, run, errors } where `errors`
+ * are problems with the file (it is then not used).
+ */
+export function loadGateRun(dirPath, candidateId, rubric) {
+  const file = gateRunFileName(candidateId);
+  const path = join(dirPath, file);
+  if (!existsSync(path)) return null;
+
+  let run;
+  try {
+    run = JSON.parse(readFileSync(path, "utf-8"));
+  } catch (err) {
+    return { file, run: null, errors: [`cannot parse: ${err.message}`] };
+  }
+
+  const errors = validateSchema(run?.automated_gate, automatedGateSchema(rubric.schema))
+    .map((e) => formatSchemaError({ ...e, path: `/automated_gate${e.path}` }));
+  if (run?.candidate_id && run.candidate_id !== candidateId) {
+    errors.push(`/candidate_id: is ${run.candidate_id}, expected ${candidateId}`);
+  }
+  if (!Array.isArray(run?.checked)) {
+    errors.push("/checked: must list the gates the runner decided");
+  }
+  return { file, run: errors.length > 0 ? null : run, errors };
+}
+
+/**
+ * Compare the evaluators' gate answers and the gate consensus with a gate
+ * run. Only gates in the run's `checked` list are compared. `gateConsensus`
+ * is the `automated_gate.checks` block of a consensus.
+ */
+export function compareWithGateRun(gateRun, evals, evaluatorIds, gateConsensus, rubric) {
+  const compared = rubric.gateChecks.filter((gk) => gateRun.run.checked.includes(gk));
+  const checks = {};
+  const perEvaluator = Object.fromEntries(evaluatorIds.map((id) => [id, { compared: 0, agreed: 0, disagreed_on: [] }]));
+
+  for (const gk of compared) {
+    const reference = gateRun.run.automated_gate[gk].pass;
+    const disagreeing = [];
+    evals.forEach((e, i) => {
+      const answer = e.automated_gate?.[gk]?.pass;
+      if (typeof answer !== "boolean") return;
+      const stats = perEvaluator[evaluatorIds[i]];
+      stats.compared++;
+      if (answer === reference) {
+        stats.agreed++;
+      } else {
+        stats.disagreed_on.push(gk);
+        disagreeing.push(evaluatorIds[i]);
+      }
+    });
+    const consensusPass = gateConsensus[gk]?.consensus_pass;
+    checks[gk] = {
+      reference_pass: reference,
+      reference_notes: gateRun.run.automated_gate[gk].notes,
+      consensus_pass: consensusPass,
+      consensus_agrees: consensusPass === reference,
+      disagreeing_evaluators: disagreeing,
+    };
+  }
+
+  return {
+    file: gateRun.file,
+    commit: gateRun.run.repo?.commit ?? null,
+    ran_at: gateRun.run.ran_at ?? null,
+    compared,
+    not_compared: rubric.gateChecks.filter((gk) => !compared.includes(gk)),
+    checks,
+    consensus_disagreements: compared.filter((gk) => !checks[gk].consensus_agrees),
+    evaluator_agreement: Object.entries(perEvaluator).map(([evaluator, s]) => ({
+      evaluator,
+      ...s,
+      accuracy: s.compared > 0 ? Math.round((s.agreed / s.compared) * 100) / 100 : null,
+    })),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Static checks
+// ---------------------------------------------------------------------------
+
+function listSourceFiles(root) {
+  const files = [];
+  const walk = (dir) => {
+    for (const entry of readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+      const full = join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRS.has(entry.name)) walk(full);
+      } else if (SOURCE_EXTENSIONS.test(entry.name) && statSync(full).size <= MAX_SOURCE_BYTES) {
+        files.push(full);
+      }
+    }
+  };
+  walk(root);
+  return files;
+}
+
+function relPath(root, path) {
+  return relative(root, path).split(sep).join("/");
+}
+
+// First line matching any pattern, as "path:line", or null
+function findInSources(sources, patterns) {
+  for (const { path, lines } of sources) {
+    const idx = lines.findIndex((line) => patterns.some((p) => p.test(line)));
+    if (idx >= 0) return `${path}:${idx + 1}`;
+  }
+  return null;
+}
+
+function readPackageJson(root) {
+  const path = join(root, "package.json");
+  if (!existsSync(path)) return { exists: false, pkg: null, error: null };
+  try {
+    return { exists: true, pkg: JSON.parse(readFileSync(path, "utf-8")), error: null };
+  } catch (err) {
+    return { exists: true, pkg: null, error: err.message };
+  }
+}
+
+const ROUTE_FILES = [
+  /^(src\/)?app\/(\([^/]+\)\/)*matrix\/page\.(t|j)sx?$/,
+  /^(src\/)?pages\/matrix(\/index)?\.(t|j)sx?$/,
+  /^(src\/)?pages\/matrix(\/index)?\.(astro|vue|svelte|md|mdx)$/,
+  /^src\/routes\/matrix\/\+page\.svelte$/,
+];
+const ROUTE_DECLARATIONS = [/path\s*[:=]\s*\{?\s*["'`]\/matrix["'`]/];
+
+const NORMALIZATION_PATTERNS = [
+  /(strategic_value|complexity|impact|effort|score)\w*\)?\s*\*\s*10\b/i,
+  /\b10\s*\*\s*\(?\s*\w*\.?(strategic_value|complexity|impact|effort|score)/i,
+  /(strategic_value|complexity|impact|effort|score)\w*\)?\s*\/\s*10\)?\s*\*\s*100\b/i,
+  /domain\(\s*\[\s*0\s*,\s*10\s*\]\s*\)\s*\.range\(\s*\[\s*0\s*,\s*100\s*\]/,
+];
+const THRESHOLD_PATTERN = /[<>]=?\s*(50|[A-Z_]*THRESHOLD|threshold)\b/;
+const TOOLTIP_PATTERNS = [/<Tooltip\b/, /\btooltip\s*:/i, /\.on\(\s*["'](mouseover|mouseenter|pointerenter)["']/, /<title>/, /data-tooltip/];
+const RENDER_PATTERNS = [/<Scatter\b[^>]*\bdata=/, /<ScatterChart\b[^>]*\bdata=/, /\.data\(\s*\w+/, /datasets\s*:/, /<circle\b/];
+
+export function runStaticChecks(root) {
+  const gates = {};
+  const { exists, pkg, error } = readPackageJson(root);
+  gates.G1_package_json_exists = {
+    pass: exists && pkg !== null,
+    notes: !exists ? "No package.json at the repository root" : error ? `package.json is not valid JSON: ${error}` : "package.json found",
+  };
+
+  const files = listSourceFiles(root).map((full) => relPath(root, full));
+  const sources = files.map((path) => ({ path, lines: readFileSync(join(root, path), "utf-8").split(/\r?\n/) }));
+
+  const routeFile = files.find((f) => ROUTE_FILES.some((p) => p.test(f))) ?? null;
+  const routeDecl = routeFile ? null : findInSources(sources, ROUTE_DECLARATIONS);
+  gates.G4_matrix_route_exists = {
+    pass: Boolean(routeFile || routeDecl),
+    notes: routeFile
+      ? `Route file ${routeFile}`
+      : routeDecl
+        ? `Route declared at ${routeDecl}`
+        : "No /matrix route file or route declaration found",
+  };
+
+  const projectDirs = ["_content/projects", "content/projects", "src/_content/projects", "src/content/projects"];
+  const projectDir = projectDirs.find((d) => existsSync(join(root, d)) && statSync(join(root, d)).isDirectory()) ?? null;
+  const count = projectDir ? readdirSync(join(root, projectDir)).filter((f) => f.endsWith(".md")).length : 0;
+  gates.G5_project_files_exist = {
+    pass: count >= 3,
+    count,
+    notes: projectDir ? `${count} markdown file(s) in ${projectDir}/` : "No _content/projects/ directory",
+  };
+
+  const deps = Object.keys({ ...(pkg?.dependencies || {}), ...(pkg?.devDependencies || {}) }).sort();
+  const chartDeps = deps.filter((d) => CHART_LIBRARIES.some((lib) => (lib.endsWith("/") ? d.startsWith(lib) : d === lib)));
+  gates.G6_chart_library_installed = {
+    pass: chartDeps.length > 0,
+    library: chartDeps[0] ?? "none",
+    notes: chartDeps.length > 0 ? `package.json lists ${chartDeps.join(", ")}` : "No charting library in package.json dependencies",
+  };
+
+  const normalization = findInSources(sources, NORMALIZATION_PATTERNS);
+  gates.G7_normalization_logic_exists = {
+    pass: Boolean(normalization),
+    notes: normalization ? `0–10 → 0–100 scaling at ${normalization}` : "No ×10 scaling of scores found in source",
+  };
+
+  // Quadrant labels and a threshold comparison in the same file
+  const quadrantFile = sources.find(({ lines }) => {
+    const text = lines.join("\n");
+    return QUADRANT_LABELS.filter((l) => text.includes(l)).length >= 2 && THRESHOLD_PATTERN.test(text);
+  });
+  gates.G8_quadrant_logic_exists = {
+    pass: Boolean(quadrantFile),
+    notes: quadrantFile
+      ? `Quadrant labels with threshold comparisons in ${quadrantFile.path}`
+      : "No file maps scores to quadrant labels with a threshold comparison",
+  };
+
+  const render = findInSources(sources, RENDER_PATTERNS);
+  gates.G9_chart_renders_data = {
+    pass: Boolean(render),
+    notes: `Not checked: ${NOT_AUTOMATED.G9_chart_renders_data}. ` +
+      (render ? `Chart bound to data at ${render}` : "No chart element bound to data found"),
+  };
+
+  const tooltip = findInSources(sources, TOOLTIP_PATTERNS);
+  gates.G10_tooltips_implemented = {
+    pass: Boolean(tooltip),
+    notes: tooltip ? `Tooltip at ${tooltip}` : "No tooltip component or configuration found",
+  };
+
+  return { gates, pkg };
+}
+
+// ---------------------------------------------------------------------------
+// Install / build
+// ---------------------------------------------------------------------------
+
+/**
+ * Run a command in its own process group. On timeout the whole group is
+ * killed (npm and build tools spawn children of their own). With
+ * `readyPattern`, the command counts as succeeded as soon as its output
+ * matches — used for `npm run dev`, which never exits by itself.
+ */
+function runCommand(command, args, { cwd, timeoutSeconds, env, readyPattern = null }) {
+  return new Promise((resolvePromise) => {
+    const started = Date.now();
+    const child = spawn(command, args, { cwd, env, detached: true, stdio: ["ignore", "pipe", "pipe"] });
+    let output = "";
+    let settled = false;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolvePromise({
+        command: [command, ...args].join(" "),
+        ...result,
+        duration_ms: Date.now() - started,
+        output_tail: output.trimEnd().split("\n").slice(-OUTPUT_TAIL_LINES).join("\n"),
+      });
+    };
+    const killGroup = () => {
+      try {
+        process.kill(-child.pid, "SIGKILL");
+      } catch {
+        // already gone
+      }
+    };
+    const onData = (chunk) => {
+      output += chunk;
+      if (readyPattern && readyPattern.test(output)) {
+        killGroup();
+        finish({ exit_code: null, timed_out: false, ready: true });
+      }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    const timer = setTimeout(() => {
+      killGroup();
+      finish({ exit_code: null, timed_out: true, ready: false });
+    }, timeoutSeconds * 1000);
+    child.on("error", (err) => {
+      output += err.message;
+      finish({ exit_code: null, timed_out: false, ready: false });
+    });
+    child.on("close", (code) => finish({ exit_code: code, timed_out: false, ready: false }));
+  });
+}
+
+function describeRun(r) {
+  if (r.timed_out) return `\`${r.command}\` timed out`;
+  if (r.ready) return `\`${r.command}\` started`;
+  return `\`${r.command}\` exited with ${r.exit_code}`;
+}
+
+/**
+ * G2 and G3 by running npm. Returns { gates, commands, notChecked }:
+ * `notChecked` maps a gate to the reason it was not run — G3 is blocked, not
+ * failed, when there is nothing installed to build.
+ */
+export async function runCommandChecks(root, pkg, { npmCache = null, timeouts = DEFAULT_TIMEOUTS } = {}) {
+  const gates = {};
+  const commands = [];
+  const notChecked = {};
+  const env = { ...process.env, CI: "1", NEXT_TELEMETRY_DISABLED: "1", npm_config_update_notifier: "false" };
+  const offline = ["--offline", "--no-audit", "--no-fund", ...(npmCache ? ["--cache", npmCache] : [])];
+
+  if (!pkg) {
+    gates.G2_install_succeeds = { pass: false, notes: "Not run: no usable package.json" };
+    gates.G3_build_succeeds = { pass: false, notes: "Not run: no usable package.json" };
+    notChecked.G3_build_succeeds = "Blocked: no usable package.json to build";
+    return { gates, commands, notChecked };
+  }
+
+  const installArgs = existsSync(join(root, "package-lock.json")) ? ["ci", ...offline] : ["install", ...offline];
+  const install = await runCommand("npm", installArgs, { cwd: root, env, timeoutSeconds: timeouts.install });
+  commands.push({ gate: "G2_install_succeeds", ...install });
+  const installed = install.exit_code === 0;
+  gates.G2_install_succeeds = { pass: installed, notes: `${describeRun(install)} (offline npm cache)` };
+
+  if (!installed) {
+    gates.G3_build_succeeds = { pass: false, notes: "Not run: install failed" };
+    notChecked.G3_build_succeeds = "Blocked: install failed (G2), so the build was not run";
+    return { gates, commands, notChecked };
+  }
+
+  const scripts = pkg.scripts || {};
+  const attempts = [];
+  if (scripts.build) {
+    const build = await runCommand("npm", ["run", "build"], { cwd: root, env, timeoutSeconds: timeouts.build });
+    commands.push({ gate: "G3_build_succeeds", ...build });
+    attempts.push(build);
+  }
+  if (!attempts.some((a) => a.exit_code === 0) && scripts.dev) {
+    const dev = await runCommand("npm", ["run", "dev"], {
+      cwd: root,
+      env,
+      timeoutSeconds: timeouts.dev,
+      readyPattern: /\b(ready|compiled successfully)\b|local:\s+https?:\/\//i,
+    });
+    commands.push({ gate: "G3_build_succeeds", ...dev });
+    attempts.push(dev);
+  }
+  gates.G3_build_succeeds = {
+    pass: attempts.some((a) => a.exit_code === 0 || a.ready),
+    notes: attempts.length > 0 ? attempts.map(describeRun).join("; ") : "No build or dev script in package.json",
+  };
+  return { gates, commands, notChecked };
+}
+
+// ---------------------------------------------------------------------------
+// Gate run
+// ---------------------------------------------------------------------------
+
+function gitCommit(root) {
+  const r = spawnSync("git", ["rev-parse", "HEAD"], { cwd: root, encoding: "utf-8", timeout: 10_000 });
+  return r.status === 0 ? r.stdout.trim() : null;
+}
+
+/**
+ * Run every gate check against a checkout and assemble the gate-run file.
+ * `staticOnly` skips G2/G3, and a failed install blocks G3 (they are then
+ * reported as failed and not checked). Gates that were not checked are left out of the
+ * `gate_summary` totals. The `automated_gate` block is validated against the rubric's
+ * eval schema before it is returned.
+ */
+export async function runGates(repoPath, rubric, {
+  candidateId = null,
+  npmCache = null,
+  timeouts = DEFAULT_TIMEOUTS,
+  staticOnly = false,
+  now = new Date(),
+} = {}) {
+  const root = resolve(repoPath);
+  const { gates: staticGates, pkg } = runStaticChecks(root);
+  const notChecked = { ...NOT_AUTOMATED };
+  let commandGates;
+  let commands = [];
+  if (staticOnly) {
+    commandGates = {
+      G2_install_succeeds: { pass: false, notes: "Not run (--static-only)" },
+      G3_build_succeeds: { pass: false, notes: "Not run (--static-only)" },
+    };
+    notChecked.G2_install_succeeds = "Skipped with --static-only";
+    notChecked.G3_build_succeeds = "Skipped with --static-only";
+  } else {
+    let blocked;
+    ({ gates: commandGates, commands, notChecked: blocked } = await runCommandChecks(root, pkg, { npmCache, timeouts }));
+    Object.assign(notChecked, blocked);
+  }
+
+  const all = { ...staticGates, ...commandGates };
+  const automatedGate = {};
+  for (const gk of rubric.gateChecks) {
+    if (all[gk]) {
+      automatedGate[gk] = all[gk];
+    } else {
+      automatedGate[gk] = { pass: false, notes: "No automated check for this gate" };
+      notChecked[gk] = "No automated check for this gate";
+    }
+  }
+  // Totals cover checked gates only; the rest are listed under not_checked
+  const results = rubric.gateChecks.filter((gk) => !notChecked[gk]).map((gk) => automatedGate[gk].pass);
+  // Only gates the runner decided can trigger an automatic failure
+  const failureReasons = Object.entries(rubric.autoFailGateMap)
+    .filter(([gk]) => !notChecked[gk] && automatedGate[gk]?.pass === false)
+    .map(([, reason]) => reason);
+  automatedGate.gate_summary = {
+    total_passed: results.filter(Boolean).length,
+    total_failed: results.filter((v) => !v).length,
+    automatic_failure_triggered: failureReasons.length > 0,
+    failure_reasons: failureReasons,
+  };
+
+  const errors = validateSchema(automatedGate, automatedGateSchema(rubric.schema)).map(formatSchemaError);
+  if (errors.length > 0) {
+    throw new Error(`Gate run does not match the schema: ${errors.join("; ")}`);
+  }
+
+  return {
+    candidate_id: candidateId,
+    runner_version: RUNNER_VERSION,
+    framework_version: rubric.version,
+    ran_at: now.toISOString(),
+    repo: { path: root, commit: gitCommit(root) },
+    checked: rubric.gateChecks.filter((gk) => !notChecked[gk]),
+    not_checked: Object.entries(notChecked).map(([gate, reason]) => ({ gate, reason })),
+    commands,
+    automated_gate: automatedGate,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// CLI
+// ---------------------------------------------------------------------------
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args.includes("--help")) {
+    console.log(`
+Roadmap Engine Automated Gate Runner
+
+Usage:
+  node gate-runner.js <candidate-checkout> [--candidate C-XXX] [--output <file>]
+                      [--npm-cache <dir>] [--install-timeout <s>] [--build-timeout <s>]
+                      [--dev-timeout <s>] [--static-only] [--rubric <file>]
+
+Options:
+  --candidate <id>       Candidate id recorded in the output (e.g. C-001)
+  --output <file>        Write the gate run here; put it next to the candidate's
+                         eval files as gate-run-C-XXX.json for the aggregator
+                         (default: print to stdout)
+  --npm-cache <dir>      npm cache to install from; installs always run
+                         --offline (default: npm's own cache)
+  --install-timeout <s>  Seconds before npm install is killed (default: ${DEFAULT_TIMEOUTS.install})
+  --build-timeout <s>    Seconds before npm run build is killed (default: ${DEFAULT_TIMEOUTS.build})
+  --dev-timeout <s>      Seconds npm run dev may take to report ready (default: ${DEFAULT_TIMEOUTS.dev})
+  --static-only          Skip install and build (G2/G3 are not checked)
+  --rubric <file>        Rubric definitions (default: evaluation/rubrics.json);
+                         the default version's gates and schema are used
+
+Install and build run inside the checkout and modify it (node_modules,
+build output). Use a throwaway clone.
+`);
+    process.exit(0);
+  }
+
+  const option = (flag) => {
+    const idx = args.indexOf(flag);
+    return idx >= 0 ? args[idx + 1] : undefined;
+  };
+  const seconds = (flag, fallback) => {
+    const value = option(flag);
+    if (value === undefined) return fallback;
+    const n = Number(value);
+    if (!(n > 0)) {
+      console.error(`Error: ${flag} must be a positive number of seconds`);
+      process.exit(1);
+    }
+    return n;
+  };
+
+  const repoPath = args[0];
+  if (!existsSync(repoPath) || !statSync(repoPath).isDirectory()) {
+    console.error(`Error: Directory not found: ${repoPath}`);
+    process.exit(1);
+  }
+  const candidateId = option("--candidate") ?? null;
+  if (candidateId !== null && !/^C-\d{3}$/.test(candidateId)) {
+    console.error(`Error: --candidate must look like C-001, got ${candidateId}`);
+    process.exit(1);
+  }
+
+  let rubric;
+  try {
+    const rubrics = loadRubrics(option("--rubric") ?? DEFAULT_RUBRIC_PATH);
+    rubric = rubrics.versions[rubrics.defaultVersion];
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  const timeouts = {
+    install: seconds("--install-timeout", DEFAULT_TIMEOUTS.install),
+    build: seconds("--build-timeout", DEFAULT_TIMEOUTS.build),
+    dev: seconds("--dev-timeout", DEFAULT_TIMEOUTS.dev),
+  };
+  const npmCache = option("--npm-cache") ? resolve(option("--npm-cache")) : null;
+
+  let run;
+  try {
+    run = await runGates(repoPath, rubric, { candidateId, npmCache, timeouts, staticOnly: args.includes("--static-only") });
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  const json = JSON.stringify(run, null, 2) + "\n";
+  const outputPath = option("--output");
+  if (!outputPath) {
+    process.stdout.write(json);
+    return;
+  }
+  writeFileSync(outputPath, json);
+  const summary = run.automated_gate.gate_summary;
+  console.log(`Wrote ${outputPath}`);
+  for (const gk of rubric.gateChecks) {
+    const g = run.automated_gate[gk];
+    const mark = run.checked.includes(gk) ? (g.pass ? "PASS" : "FAIL") : "----";
+    console.log(`  ${mark}  ${gk}: ${g.notes}`);
+  }
+  console.log(
+    `  ${summary.total_passed} passed, ${summary.total_failed} failed, ${rubric.gateChecks.length - run.checked.length} not checked` +
+    `${summary.automatic_failure_triggered ? ` — automatic failure: ${summary.failure_reasons.join("; ")}` : ""}`
+  );
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
@@ -0,0 +1,466 @@
+#!/usr/bin/env node
+
+/**
+ * Reference truth generator for the seeded projects
+ *
+ * Reads the YAML front matter of every project file in
+ * reference/_content/projects, applies the PRD's Matrix Calculation
+ * (Section 2.1: 0–10 scores × 10 → 0–100 coordinates, quadrant boundary at
+ * 50, impact = scores.strategic_value, effort = scores.complexity) and writes
+ * evaluation/reference-truth.json — the fixture the aggregator checks
+ * evaluator-reported quadrant mappings against (auto-fail condition #4) and
+ * the evaluator prompt quotes.
+ *
+ * Before anything is written the projects must pass the PRD's build-time
+ * validation rules (Section 3.4) plus the required-field check of the
+ * Governance Engine. Any violation is listed and nothing is generated.
+ *
+ * The fixture records the SHA-256 of every file it was generated from, so
+ * the aggregator can warn when the seeded projects have changed since.
+ * --check also compares the lines the evaluator prompt quotes with the ones
+ * this script prints for the fixture.
+ *
+ * Usage:
+ *   node ground-truth.js [--projects <dir>] [--config <file>] [--output <file>] [--check]
+ *                        [--prompt <file>]
+ */
+
+import { existsSync, readdirSync, readFileSync, writeFileSync } from "node:fs";
+import { dirname, join, relative, resolve, sep } from "node:path";
+import { fileURLToPath } from "node:url";
+import { contentHash } from "./adjudication.js";
+import { round } from "./stats.js";
+
+const HERE = dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_PROJECTS_DIR = resolve(HERE, "../reference/_content/projects");
+export const DEFAULT_CONFIG_PATH = resolve(HERE, "../reference/_content/config.json");
+export const DEFAULT_TRUTH_PATH = resolve(HERE, "reference-truth.json");
+// The evaluator prompt (Section 8) quotes the fixture line by line
+export const DEFAULT_PROMPT_PATH = resolve(HERE, "../evaluation-framework.md");
+
+export const NORMALIZATION = {
+  scale_factor: 10,
+  impact_field: "scores.strategic_value",
+  effort_field: "scores.complexity",
+};
+export const QUADRANT_THRESHOLD = 50;
+
+// Front-matter fields the Governance Engine requires (PRD Section 3.2)
+const REQUIRED_FIELDS = [
+  "id",
+  "title",
+  "slug",
+  "owner",
+  "department",
+  "phase",
+  "status",
+  "dates.planned_start",
+  "dates.planned_end",
+  "scores.strategic_value",
+  "scores.complexity",
+];
+
+const SCORE_RANGE = { min: 0, max: 10 };
+
+// ---------------------------------------------------------------------------
+// Front matter
+// ---------------------------------------------------------------------------
+
+// Strip a trailing "# comment" that is not inside a quoted string
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quote) {
+      if (c === "\\" && quote === '"') i++;
+      else if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === "#" && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+function splitInlineList(body) {
+  const items = [];
+  let current = "";
+  let quote = null;
+  for (let i = 0; i < body.length; i++) {
+    const c = body[i];
+    if (quote) {
+      current += c;
+      if (c === "\\" && quote === '"') current += body[++i] ?? "";
+      else if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+      current += c;
+    } else if (c === ",") {
+      items.push(current);
+      current = "";
+    } else {
+      current += c;
+    }
+  }
+  if (current.trim() !== "") items.push(current);
+  return items.map((item) => parseScalar(item.trim()));
+}
+
+function parseScalar(text) {
+  if (text === "" || text === "~" || text === "null") return null;
+  if (text === "true") return true;
+  if (text === "false") return false;
+  if (text.startsWith('"') && text.endsWith('"') && text.length >= 2) return JSON.parse(text);
+  if (text.startsWith("'") && text.endsWith("'") && text.length >= 2) return text.slice(1, -1).replace(/''/g, "'");
+  if (text.startsWith("[") && text.endsWith("]")) return splitInlineList(text.slice(1, -1));
+  if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+/**
+ * Parse the YAML front matter of a Markdown file. Supports the subset the
+ * project files use: nested mappings by indentation, scalars (quoted
+ * strings, numbers, booleans, null), inline lists and comments.
+ * Returns the parsed object, or throws with a line number.
+ */
+export function parseFrontMatter(content) {
+  const lines = content.replace(/^\uFEFF/, "").split(/\r?\n/);
+  if (lines[0].trim() !== "---") {
+    throw new Error("line 1: missing front matter (expected ---)");
+  }
+  const end = lines.findIndex((l, i) => i > 0 && l.trim() === "---");
+  if (end < 0) {
+    throw new Error("front matter is not closed (expected ---)");
+  }
+
+  const root = {};
+  const stack = [{ indent: -1, value: root }];
+  for (let i = 1; i < end; i++) {
+    const line = stripComment(lines[i]).replace(/\s+$/, "");
+    if (line.trim() === "") continue;
+    const indent = line.length - line.trimStart().length;
+    const match = /^([A-Za-z0-9_-]+)\s*:(?:\s+(.*))?$/.exec(line.trim());
+    if (!match) {
+      throw new Error(`line ${i + 1}: expected "key: value", got "${line.trim()}"`);
+    }
+    while (stack.length > 1 && indent <= stack.at(-1).indent) stack.pop();
+    const parent = stack.at(-1).value;
+    const [, key, rest = ""] = match;
+    if (Object.hasOwn(parent, key)) {
+      throw new Error(`line ${i + 1}: duplicate key "${key}"`);
+    }
+    if (rest === "") {
+      parent[key] = {};
+      stack.push({ indent, value: parent[key] });
+    } else {
+      parent[key] = parseScalar(rest);
+    }
+  }
+  return root;
+}
+
+function getPath(obj, path) {
+  return path.split(".").reduce((o, k) => (o && typeof o === "object" ? o[k] : undefined), obj);
+}
+
+// ---------------------------------------------------------------------------
+// Matrix calculation (PRD Section 2.1)
+// ---------------------------------------------------------------------------
+
+export function normalizeScore(value) {
+  return round(value * NORMALIZATION.scale_factor);
+}
+
+export function quadrantFor(impact, effort, threshold = QUADRANT_THRESHOLD) {
+  if (impact >= threshold) return effort < threshold ? "Quick Wins" : "Big Bets";
+  return effort < threshold ? "Fillers" : "Time Sinks";
+}
+
+// ---------------------------------------------------------------------------
+// Build-time validation (PRD Section 3.4)
+// ---------------------------------------------------------------------------
+
+function isDate(value) {
+  return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Check parsed projects against the PRD's build-time rules. `projects` is
+ * [{ file, data }]. Returns a list of { file, rule, message }; empty when
+ * the projects are valid.
+ */
+export function validateProjects(projects, config) {
+  const violations = [];
+  const flag = (file, rule, message) => violations.push({ file, rule, message });
+
+  const departments = config?.taxonomies?.departments;
+  const phases = config?.governance?.phases;
+  if (!Array.isArray(departments)) flag("config.json", "taxonomy", "taxonomies.departments allowlist is missing");
+  if (!Array.isArray(phases)) flag("config.json", "taxonomy", "governance.phases allowlist is missing");
+
+  const filesById = new Map();
+  for (const { file, data } of projects) {
+    for (const field of REQUIRED_FIELDS) {
+      const value = getPath(data, field);
+      if (value === undefined || value === null || value === "") {
+        flag(file, "required_fields", `${field} is missing`);
+      }
+    }
+
+    if (typeof data.id === "string") {
+      if (filesById.has(data.id)) {
+        flag(file, "id_uniqueness", `id ${data.id} is also used by ${filesById.get(data.id)}`);
+      } else {
+        filesById.set(data.id, file);
+      }
+    }
+
+    const { planned_start: start, planned_end: end } = data.dates || {};
+    for (const [field, value] of [["planned_start", start], ["planned_end", end]]) {
+      if (value != null && !isDate(value)) flag(file, "date_validity", `dates.${field} "${value}" is not a YYYY-MM-DD date`);
+    }
+    if (isDate(start) && isDate(end) && Date.parse(end) <= Date.parse(start)) {
+      flag(file, "date_validity", `dates.planned_end ${end} is not after dates.planned_start ${start}`);
+    }
+
+    if (Array.isArray(departments) && data.department != null && !departments.includes(data.department)) {
+      flag(file, "taxonomy", `department "${data.department}" is not in taxonomies.departments`);
+    }
+    if (Array.isArray(phases) && data.phase != null && !phases.includes(data.phase)) {
+      flag(file, "taxonomy", `phase "${data.phase}" is not in governance.phases`);
+    }
+
+    for (const field of [NORMALIZATION.impact_field, NORMALIZATION.effort_field]) {
+      const value = getPath(data, field);
+      if (value != null && !(typeof value === "number" && value >= SCORE_RANGE.min && value <= SCORE_RANGE.max)) {
+        flag(file, "required_fields", `${field} must be a number ${SCORE_RANGE.min}–${SCORE_RANGE.max}, got ${JSON.stringify(value)}`);
+      }
+    }
+  }
+
+  // Referential integrity needs every id first
+  for (const { file, data } of projects) {
+    const related = data.related_projects ?? [];
+    if (!Array.isArray(related)) {
+      flag(file, "referential_integrity", "related_projects must be a list");
+      continue;
+    }
+    for (const ref of related) {
+      if (!filesById.has(ref)) flag(file, "referential_integrity", `related project ${ref} does not exist`);
+    }
+  }
+  return violations;
+}
+
+// ---------------------------------------------------------------------------
+// Fixture
+// ---------------------------------------------------------------------------
+
+function relativeTo(fromFile, path) {
+  return relative(dirname(fromFile), path).split(sep).join("/");
+}
+
+/**
+ * Read and validate the project files, then build the fixture object.
+ * Returns { truth, violations } — `truth` is null when there are violations.
+ */
+export function generateReferenceTruth({
+  projectsDir = DEFAULT_PROJECTS_DIR,
+  configPath = DEFAULT_CONFIG_PATH,
+  outputPath = DEFAULT_TRUTH_PATH,
+} = {}) {
+  const violations = [];
+  const sources = {};
+
+  let config = null;
+  try {
+    const raw = readFileSync(configPath, "utf-8");
+    config = JSON.parse(raw);
+    sources[relativeTo(outputPath, configPath)] = contentHash(raw);
+  } catch (err) {
+    violations.push({ file: "config.json", rule: "config", message: `cannot read ${configPath}: ${err.message}` });
+  }
+
+  const files = existsSync(projectsDir) ? readdirSync(projectsDir).filter((f) => f.endsWith(".md")).sort() : [];
+  if (files.length === 0) {
+    violations.push({ file: projectsDir, rule: "required_fields", message: "no project files found" });
+  }
+
+  const projects = [];
+  for (const file of files) {
+    const path = join(projectsDir, file);
+    const raw = readFileSync(path, "utf-8");
+    sources[relativeTo(outputPath, path)] = contentHash(raw);
+    try {
+      projects.push({ file, data: parseFrontMatter(raw) });
+    } catch (err) {
+      violations.push({ file, rule: "front_matter", message: err.message });
+    }
+  }
+
+  violations.push(...validateProjects(projects, config));
+  if (violations.length > 0) return { truth: null, violations };
+
+  const entries = projects
+    .map(({ data }) => {
+      const strategicValue = getPath(data, NORMALIZATION.impact_field);
+      const complexity = getPath(data, NORMALIZATION.effort_field);
+      const impact = normalizeScore(strategicValue);
+      const effort = normalizeScore(complexity);
+      return [
+        data.id,
+        {
+          title: data.title,
+          strategic_value: strategicValue,
+          complexity,
+          impact,
+          effort,
+          quadrant: quadrantFor(impact, effort),
+        },
+      ];
+    })
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  return {
+    truth: {
+      $comment:
+        "Generated by evaluation/ground-truth.js from the seeded projects in reference/_content/projects — do not edit by hand. Used to check evaluator-reported quadrant mappings (auto-fail condition #4).",
+      normalization: NORMALIZATION,
+      quadrant_threshold: QUADRANT_THRESHOLD,
+      sources,
+      projects: Object.fromEntries(entries),
+    },
+    violations,
+  };
+}
+
+export function serializeReferenceTruth(truth) {
+  return JSON.stringify(truth, null, 2) + "\n";
+}
+
+/**
+ * Source files whose content no longer matches the hash recorded in the
+ * fixture (or that have disappeared). `truthPath` is where the fixture was
+ * loaded from; recorded paths are relative to it. Fixtures without
+ * `sources` are not checked.
+ */
+export function staleReferenceSources(truth, truthPath) {
+  return Object.entries(truth?.sources ?? {})
+    .filter(([source, hash]) => {
+      const path = resolve(dirname(truthPath), source);
+      return !existsSync(path) || contentHash(readFileSync(path, "utf-8")) !== hash;
+    })
+    .map(([source]) => source);
+}
+
+/** One project as printed after generation and quoted in the evaluator prompt. */
+export function formatTruthLine(id, p) {
+  return `${id} (${p.strategic_value} value, ${p.complexity} complexity) → ${p.impact}/${p.effort} → ${p.quadrant}`;
+}
+
+// A quoted line: a list item that starts with a project id and a "(… value"
+const QUOTED_LINE = /^\s*[-*]\s+(\S+ \([^)]* value\b.*?)\s*$/;
+
+/**
+ * Differences between the fixture and the lines a prompt document quotes
+ * from it: [{ line, problem }] with problem "missing" (an expected line is
+ * not quoted) or "unexpected" (a quoted line matches no project). Empty
+ * when the quote is current.
+ */
+export function staleTruthQuote(truth, promptText) {
+  const expected = Object.entries(truth.projects).map(([id, p]) => formatTruthLine(id, p));
+  const quoted = promptText
+    .split(/\r?\n/)
+    .map((l) => l.match(QUOTED_LINE)?.[1])
+    .filter(Boolean);
+  return [
+    ...expected.filter((l) => !quoted.includes(l)).map((line) => ({ line, problem: "missing" })),
+    ...quoted.filter((l) => !expected.includes(l)).map((line) => ({ line, problem: "unexpected" })),
+  ];
+}
+
+// ---------------------------------------------------------------------------
+// CLI
+// ---------------------------------------------------------------------------
+
+function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes("--help")) {
+    console.log(`
+Roadmap Engine Reference Truth Generator
+
+Usage:
+  node ground-truth.js [--projects <dir>] [--config <file>] [--output <file>] [--check]
+                      [--prompt <file>]
+
+Options:
+  --projects <dir>  Seeded project files (default: reference/_content/projects)
+  --config <file>   Tenant config with the taxonomy allowlists
+                    (default: reference/_content/config.json)
+  --output <file>   Fixture to write (default: evaluation/reference-truth.json)
+  --check           Do not write; exit 1 if the fixture is out of date or the
+                    evaluator prompt quotes it differently
+  --prompt <file>   Document whose quoted reference truth --check verifies
+                    (default: evaluation-framework.md)
+
+Exit codes:
+  0  fixture written (or up to date with --check)
+  1  projects violate the PRD build-time validation rules, or --check found
+     the fixture or the prompt's quote of it out of date
+`);
+    process.exit(0);
+  }
+
+  const option = (flag, fallback) => {
+    const idx = args.indexOf(flag);
+    return idx >= 0 && args[idx + 1] ? resolve(args[idx + 1]) : fallback;
+  };
+  const projectsDir = option("--projects", DEFAULT_PROJECTS_DIR);
+  const configPath = option("--config", DEFAULT_CONFIG_PATH);
+  const outputPath = option("--output", DEFAULT_TRUTH_PATH);
+  const promptPath = option("--prompt", DEFAULT_PROMPT_PATH);
+
+  const { truth, violations } = generateReferenceTruth({ projectsDir, configPath, outputPath });
+  if (violations.length > 0) {
+    console.error(`Error: ${violations.length} build-time validation violation(s) in ${projectsDir}:`);
+    for (const v of violations) {
+      console.error(`  ${v.file} [${v.rule}]: ${v.message}`);
+    }
+    console.error("No reference truth generated.");
+    process.exit(1);
+  }
+
+  const serialized = serializeReferenceTruth(truth);
+  if (args.includes("--check")) {
+    const current = existsSync(outputPath) ? readFileSync(outputPath, "utf-8") : null;
+    if (current !== serialized) {
+      console.error(`Error: ${outputPath} is out of date. Run: node evaluation/ground-truth.js`);
+      process.exit(1);
+    }
+    const quote = existsSync(promptPath) ? staleTruthQuote(truth, readFileSync(promptPath, "utf-8")) : null;
+    if (quote === null) {
+      console.error(`Error: Not found: ${promptPath}`);
+      process.exit(1);
+    }
+    if (quote.length > 0) {
+      console.error(`Error: the reference truth quoted in ${promptPath} does not match the fixture:`);
+      for (const q of quote) console.error(`  ${q.problem}: ${q.line}`);
+      process.exit(1);
+    }
+    console.log(`${outputPath} is up to date, and so is its quote in ${promptPath}.`);
+    return;
+  }
+
+  writeFileSync(outputPath, serialized);
+  console.log(`Wrote ${outputPath}`);
+  for (const [id, p] of Object.entries(truth.projects)) {
+    console.log(`  ${formatTruthLine(id, p)}`);
+  }
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
@@ -0,0 +1,545 @@
+/**
+ * Self-contained HTML report
+ *
+ * report.html shows the same run as comparison.md, for a panel reviewing on
+ * screen. It is a single file with inline CSS, SVG and script — no CDN,
+ * web fonts or network requests — so it opens offline and can be archived
+ * with the run. Per candidate, in ranking order, it shows:
+ *
+ *   radar      the consensus category scores, one axis per rubric category,
+ *              with each evaluator's own category scores drawn behind them
+ *   heatmap    criterion × evaluator grid of individual scores with the
+ *              consensus last; high-divergence criteria are outlined
+ *   gates      consensus pass/fail with the vote and the gate runner's
+ *              result, bonus components, and the automatic failure reasons
+ *   evidence   one <details> per evaluator with its gate notes and the
+ *              evidence and notes behind every criterion and bonus score;
+ *              heatmap cells link to the matching row
+ *
+ * The ranking table at the top sorts by any column. Every string taken from
+ * an eval or output file is HTML-escaped. The page contains no URLs or
+ * @-rules of its own, so on a blind run the aggregator's leak scan reports
+ * only what came from the evals.
+ */
+
+import { loadRubrics } from "./rubric.js";
+
+// One colour per evaluator, assigned in order of first appearance
+const EVALUATOR_COLORS = ["#1f77b4", "#d62728", "#2ca02c", "#9467bd", "#ff7f0e", "#8c564b", "#e377c2", "#17becf"];
+
+const RADAR_SIZE = 280;
+const RADAR_RADIUS = 95;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Fragment-safe id from its parts
+function anchor(...parts) {
+  return parts.map((p) => String(p).replace(/[^A-Za-z0-9_-]+/g, "-")).join("--");
+}
+
+// Red (0) through amber to green (max)
+function heatColor(score, max) {
+  const hue = Math.round(120 * Math.min(1, Math.max(0, score / max)));
+  return `hsl(${hue}, 60%, 78%)`;
+}
+
+function categoryLetter(cat) {
+  return cat.split("_")[0];
+}
+
+function passMark(pass) {
+  if (pass === true) return "<span class=\"pass\">pass</span>";
+  if (pass === false) return "<span class=\"fail\">fail</span>";
+  return "<span class=\"muted\">—</span>";
+}
+
+// ---------------------------------------------------------------------------
+// Ranking
+// ---------------------------------------------------------------------------
+
+function rankingTable(comparison, rubric) {
+  const bonuses = Object.values(rubric.bonuses);
+  const head = [
+    "Rank", "Candidate", "Score", "Interval", "Band",
+    ...rubric.categories.map(categoryLetter),
+    ...bonuses.map((b) => b.summaryField.replace(/_bonus$/, "")),
+    "Recommendation", "Confidence", "Agreement", "Divergences", "Review",
+  ];
+  const lines = [
+    "<table class=\"sortable ranking\">",
+    `<thead><tr>${head.map((h) => `<th>${escapeHtml(h)}</th>`).join("")}</tr></thead>`,
+    "<tbody>",
+  ];
+  const number = (value) => (typeof value === "number"
+    ? `<td class="num" data-sort="${value}">${value}</td>`
+    : "<td class=\"num muted\" data-sort=\"-1\">—</td>");
+  for (const r of comparison.ranking) {
+    const order = rubric.recommendationOrder.indexOf(r.consensus_recommendation);
+    lines.push(
+      `<tr${r.automatic_failure ? " class=\"auto-fail\"" : ""}>` +
+      `<td class="num" data-sort="${r.position}">${r.rank}${r.indistinguishable_from.length > 0 ? "=" : ""}</td>` +
+      `<td><a href="#${anchor(r.candidate_id)}">${escapeHtml(r.candidate_id)}</a>` +
+      `${r.automatic_failure ? " <span class=\"badge fail\">auto-fail</span>" : ""}</td>` +
+      number(r.final_score) +
+      `<td class="num" data-sort="${r.score_interval.lower}">${r.score_interval.lower}–${r.score_interval.upper}</td>` +
+      `<td data-sort="${r.final_score}">${escapeHtml(r.score_band)}</td>` +
+      rubric.categories.map((cat) => number(r.category_scores[cat])).join("") +
+      bonuses.map((b) => number(r[b.summaryField])).join("") +
+      `<td data-sort="${order < 0 ? rubric.recommendationOrder.length : order}">${escapeHtml(r.consensus_recommendation)}</td>` +
+      `<td>${escapeHtml(r.confidence)}</td>` +
+      `<td>${escapeHtml(r.evaluator_agreement)}</td>` +
+      number(r.divergence_count) +
+      `<td>${r.review_status === "complete" ? "complete" : "<strong>needs review</strong>"}</td>` +
+      "</tr>"
+    );
+  }
+  lines.push("</tbody>", "</table>");
+  lines.push(
+    "<p class=\"muted\">Click a column to sort. Letters are the categories under Category Weights; " +
+    "<code>=</code> marks a shared rank (statistically indistinguishable scores).</p>"
+  );
+  return lines;
+}
+
+function rubricTables(rubric) {
+  const lines = ["<div class=\"row\">", "<table>", "<thead><tr><th>Category</th><th>Weight</th></tr></thead>", "<tbody>"];
+  for (const cat of rubric.categories) {
+    lines.push(
+      `<tr><td>${escapeHtml(categoryLetter(cat))}: ${escapeHtml(rubric.categoryLabels[cat])}</td>` +
+      `<td class="num">${Math.round(rubric.weights[cat] * 1000) / 10}%</td></tr>`
+    );
+  }
+  lines.push("</tbody>", "</table>");
+  lines.push("<table>", "<thead><tr><th>From</th><th>Band</th></tr></thead>", "<tbody>");
+  for (const band of rubric.scoreBands) {
+    lines.push(`<tr><td class="num">${band.min}</td><td>${escapeHtml(band.label)}</td></tr>`);
+  }
+  lines.push("</tbody>", "</table>", "</div>");
+  if (rubric.weightsSource) {
+    lines.push(`<p class="muted">Weights overridden by <code>${escapeHtml(rubric.weightsSource)}</code>.</p>`);
+  }
+  return lines;
+}
+
+// ---------------------------------------------------------------------------
+// Radar chart
+// ---------------------------------------------------------------------------
+
+/**
+ * Inline SVG radar of 0–100 category scores. `series` is
+ * [{ scores, color, consensus }]; a null score is drawn at the centre.
+ */
+function radarChart(categories, labels, series) {
+  const c = RADAR_SIZE / 2;
+  const point = (i, value) => {
+    const angle = -Math.PI / 2 + (2 * Math.PI * i) / categories.length;
+    const r = (RADAR_RADIUS * value) / 100;
+    return [c + r * Math.cos(angle), c + r * Math.sin(angle)].map((v) => Math.round(v * 10) / 10);
+  };
+  const polygon = (values) => values.map((v, i) => point(i, Math.max(0, Math.min(100, v ?? 0))).join(",")).join(" ");
+  const lines = [
+    `<svg class="radar" viewBox="0 0 ${RADAR_SIZE} ${RADAR_SIZE}" width="${RADAR_SIZE}" height="${RADAR_SIZE}" role="img">`,
+  ];
+  for (const ring of [25, 50, 75, 100]) {
+    lines.push(`<polygon class="grid" points="${polygon(categories.map(() => ring))}"/>`);
+  }
+  categories.forEach((cat, i) => {
+    const [x, y] = point(i, 100);
+    const [lx, ly] = point(i, 118);
+    lines.push(`<line class="grid" x1="${c}" y1="${c}" x2="${x}" y2="${y}"/>`);
+    lines.push(
+      `<text x="${lx}" y="${ly}" text-anchor="middle" dominant-baseline="middle">` +
+      `<title>${escapeHtml(labels[cat] ?? cat)}</title>${escapeHtml(categoryLetter(cat))}</text>`
+    );
+  });
+  for (const s of [...series.filter((x) => !x.consensus), ...series.filter((x) => x.consensus)]) {
+    const values = categories.map((cat) => s.scores[cat]);
+    lines.push(
+      `<polygon class="${s.consensus ? "consensus" : "evaluator"}" points="${polygon(values)}" ` +
+      `style="stroke:${s.color}${s.consensus ? `;fill:${s.color}` : ""}"/>`
+    );
+  }
+  lines.push("</svg>");
+  return lines;
+}
+
+// ---------------------------------------------------------------------------
+// Heatmap
+// ---------------------------------------------------------------------------
+
+function heatmap(consensus, rubric, colors) {
+  const evaluators = consensus.evaluator_scores ?? [];
+  const divergent = new Map(
+    (consensus.inter_evaluator_analysis?.high_divergence_criteria ?? []).map((d) => [d.criterion, d])
+  );
+  const max = rubric.maxCriterionScore;
+  const cell = (score, href, className = "heat") => {
+    if (typeof score !== "number") return `<td class="${className} muted">—</td>`;
+    const text = href ? `<a href="#${href}">${score}</a>` : score;
+    return `<td class="${className}" style="background:${heatColor(score, max)}">${text}</td>`;
+  };
+  const lines = [
+    "<table class=\"heatmap\">",
+    "<thead><tr><th>Criterion</th>" +
+    evaluators.map((e) => `<th><span class="swatch" style="background:${colors.get(e.evaluator)}"></span>${escapeHtml(e.evaluator)}</th>`).join("") +
+    "<th>Consensus</th><th>Raters</th></tr></thead>",
+    "<tbody>",
+  ];
+  for (const [cat, block] of Object.entries(consensus.rubric_consensus)) {
+    lines.push(
+      `<tr class="category"><th colspan="${evaluators.length + 3}">${escapeHtml(categoryLetter(cat))}: ` +
+      `${escapeHtml(rubric.categoryLabels[cat] ?? cat)} — ${block.category_score ?? "—"}</th></tr>`
+    );
+    for (const [crit, c] of Object.entries(block.criteria)) {
+      const d = divergent.get(crit);
+      const flag = d
+        ? ` <span class="badge ${d.adjudicated ? "muted" : "warn"}" title="${escapeHtml(d.note ?? "")}">` +
+          `divergent, σ ${d.std_dev}${d.adjudicated ? ", adjudicated" : ""}</span>`
+        : "";
+      lines.push(
+        `<tr${d ? " class=\"divergent\"" : ""}><td>${escapeHtml(crit)}${flag}</td>` +
+        evaluators.map((e) =>
+          cell(e.criterion_scores?.[crit], anchor(consensus.candidate_id, e.evaluator, crit))
+        ).join("") +
+        cell(c.consensus_score, null, "heat consensus") +
+        `<td class="num">${c.raters ?? (c.individual_scores ?? []).length}</td></tr>`
+      );
+    }
+  }
+  lines.push("</tbody>", "</table>");
+  return lines;
+}
+
+// ---------------------------------------------------------------------------
+// Gates, bonuses and automatic failure
+// ---------------------------------------------------------------------------
+
+function gateTable(consensus) {
+  const gate = consensus.automated_gate;
+  const reference = gate.reference?.checks ?? null;
+  const lines = [
+    "<table class=\"gates\">",
+    `<thead><tr><th>Gate</th><th>Consensus</th><th>Pass</th><th>Fail</th><th>Agreement</th>${reference ? "<th>Gate Runner</th>" : ""}</tr></thead>`,
+    "<tbody>",
+  ];
+  for (const [gk, g] of Object.entries(gate.checks)) {
+    const ref = reference?.[gk];
+    lines.push(
+      `<tr><td>${escapeHtml(gk)}</td><td>${passMark(g.consensus_pass)}</td>` +
+      `<td class="num">${g.pass_count}</td><td class="num">${g.fail_count}</td><td>${escapeHtml(g.agreement)}</td>` +
+      (reference
+        ? `<td>${ref ? `${passMark(ref.reference_pass)}${ref.consensus_agrees ? "" : " <span class=\"badge warn\">disagrees</span>"}` : "<span class=\"muted\">not run</span>"}</td>`
+        : "") +
+      "</tr>"
+    );
+  }
+  lines.push("</tbody>", "</table>");
+  return lines;
+}
+
+function bonusTable(consensus, rubric) {
+  const lines = [];
+  for (const [key, bonus] of Object.entries(rubric.bonuses)) {
+    const block = consensus[key];
+    if (!block) continue;
+    lines.push(`<h4>${escapeHtml(key)} — ${block.bonus_total} / ${bonus.maxTotal}</h4>`);
+    lines.push(
+      "<table class=\"bonus\">",
+      "<thead><tr><th>Component</th><th>Consensus</th><th>Max</th><th>Individual</th></tr></thead>",
+      "<tbody>"
+    );
+    for (const component of Object.keys(bonus.components)) {
+      const c = block[component];
+      if (!c) continue;
+      lines.push(
+        `<tr><td>${escapeHtml(component)}</td><td class="num">${c.consensus_points ?? "—"}</td>` +
+        `<td class="num">${c.max ?? bonus.components[component]}</td>` +
+        `<td>${(c.individual_scores ?? []).map((s) => s ?? "—").join(", ")}</td></tr>`
+      );
+    }
+    lines.push("</tbody>", "</table>");
+  }
+  return lines;
+}
+
+function autoFailBlock(consensus) {
+  const summary = consensus.scoring_summary;
+  if (!summary.automatic_failure) return ["<p>No automatic failure.</p>"];
+  return [
+    "<div class=\"callout fail\"><strong>Automatic failure</strong>",
+    "<ul>",
+    ...summary.automatic_failure_reasons.map((reason) => `<li>${escapeHtml(reason)}</li>`),
+    "</ul>",
+    "</div>",
+  ];
+}
+
+// ---------------------------------------------------------------------------
+// Evidence drill-down
+// ---------------------------------------------------------------------------
+
+function evidenceBlock(candidateId, eval_, rubric, scores) {
+  const evaluator = eval_.evaluation_metadata?.evaluator ?? "unknown";
+  const lines = [
+    "<details class=\"evidence\">",
+    `<summary><strong>${escapeHtml(evaluator)}</strong>` +
+    (scores ? ` — ${scores.final_score} (${escapeHtml(scores.score_band)}), ${escapeHtml(scores.recommendation)}` : "") +
+    "</summary>",
+  ];
+
+  const gates = Object.entries(eval_.automated_gate ?? {}).filter(([gk]) => gk !== "gate_summary");
+  if (gates.length > 0) {
+    lines.push("<details><summary>Gates</summary>", "<table>", "<tbody>");
+    for (const [gk, g] of gates) {
+      lines.push(`<tr><td>${escapeHtml(gk)}</td><td>${passMark(g?.pass)}</td><td class="text">${escapeHtml(g?.notes)}</td></tr>`);
+    }
+    lines.push("</tbody>", "</table>", "</details>");
+  }
+
+  for (const [cat, block] of Object.entries(eval_.rubric_scores ?? {})) {
+    lines.push(
+      `<details><summary>${escapeHtml(categoryLetter(cat))}: ${escapeHtml(rubric.categoryLabels[cat] ?? cat)}` +
+      `${typeof block?.category_score === "number" ? ` — ${block.category_score}` : ""}</summary>`
+    );
+    if (block?.category_commentary) lines.push(`<p class="text">${escapeHtml(block.category_commentary)}</p>`);
+    lines.push("<table>", "<thead><tr><th>Criterion</th><th>Score</th><th>Evidence</th><th>Notes</th></tr></thead>", "<tbody>");
+    for (const [crit, c] of Object.entries(block?.criteria ?? {})) {
+      lines.push(
+        `<tr id="${anchor(candidateId, evaluator, crit)}"><td>${escapeHtml(crit)}</td><td class="num">${c?.score ?? "—"}</td>` +
+        `<td class="text">${escapeHtml(c?.evidence)}</td><td class="text">${escapeHtml(c?.notes)}</td></tr>`
+      );
+    }
+    lines.push("</tbody>", "</table>", "</details>");
+  }
+
+  for (const key of Object.keys(rubric.bonuses)) {
+    const block = eval_[key];
+    if (!block) continue;
+    lines.push(
+      `<details><summary>${escapeHtml(key)} — ${block.bonus_total ?? "—"}</summary>`,
+      "<table>",
+      "<thead><tr><th>Component</th><th>Points</th><th>Evidence</th><th>Notes</th></tr></thead>",
+      "<tbody>"
+    );
+    for (const [component, c] of Object.entries(block).filter(([k]) => k !== "bonus_total")) {
+      lines.push(
+        `<tr><td>${escapeHtml(component)}</td><td class="num">${c?.points ?? "—"}</td>` +
+        `<td class="text">${escapeHtml(c?.evidence)}</td><td class="text">${escapeHtml(c?.notes)}</td></tr>`
+      );
+    }
+    lines.push("</tbody>", "</table>", "</details>");
+  }
+
+  const q = eval_.qualitative_summary;
+  if (q) {
+    const list = (title, items) => (items?.length > 0
+      ? [`<h5>${title}</h5>`, "<ul>", ...items.map((item) => `<li class="text">${escapeHtml(item)}</li>`), "</ul>"]
+      : []);
+    lines.push(
+      "<details><summary>Qualitative summary</summary>",
+      ...list("Strengths", q.top_strengths),
+      ...list("Weaknesses", q.top_weaknesses),
+      ...list("Standout moments", q.standout_moments),
+      ...(q.hiring_signal ? ["<h5>Hiring signal</h5>", `<p class="text">${escapeHtml(q.hiring_signal)}</p>`] : []),
+      "</details>"
+    );
+  }
+  lines.push("</details>");
+  return lines;
+}
+
+// ---------------------------------------------------------------------------
+// Candidate sections
+// ---------------------------------------------------------------------------
+
+function candidateSection(entry, consensus, evals, rubric, colors) {
+  const id = entry.candidate_id;
+  const lines = [
+    `<section class="candidate" id="${anchor(id)}">`,
+    `<h2>#${entry.rank}${entry.indistinguishable_from.length > 0 ? "=" : ""} ${escapeHtml(id)} — ${entry.final_score} ` +
+    `<span class="band">${escapeHtml(entry.score_band)}</span>` +
+    `${entry.automatic_failure ? " <span class=\"badge fail\">auto-fail</span>" : ""}</h2>`,
+    `<p>${escapeHtml(entry.consensus_recommendation)} · weighted ${entry.weighted_score} · ` +
+    `${Object.values(rubric.bonuses).map((b) => `${escapeHtml(b.summaryField)} +${entry[b.summaryField] ?? 0}`).join(" · ")} · ` +
+    `interval ${entry.score_interval.lower}–${entry.score_interval.upper} · ${entry.evaluator_count} evaluator(s), ` +
+    `${escapeHtml(entry.confidence)} confidence · ${escapeHtml(entry.evaluator_agreement)} agreement</p>`,
+  ];
+  if (entry.pending_review_items.length > 0) {
+    lines.push(`<p class="callout warn">Needs review: ${entry.pending_review_items.map(escapeHtml).join(", ")}</p>`);
+  }
+  if (!consensus) {
+    lines.push("</section>");
+    return lines;
+  }
+
+  const categories = Object.keys(consensus.rubric_consensus);
+  const series = [
+    ...(consensus.evaluator_scores ?? []).map((e) => ({ scores: e.category_scores ?? {}, color: colors.get(e.evaluator) })),
+    { scores: consensus.scoring_summary.category_scores, color: "#222", consensus: true },
+  ];
+  lines.push("<div class=\"row\">");
+  lines.push("<figure>", ...radarChart(categories, rubric.categoryLabels, series));
+  lines.push(
+    "<figcaption>" +
+    categories.map((cat) =>
+      `${escapeHtml(categoryLetter(cat))} ${escapeHtml(rubric.categoryLabels[cat] ?? cat)}: ` +
+      `<strong>${consensus.scoring_summary.category_scores[cat] ?? "—"}</strong>`
+    ).join("<br>") +
+    "</figcaption>",
+    "</figure>"
+  );
+  lines.push("<div>", "<h3>Gates</h3>", ...gateTable(consensus), ...autoFailBlock(consensus), "</div>");
+  lines.push("<div>", "<h3>Bonuses</h3>", ...bonusTable(consensus, rubric), "</div>");
+  lines.push("</div>");
+
+  lines.push("<h3>Criterion scores</h3>", ...heatmap(consensus, rubric, colors));
+
+  if (evals.length > 0) {
+    const scoresByEvaluator = new Map((consensus.evaluator_scores ?? []).map((e) => [e.evaluator, e]));
+    lines.push("<h3>Evidence and notes</h3>");
+    for (const eval_ of evals) {
+      lines.push(...evidenceBlock(id, eval_, rubric, scoresByEvaluator.get(eval_.evaluation_metadata?.evaluator)));
+    }
+  }
+  lines.push("</section>");
+  return lines;
+}
+
+// ---------------------------------------------------------------------------
+// Page
+// ---------------------------------------------------------------------------
+
+const STYLE = `
+body { font: 14px/1.45 system-ui, sans-serif; color: #222; margin: 0 auto; max-width: 1200px; padding: 1em 1.5em; }
+h1 { margin-bottom: 0.2em; }
+h2 { border-top: 2px solid #ccc; padding-top: 0.8em; margin-top: 2em; }
+h4 { margin: 0.8em 0 0.3em; }
+table { border-collapse: collapse; margin: 0.5em 0; }
+th, td { border: 1px solid #ddd; padding: 0.25em 0.5em; vertical-align: top; text-align: left; }
+th { background: #f3f3f3; }
+td.num, td.heat { text-align: right; }
+td.text, .text { white-space: pre-wrap; max-width: 40em; }
+table.sortable th { cursor: pointer; user-select: none; }
+table.sortable th[data-dir=asc]::after { content: " ▲"; }
+table.sortable th[data-dir=desc]::after { content: " ▼"; }
+tr.auto-fail td { background: #fdecea; }
+tr.category th { background: #e8eef7; }
+tr.divergent td:first-child { box-shadow: inset 3px 0 0 #c62828; }
+tr.divergent td.heat { outline: 2px solid #c62828; outline-offset: -2px; }
+td.heat a { color: inherit; text-decoration: none; display: block; }
+td.consensus { font-weight: bold; }
+.row { display: flex; flex-wrap: wrap; gap: 2em; align-items: flex-start; }
+figure { margin: 0; }
+figcaption { font-size: 12px; }
+svg.radar text { font-size: 12px; fill: #444; }
+svg.radar .grid { fill: none; stroke: #ccc; }
+svg.radar .evaluator { fill: none; stroke-width: 1.5; stroke-dasharray: 4 3; }
+svg.radar .consensus { fill-opacity: 0.15; stroke-width: 2.5; }
+.swatch { display: inline-block; width: 0.8em; height: 0.8em; margin-right: 0.3em; border-radius: 2px; }
+.badge { font-size: 11px; padding: 0 0.4em; border-radius: 3px; background: #eee; white-space: nowrap; }
+.badge.fail, .fail { color: #b71c1c; }
+.badge.warn { background: #ffe0b2; }
+.pass { color: #1b5e20; }
+.muted { color: #888; }
+.callout { padding: 0.5em 0.8em; border-left: 4px solid #999; background: #fafafa; }
+.callout.fail { border-color: #c62828; background: #fdecea; }
+.callout.warn { border-color: #ef6c00; background: #fff3e0; }
+details { margin: 0.3em 0; }
+details details { margin-left: 1.2em; }
+summary { cursor: pointer; }
+`;
+
+// Sortable tables, and opening the <details> around a linked evidence row
+const SCRIPT = `
+document.querySelectorAll("table.sortable th").forEach((th, col) => th.addEventListener("click", () => {
+  const table = th.closest("table");
+  const dir = th.dataset.dir === "asc" ? "desc" : "asc";
+  table.querySelectorAll("th").forEach((h) => delete h.dataset.dir);
+  th.dataset.dir = dir;
+  const key = (row) => row.cells[col].dataset.sort ?? row.cells[col].textContent.trim();
+  const rows = [...table.tBodies[0].rows].sort((a, b) => {
+    const x = key(a);
+    const y = key(b);
+    const order = isNaN(x) || isNaN(y) ? x.localeCompare(y) : Number(x) - Number(y);
+    return dir === "asc" ? order : -order;
+  });
+  table.tBodies[0].append(...rows);
+}));
+function reveal() {
+  const target = location.hash && document.getElementById(decodeURIComponent(location.hash.slice(1)));
+  if (!target) return;
+  for (let d = target.closest("details"); d; d = d.parentElement.closest("details")) d.open = true;
+  target.scrollIntoView();
+}
+window.addEventListener("hashchange", reveal);
+reveal();
+`;
+
+/**
+ * `comparison` is a buildComparison() result and `consensusResults` the
+ * matching buildConsensus() results. `evals` maps candidate id to that
+ * candidate's validated eval files (canonical evaluator ids), for the
+ * evidence drill-down; `rubric` supplies labels, weights, bands and bonuses
+ * (default: the default version in rubrics.json). Returns the report.html
+ * text.
+ */
+export function buildHtmlReport(comparison, consensusResults, { evals = {}, rubric = null } = {}) {
+  if (!rubric) {
+    const rubrics = loadRubrics();
+    rubric = rubrics.versions[rubrics.defaultVersion];
+  }
+  const byId = new Map(consensusResults.map((c) => [c.candidate_id, c]));
+  const colors = new Map();
+  for (const c of consensusResults) {
+    for (const e of c.evaluator_scores ?? []) {
+      if (!colors.has(e.evaluator)) colors.set(e.evaluator, EVALUATOR_COLORS[colors.size % EVALUATOR_COLORS.length]);
+    }
+  }
+
+  const status = comparison.report_status.final
+    ? "final"
+    : `<strong>draft</strong> — ${comparison.report_status.candidates_needing_review.map(escapeHtml).join(", ")} ` +
+      "still need a reviewer's decision";
+  const lines = [
+    "<!DOCTYPE html>",
+    "<html lang=\"en\">",
+    "<head>",
+    "<meta charset=\"utf-8\">",
+    "<meta name=\"viewport\" content=\"width=device-width, initial-scale=1\">",
+    "<title>Candidate Comparison Report</title>",
+    `<style>${STYLE}</style>`,
+    "</head>",
+    "<body>",
+    "<h1>Candidate Comparison Report</h1>",
+    `<p>Generated ${escapeHtml(comparison.generated_at)} · ${comparison.candidate_count} candidate(s) · status: ${status}</p>`,
+  ];
+  if (comparison.blind_review) {
+    lines.push(
+      `<p class="callout">Blind review: identifying details redacted; un-blinding mapping sealed ` +
+      `(sha256 ${escapeHtml(comparison.blind_review.mapping_sha256)}).</p>`
+    );
+  }
+  lines.push("<h2>Rankings</h2>", ...rankingTable(comparison, rubric));
+  lines.push("<h3>Category weights and score bands</h3>", ...rubricTables(rubric));
+  lines.push(
+    "<p class=\"muted\">Radar charts: the solid shape is the consensus, dashed lines are individual evaluators. " +
+    `Heatmap: criterion scores 0–${rubric.maxCriterionScore}; outlined rows are high-divergence criteria. ` +
+    "Click a score to open that evaluator's evidence.</p>"
+  );
+  for (const entry of comparison.ranking) {
+    lines.push(...candidateSection(entry, byId.get(entry.candidate_id), evals[entry.candidate_id] ?? [], rubric, colors));
+  }
+  lines.push(`<script>${SCRIPT}</script>`, "</body>", "</html>");
+  return `${lines.join("\n")}\n`;
+}
@@ -0,0 +1,285 @@
+/**
+ * Run manifest and run-to-run diff
+ *
+ * Every aggregate run writes run-manifest.json next to its outputs:
+ *
+ *   script    sha256 of every evaluation/*.js module, and of all of them
+ *             together (`sha256`), standing in for the aggregator version
+ *   settings  the options that change results (validation mode, strategies,
+ *             weights, calibration, ...)
+ *   config    path and sha256 of the rubric file, evaluator registry, lint
+ *             config, blind-review config and reference truth
+ *   inputs    every file read from the evals directory — eval files,
+ *             adjudication files and gate runs — with its sha256 and, for
+ *             evals, the evaluator, framework version and validation status
+ *   outputs   sha256 of every output written
+ *
+ * With a fixed --timestamp a run is reproducible byte for byte: the same
+ * inputs, settings and script give the same output hashes.
+ *
+ * diffRuns() compares two output directories: per candidate, what happened
+ * to the final score, band, rank, recommendation and high-divergence
+ * criteria, and which input files changed for it. A change with no input
+ * change behind it is put down to the run's settings, config or script, or
+ * — for a rank alone — to other candidates.
+ */
+
+import { readFileSync, readdirSync, existsSync } from "node:fs";
+import { join, relative, sep, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { contentHash } from "./adjudication.js";
+
+export const MANIFEST_FILE = "run-manifest.json";
+
+const MODULE_DIR = dirname(fileURLToPath(import.meta.url));
+
+// ---------------------------------------------------------------------------
+// Manifest
+// ---------------------------------------------------------------------------
+
+// Path relative to the working directory, with /, so manifests written from
+// different checkouts compare equal
+export function portablePath(path) {
+  return relative(process.cwd(), path).split(sep).join("/");
+}
+
+export function fileHash(path) {
+  return contentHash(readFileSync(path));
+}
+
+/** sha256 of every evaluation/*.js module, and of the set as a whole. */
+export function scriptVersion() {
+  const modules = Object.fromEntries(readdirSync(MODULE_DIR)
+    .filter((f) => f.endsWith(".js"))
+    .sort()
+    .map((f) => [f, fileHash(join(MODULE_DIR, f))]));
+  return {
+    entry: "evaluation/aggregate.js",
+    sha256: contentHash(Object.entries(modules).map(([f, sha]) => `${sha}  ${f}`).join("\n")),
+    modules,
+  };
+}
+
+/**
+ * `config` maps a name to a file path (or null); `inputs` are
+ * { candidate_id, file, kind, sha256, ... } records and `outputs` maps each
+ * written file to its sha256. Returns the run-manifest.json object.
+ */
+export function buildRunManifest({ generatedAt, command, evalsDir, settings, config, aggregation, inputs, outputs }) {
+  return {
+    generated_at: generatedAt,
+    command,
+    evals_dir: evalsDir,
+    script: scriptVersion(),
+    settings,
+    config: Object.fromEntries(Object.entries(config).map(([name, path]) => [
+      name,
+      path ? { path: portablePath(path), sha256: fileHash(path) } : null,
+    ])),
+    aggregation,
+    inputs: [...inputs].sort((a, b) => a.candidate_id.localeCompare(b.candidate_id) || a.file.localeCompare(b.file)),
+    outputs,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Diff
+// ---------------------------------------------------------------------------
+
+/**
+ * Manifest, comparison and consensus files of one output directory.
+ * Throws when the directory has no run manifest.
+ */
+export function loadRun(dir) {
+  const read = (file) => JSON.parse(readFileSync(join(dir, file), "utf-8"));
+  if (!existsSync(join(dir, MANIFEST_FILE))) {
+    throw new Error(`${dir} has no ${MANIFEST_FILE} (written by aggregate runs)`);
+  }
+  const consensus = {};
+  for (const file of readdirSync(dir).filter((f) => /^consensus-.+\.json$/.test(f))) {
+    const c = read(file);
+    consensus[c.candidate_id] = c;
+  }
+  return { dir, manifest: read(MANIFEST_FILE), comparison: read("comparison.json"), consensus };
+}
+
+// Leaf values that differ between two objects: [{ key, before, after }]
+function changedValues(before = {}, after = {}, prefix = "") {
+  const keys = [...new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})])].sort();
+  return keys.flatMap((key) => {
+    const a = before?.[key];
+    const b = after?.[key];
+    const path = prefix ? `${prefix}.${key}` : key;
+    const isObject = (v) => v && typeof v === "object" && !Array.isArray(v);
+    if (isObject(a) && isObject(b)) return changedValues(a, b, path);
+    return JSON.stringify(a) === JSON.stringify(b) ? [] : [{ key: path, before: a ?? null, after: b ?? null }];
+  });
+}
+
+// Input files of one candidate that were added, removed or changed
+function inputChanges(before, after) {
+  const byFile = (inputs) => new Map(inputs.map((i) => [i.file, i]));
+  const a = byFile(before);
+  const b = byFile(after);
+  const changes = [];
+  for (const file of [...new Set([...a.keys(), ...b.keys()])].sort()) {
+    const x = a.get(file);
+    const y = b.get(file);
+    let change = null;
+    if (!x) change = "added";
+    else if (!y) change = "removed";
+    else if (x.sha256 !== y.sha256) change = "modified";
+    else if (x.status !== y.status) change = "status";
+    if (!change) continue;
+    changes.push({
+      file,
+      kind: (y ?? x).kind,
+      change,
+      evaluator: (y ?? x).evaluator ?? null,
+      status: { before: x?.status ?? null, after: y?.status ?? null },
+      sha256: { before: x?.sha256 ?? null, after: y?.sha256 ?? null },
+    });
+  }
+  return changes;
+}
+
+function divergentCriteria(consensus) {
+  return (consensus?.inter_evaluator_analysis?.high_divergence_criteria ?? []).map((d) => d.criterion);
+}
+
+/**
+ * Compare two loadRun() results. Returns the run diff: run-level setting,
+ * config and script changes, an entry for every candidate that changed or
+ * whose inputs changed, and the ids of the rest.
+ */
+export function diffRuns(before, after) {
+  const settings = changedValues(before.manifest.settings, after.manifest.settings);
+  const config = Object.keys({ ...before.manifest.config, ...after.manifest.config }).sort()
+    .filter((name) => before.manifest.config[name]?.sha256 !== after.manifest.config[name]?.sha256)
+    .map((name) => ({ config: name, before: before.manifest.config[name] ?? null, after: after.manifest.config[name] ?? null }));
+  const script = before.manifest.script.sha256 === after.manifest.script.sha256 ? null : {
+    before: before.manifest.script.sha256,
+    after: after.manifest.script.sha256,
+    modules_changed: changedValues(before.manifest.script.modules, after.manifest.script.modules).map((c) => c.key),
+  };
+  const runChanged = settings.length > 0 || config.length > 0 || script !== null;
+
+  const ranked = (run) => Object.fromEntries(run.comparison.ranking.map((r) => [r.candidate_id, r]));
+  const a = ranked(before);
+  const b = ranked(after);
+  const ids = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+
+  const candidates = ids.map((id) => {
+    const x = a[id];
+    const y = b[id];
+    const inputs = inputChanges(
+      before.manifest.inputs.filter((i) => i.candidate_id === id),
+      after.manifest.inputs.filter((i) => i.candidate_id === id)
+    );
+    const divergencesBefore = divergentCriteria(before.consensus[id]);
+    const divergencesAfter = divergentCriteria(after.consensus[id]);
+    const field = (get) => ({ before: x ? get(x) : null, after: y ? get(y) : null });
+    const entry = {
+      candidate_id: id,
+      status: !x ? "added" : !y ? "removed" : "present",
+      final_score: {
+        ...field((r) => r.final_score),
+        change: x && y ? Math.round((y.final_score - x.final_score) * 100) / 100 : null,
+      },
+      score_band: field((r) => r.score_band),
+      // rank is shared by candidates with overlapping score intervals;
+      // position is the strict order
+      rank: { ...field((r) => r.rank), change: x && y ? x.rank - y.rank : null },
+      position: { ...field((r) => r.position), change: x && y ? x.position - y.position : null },
+      recommendation: field((r) => r.consensus_recommendation),
+      automatic_failure: field((r) => r.automatic_failure),
+      divergences: {
+        before: x ? divergencesBefore.length : null,
+        after: y ? divergencesAfter.length : null,
+        added: divergencesAfter.filter((c) => !divergencesBefore.includes(c)),
+        removed: divergencesBefore.filter((c) => !divergencesAfter.includes(c)),
+      },
+      inputs,
+    };
+    const changes = [];
+    if (entry.final_score.change) changes.push("score");
+    if (x && y && x.score_band !== y.score_band) changes.push("band");
+    if (entry.rank.change || entry.position.change) changes.push("rank");
+    if (x && y && x.consensus_recommendation !== y.consensus_recommendation) changes.push("recommendation");
+    if (x && y && x.automatic_failure !== y.automatic_failure) changes.push("automatic_failure");
+    if (entry.divergences.added.length > 0 || entry.divergences.removed.length > 0) changes.push("divergences");
+    entry.changes = entry.status === "present" ? changes : [entry.status];
+
+    // What moved it: its own input files, the run's settings, or — for a
+    // rank change alone — the candidates around it
+    const own = changes.some((c) => c !== "rank");
+    entry.causes = [
+      ...(inputs.length > 0 ? ["inputs"] : []),
+      ...(runChanged && (own || entry.status !== "present") ? ["settings"] : []),
+      ...(changes.includes("rank") && !own ? ["other_candidates"] : []),
+    ];
+    if (entry.changes.length > 0 && entry.causes.length === 0) entry.causes.push("unknown");
+    return entry;
+  });
+
+  const changed = candidates.filter((c) => c.changes.length > 0 || c.inputs.length > 0);
+  return {
+    before: { dir: before.dir, generated_at: before.manifest.generated_at },
+    after: { dir: after.dir, generated_at: after.manifest.generated_at },
+    identical_outputs: JSON.stringify(before.manifest.outputs) === JSON.stringify(after.manifest.outputs),
+    settings,
+    config,
+    script,
+    candidates_changed: changed.length,
+    candidates: changed,
+    unchanged: candidates.filter((c) => !changed.includes(c)).map((c) => c.candidate_id),
+  };
+}
+
+/** Console text for a diffRuns() result. */
+export function formatRunDiff(diff) {
+  const lines = [`Run diff: ${diff.before.dir} (${diff.before.generated_at}) → ${diff.after.dir} (${diff.after.generated_at})`];
+  if (diff.identical_outputs) lines.push("Outputs are identical.");
+  for (const s of diff.settings) {
+    lines.push(`  Setting ${s.key}: ${JSON.stringify(s.before)} → ${JSON.stringify(s.after)}`);
+  }
+  for (const c of diff.config) {
+    lines.push(`  Config ${c.config}: ${c.before?.path ?? "none"} → ${c.after?.path ?? "none"} (content changed)`);
+  }
+  if (diff.script) lines.push(`  Script changed: ${diff.script.modules_changed.join(", ")}`);
+
+  for (const c of diff.candidates) {
+    lines.push("");
+    if (c.status !== "present") {
+      const r = c.status === "added" ? c.final_score.after : c.final_score.before;
+      lines.push(`${c.candidate_id}: ${c.status} (${r} pts)`);
+    } else {
+      const parts = [];
+      if (c.changes.includes("score")) {
+        parts.push(`${c.final_score.before} → ${c.final_score.after} (${c.final_score.change > 0 ? "+" : ""}${c.final_score.change})`);
+      }
+      if (c.changes.includes("band")) parts.push(`band ${c.score_band.before} → ${c.score_band.after}`);
+      if (c.rank.change) parts.push(`rank ${c.rank.before} → ${c.rank.after}`);
+      if (c.position.change) parts.push(`position ${c.position.before} → ${c.position.after}`);
+      if (c.changes.includes("recommendation")) {
+        parts.push(`recommendation ${c.recommendation.before} → ${c.recommendation.after}`);
+      }
+      if (c.changes.includes("automatic_failure")) {
+        parts.push(`auto-fail ${c.automatic_failure.before} → ${c.automatic_failure.after}`);
+      }
+      if (c.changes.includes("divergences")) {
+        const moved = [...c.divergences.added.map((d) => `+${d}`), ...c.divergences.removed.map((d) => `-${d}`)];
+        parts.push(`divergences ${c.divergences.before} → ${c.divergences.after} (${moved.join(", ")})`);
+      }
+      lines.push(`${c.candidate_id}: ${parts.length > 0 ? parts.join(", ") : "no outcome change"}`);
+    }
+    for (const i of c.inputs) {
+      const status = i.change === "status" ? ` ${i.status.before} → ${i.status.after}` : "";
+      lines.push(`  ${i.change} ${i.file}${i.evaluator ? ` (${i.evaluator})` : ""}${status}`);
+    }
+    if (c.causes.includes("settings")) lines.push("  run settings, config or script changed");
+    if (c.causes.includes("other_candidates")) lines.push("  moved by other candidates");
+  }
+  if (diff.unchanged.length > 0) lines.push("", `Unchanged: ${diff.unchanged.join(", ")}`);
+  return lines;
+}
@@ -0,0 +1,158 @@
+/**
+ * Score uncertainty and tie-aware ranking for the comparison report
+ *
+ * A final score built from three evaluators is an estimate, not a measurement:
+ * a one-point gap between two candidates says little on its own. This module
+ * puts an interval on every consensus final score and ranks candidates so
+ * that only separations the data supports are reported as such.
+ *
+ * Intervals (finalScoreInterval):
+ *   - 3+ evaluators: percentile bootstrap that resamples the candidate's
+ *     evaluators with replacement and recomputes the consensus each time.
+ *   - 2 evaluators: leave-one-evaluator-out range — the lowest and highest
+ *     consensus obtained with any single evaluator removed.
+ *   - 1 evaluator: no interval (the score itself).
+ *
+ * Ranking (rankCandidates):
+ *   1. Candidates are ordered by final score, then by the tie-break chain
+ *      in TIE_BREAK_CHAIN, so the order is fully deterministic.
+ *   2. Walking down that order, a candidate whose interval overlaps the
+ *      interval of every member of the current group joins the group;
+ *      otherwise it starts a new one. Overlap does not chain: every pair in
+ *      a group overlaps, so its members are statistically indistinguishable
+ *      from each other and share the rank of its anchor, the highest-scoring
+ *      member (standard competition ranking: 1, 1, 3, ...). A candidate
+ *      that starts a new group may still overlap some members of the one
+ *      above it.
+ */
+
+import { bootstrapCI, round } from "./stats.js";
+import { BOOTSTRAP_ITERATIONS, BOOTSTRAP_SEED, CONFIDENCE_LEVEL } from "./reliability.js";
+
+const AGREEMENT_ORDER = ["strong", "moderate", "weak"];
+
+// Applied in order when two candidates have the same final score; the
+// candidate id is a last resort so the order never depends on input order.
+export const TIE_BREAK_CHAIN = [
+  {
+    key: "strategy_matrix",
+    description: "Higher Strategy Matrix (category A) score",
+    compare: (a, b) => (b.category_scores.A_strategy_matrix ?? 0) - (a.category_scores.A_strategy_matrix ?? 0),
+  },
+  {
+    key: "agreement",
+    description: "Stronger evaluator agreement (fewer high-divergence criteria)",
+    compare: (a, b) =>
+      AGREEMENT_ORDER.indexOf(a.evaluator_agreement) - AGREEMENT_ORDER.indexOf(b.evaluator_agreement) ||
+      a.divergence_count - b.divergence_count,
+  },
+  {
+    key: "candidate_id",
+    description: "Candidate id (alphabetical, for a deterministic order only)",
+    compare: (a, b) => a.candidate_id.localeCompare(b.candidate_id),
+  },
+];
+
+/**
+ * Interval on one candidate's consensus final score. `scoreFn(evals)`
+ * recomputes the consensus final score for a subset (or resample) of the
+ * candidate's evals. Returns { lower, upper, method, level, iterations }.
+ */
+export function finalScoreInterval(evals, scoreFn, {
+  iterations = BOOTSTRAP_ITERATIONS,
+  seed = BOOTSTRAP_SEED,
+  level = CONFIDENCE_LEVEL,
+} = {}) {
+  const point = scoreFn(evals);
+
+  if (evals.length >= 3) {
+    const ci = bootstrapCI(evals, scoreFn, { iterations, seed, level });
+    if (ci) {
+      return {
+        lower: round(ci.lower),
+        upper: round(ci.upper),
+        method: "bootstrap over evaluators",
+        level,
+        iterations: ci.iterations,
+      };
+    }
+  }
+
+  if (evals.length === 2) {
+    const loo = evals.map((_, i) => scoreFn(evals.filter((__, j) => j !== i)));
+    return {
+      lower: round(Math.min(point, ...loo)),
+      upper: round(Math.max(point, ...loo)),
+      method: "leave-one-evaluator-out range",
+      level: null,
+      iterations: null,
+    };
+  }
+
+  return { lower: round(point), upper: round(point), method: "none (single evaluator)", level: null, iterations: null };
+}
+
+/**
+ * Sort comparator for the strict order: final score descending, then the
+ * tie-break chain.
+ */
+export function compareForRanking(a, b) {
+  if (b.final_score !== a.final_score) return b.final_score - a.final_score;
+  for (const tb of TIE_BREAK_CHAIN) {
+    const d = tb.compare(a, b);
+    if (d !== 0) return d;
+  }
+  return 0;
+}
+
+function overlaps(a, b) {
+  return a.lower <= b.upper && b.lower <= a.upper;
+}
+
+/**
+ * Order and rank comparison entries. Each entry needs candidate_id,
+ * final_score, category_scores, evaluator_agreement, divergence_count and
+ * score_interval ({ lower, upper }). Returns new entries with:
+ *   position        — 1..n, strict order after the tie-break chain
+ *   rank            — shared within an indistinguishable group
+ *   tie_group       — 1-based group number
+ *   indistinguishable_from — other members of the group
+ *   ordered_by      — what placed it below the previous candidate
+ *                     ("final_score" or a TIE_BREAK_CHAIN key)
+ */
+export function rankCandidates(entries) {
+  const sorted = [...entries].sort(compareForRanking);
+
+  const groups = [];
+  for (const e of sorted) {
+    const current = groups.at(-1);
+    if (current && current.every((m) => overlaps(m.score_interval, e.score_interval))) {
+      current.push(e);
+    } else {
+      groups.push([e]);
+    }
+  }
+
+  const ranked = [];
+  groups.forEach((group, g) => {
+    const rank = ranked.length + 1;
+    for (const e of group) {
+      const prev = ranked.at(-1);
+      let orderedBy = null;
+      if (prev) {
+        orderedBy = prev.final_score !== e.final_score
+          ? "final_score"
+          : TIE_BREAK_CHAIN.find((tb) => tb.compare(prev, e) !== 0)?.key ?? null;
+      }
+      ranked.push({
+        ...e,
+        position: ranked.length + 1,
+        rank,
+        tie_group: g + 1,
+        indistinguishable_from: group.filter((o) => o !== e).map((o) => o.candidate_id),
+        ordered_by: orderedBy,
+      });
+    }
+  });
+  return ranked;
+}
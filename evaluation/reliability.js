@@ -0,0 +1,237 @@
+/**
+ * Inter-rater reliability analysis for the agreement report
+ *
+ * The per-criterion standard deviation in buildConsensus() says whether the
+ * evaluators of one candidate disagreed. This module answers the question
+ * the hiring committee actually asks — how reliable is the rubric across
+ * the whole candidate pool — using the individual evaluator scores carried
+ * in each consensus result (`evaluator_scores`):
+ *
+ *   - Krippendorff's alpha (ordinal) per criterion, per category, overall.
+ *     Units are (candidate, criterion) pairs; missing raters are allowed.
+ *   - ICC(2,k) on each evaluator's recomputed final score, over the largest
+ *     complete candidates × evaluators block.
+ *   - Quadratic-weighted Cohen's kappa for every evaluator pair, over all
+ *     criteria of the candidates both evaluators scored.
+ *
+ * Every coefficient comes with a 95% percentile bootstrap interval that
+ * resamples candidates (so criteria of one candidate stay together).
+ */
+
+import {
+  round,
+  bootstrapCI,
+  krippendorffAlphaOrdinal,
+  icc2k,
+  weightedKappa,
+} from "./stats.js";
+
+export const BOOTSTRAP_ITERATIONS = 1000;
+export const BOOTSTRAP_SEED = 20260214;
+export const CONFIDENCE_LEVEL = 0.95;
+
+// Conventional reading of each coefficient
+function interpretAlpha(alpha) {
+  if (alpha === null) return "undefined";
+  if (alpha >= 0.8) return "reliable";
+  if (alpha >= 0.667) return "tentative";
+  return "unreliable";
+}
+
+function interpretIcc(icc) {
+  if (icc === null) return "undefined";
+  if (icc >= 0.9) return "excellent";
+  if (icc >= 0.75) return "good";
+  if (icc >= 0.5) return "moderate";
+  return "poor";
+}
+
+function interpretKappa(kappa) {
+  if (kappa === null) return "undefined";
+  if (kappa > 0.8) return "almost perfect";
+  if (kappa > 0.6) return "substantial";
+  if (kappa > 0.4) return "moderate";
+  if (kappa > 0.2) return "fair";
+  if (kappa > 0) return "slight";
+  return "poor";
+}
+
+function withInterval(estimate, ci, interpret, extra = {}) {
+  return {
+    estimate: round(estimate, 3),
+    ci_lower: ci ? round(ci.lower, 3) : null,
+    ci_upper: ci ? round(ci.upper, 3) : null,
+    interpretation: interpret(estimate),
+    ...extra,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Krippendorff's alpha
+// ---------------------------------------------------------------------------
+
+// One cluster per candidate: { criterion -> [scores from each evaluator] }
+function criterionClusters(consensusResults) {
+  return consensusResults.map((c) => {
+    const units = {};
+    for (const es of c.evaluator_scores) {
+      for (const [crit, score] of Object.entries(es.criterion_scores)) {
+        if (typeof score !== "number") continue;
+        (units[crit] ||= []).push(score);
+      }
+    }
+    return units;
+  });
+}
+
+function alphaFor(clusters, criteria, opts) {
+  const statFn = (sample) =>
+    krippendorffAlphaOrdinal(sample.flatMap((units) => criteria.map((crit) => units[crit] || [])));
+  const estimate = statFn(clusters);
+  const ci = estimate === null ? null : bootstrapCI(clusters, statFn, opts);
+  const units = clusters.reduce(
+    (s, units) => s + criteria.filter((crit) => (units[crit] || []).length >= 2).length,
+    0
+  );
+  return withInterval(estimate, ci, interpretAlpha, { pairable_units: units });
+}
+
+// ---------------------------------------------------------------------------
+// ICC(2,k) on final scores
+// ---------------------------------------------------------------------------
+
+// Greedily drop the evaluator covering the fewest candidates until the
+// remaining evaluators share enough candidates for a complete matrix.
+function completeBlock(consensusResults) {
+  const finals = consensusResults.map((c) => ({
+    candidate_id: c.candidate_id,
+    scores: Object.fromEntries(c.evaluator_scores.map((es) => [es.evaluator, es.final_score])),
+  }));
+  let raters = [...new Set(finals.flatMap((f) => Object.keys(f.scores)))];
+  let best = { raters: [], rows: [] };
+  while (raters.length >= 2) {
+    const rows = finals.filter((f) => raters.every((r) => typeof f.scores[r] === "number"));
+    if (rows.length * raters.length > best.rows.length * best.raters.length && rows.length >= 2) {
+      best = { raters: [...raters], rows };
+    }
+    const coverage = raters.map((r) => [r, finals.filter((f) => typeof f.scores[r] === "number").length]);
+    coverage.sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0]));
+    raters = raters.filter((r) => r !== coverage[0][0]);
+  }
+  return {
+    raters: best.raters,
+    candidates: best.rows.map((f) => f.candidate_id),
+    matrix: best.rows.map((f) => best.raters.map((r) => f.scores[r])),
+  };
+}
+
+function finalScoreIcc(consensusResults, opts) {
+  const block = completeBlock(consensusResults);
+  const estimate = icc2k(block.matrix);
+  const ci = estimate === null ? null : bootstrapCI(block.matrix, icc2k, opts);
+  return withInterval(estimate, ci, interpretIcc, {
+    model: "ICC(2,k) — two-way random effects, absolute agreement, average measures",
+    raters: block.raters,
+    candidates: block.candidates,
+    note: block.raters.length < 2
+      ? "No two evaluators share enough candidates for a complete rating matrix"
+      : "Computed on the largest candidates × evaluators block with no missing ratings",
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Pairwise weighted kappa
+// ---------------------------------------------------------------------------
+
+function pairwiseKappa(consensusResults, opts) {
+  const evaluators = [...new Set(consensusResults.flatMap((c) => c.evaluator_scores.map((es) => es.evaluator)))].sort();
+  const allScores = consensusResults.flatMap((c) =>
+    c.evaluator_scores.flatMap((es) => Object.values(es.criterion_scores))
+  ).filter((s) => typeof s === "number");
+  const lo = Math.min(...allScores);
+  const hi = Math.max(...allScores);
+  const categories = Array.from({ length: hi - lo + 1 }, (_, i) => lo + i);
+
+  const results = [];
+  for (let i = 0; i < evaluators.length; i++) {
+    for (let j = i + 1; j < evaluators.length; j++) {
+      const [a, b] = [evaluators[i], evaluators[j]];
+      // One cluster per shared candidate: the [scoreA, scoreB] criterion pairs
+      const clusters = [];
+      for (const c of consensusResults) {
+        const ea = c.evaluator_scores.find((es) => es.evaluator === a);
+        const eb = c.evaluator_scores.find((es) => es.evaluator === b);
+        if (!ea || !eb) continue;
+        const pairs = Object.keys(ea.criterion_scores)
+          .filter((crit) => typeof ea.criterion_scores[crit] === "number" && typeof eb.criterion_scores[crit] === "number")
+          .map((crit) => [ea.criterion_scores[crit], eb.criterion_scores[crit]]);
+        if (pairs.length > 0) clusters.push(pairs);
+      }
+      if (clusters.length === 0) continue;
+      const statFn = (sample) => weightedKappa(sample.flat(), categories);
+      const estimate = statFn(clusters);
+      const ci = estimate === null ? null : bootstrapCI(clusters, statFn, opts);
+      results.push({
+        evaluator_a: a,
+        evaluator_b: b,
+        shared_candidates: clusters.length,
+        shared_items: clusters.reduce((s, c) => s + c.length, 0),
+        ...withInterval(estimate, ci, interpretKappa),
+      });
+    }
+  }
+  return results;
+}
+
+// ---------------------------------------------------------------------------
+// Public entry point
+// ---------------------------------------------------------------------------
+
+export function buildReliabilityAnalysis(consensusResults, {
+  iterations = BOOTSTRAP_ITERATIONS,
+  seed = BOOTSTRAP_SEED,
+  level = CONFIDENCE_LEVEL,
+} = {}) {
+  const opts = { iterations, seed, level };
+  const clusters = criterionClusters(consensusResults);
+
+  // Category → criteria, in rubric order, from the consensus results
+  const categories = {};
+  for (const c of consensusResults) {
+    for (const [cat, block] of Object.entries(c.rubric_consensus)) {
+      const list = (categories[cat] ||= []);
+      for (const crit of Object.keys(block.criteria)) {
+        if (!list.includes(crit)) list.push(crit);
+      }
+    }
+  }
+  const allCriteria = Object.values(categories).flat();
+
+  const perCriterion = {};
+  for (const crit of allCriteria) {
+    perCriterion[crit] = alphaFor(clusters, [crit], opts);
+  }
+  const perCategory = {};
+  for (const [cat, criteria] of Object.entries(categories)) {
+    perCategory[cat] = alphaFor(clusters, criteria, opts);
+  }
+
+  return {
+    method: {
+      bootstrap: "percentile, resampling candidates with replacement",
+      bootstrap_iterations: iterations,
+      bootstrap_seed: seed,
+      confidence_level: level,
+      alpha_thresholds: "≥ 0.800 reliable, 0.667–0.800 tentative, < 0.667 unreliable (Krippendorff)",
+      icc_thresholds: "≥ 0.90 excellent, 0.75–0.90 good, 0.50–0.75 moderate, < 0.50 poor (Koo & Li)",
+      kappa_weights: "quadratic; thresholds per Landis & Koch",
+    },
+    krippendorff_alpha: {
+      overall: alphaFor(clusters, allCriteria, opts),
+      per_category: perCategory,
+      per_criterion: perCriterion,
+    },
+    final_score_icc: finalScoreIcc(consensusResults, opts),
+    pairwise_weighted_kappa: pairwiseKappa(consensusResults, opts),
+  };
+}
@@ -0,0 +1,214 @@
+/**
+ * Rubric health across the candidate pool
+ *
+ * The agreement report asks whether evaluators agree; this module asks
+ * whether the rubric itself measures well, so it can be revised between
+ * hiring rounds. From every candidate's consensus criterion scores and the
+ * individual evaluator scores carried in each consensus result:
+ *
+ *   - correlation matrix: Pearson r between every pair of criteria, over
+ *     individual evaluations and over consensus scores. Strong candidates
+ *     score well everywhere, so every pair correlates somewhat; a pair is
+ *     reported as possibly measuring the same thing when its r on
+ *     individual scores is at or above REDUNDANCY_THRESHOLD and it stays
+ *     correlated once the rest of the rubric is held constant (partial r,
+ *     controlling for the total of all other criteria).
+ *   - item-total correlation: each criterion against the sum of the other
+ *     criteria in its category (corrected), on individual scores.
+ *   - Cronbach's alpha per category: whether a category's criteria hang
+ *     together, on individual evaluations with every criterion scored.
+ *   - ceiling and floor effects: criteria every evaluator scored at the top
+ *     (or bottom) of the scale, or nearly every evaluator.
+ *   - non-discriminating criteria: consensus scores that barely vary across
+ *     candidates, so the criterion cannot separate them.
+ *
+ * With ten-odd candidates the coefficients are rough; `candidates` and
+ * `evaluations` are reported so readers can weigh them.
+ */
+
+import { mean, stddev, round, pearson, cronbachAlpha } from "./stats.js";
+
+// r on individual scores at or above which two criteria look redundant
+export const REDUNDANCY_THRESHOLD = 0.8;
+
+// Partial r (controlling for the rest of the rubric) a redundant pair must
+// also reach
+export const MIN_PARTIAL_CORRELATION = 0.5;
+
+// Share of individual scores at the top / bottom of the scale that counts
+// as a near-ceiling / near-floor effect
+export const EXTREME_SHARE_THRESHOLD = 0.8;
+
+// Corrected item-total correlation below which a criterion does not track
+// the rest of its category
+export const MIN_ITEM_TOTAL_CORRELATION = 0.2;
+
+// Standard deviation of consensus scores across candidates below which a
+// criterion does not separate candidates
+export const MIN_DISCRIMINATION_SD = 0.5;
+
+// Pairs where both values are numbers
+function paired(rows, a, b) {
+  const xs = [];
+  const ys = [];
+  for (const row of rows) {
+    if (typeof row[a] === "number" && typeof row[b] === "number") {
+      xs.push(row[a]);
+      ys.push(row[b]);
+    }
+  }
+  return [xs, ys];
+}
+
+function correlationMatrix(rows, criteria) {
+  return Object.fromEntries(criteria.map((a) => [
+    a,
+    Object.fromEntries(criteria.map((b) => [b, a === b ? 1 : round(pearson(...paired(rows, a, b)))])),
+  ]));
+}
+
+// Correlation of a and b with the total of every other criterion held
+// constant, over evaluations that scored every criterion
+function partialCorrelation(rows, criteria, a, b) {
+  const complete = rows.filter((row) => criteria.every((crit) => typeof row[crit] === "number"));
+  const rest = complete.map((row) => criteria.reduce((s, crit) => (crit === a || crit === b ? s : s + row[crit]), 0));
+  const rab = pearson(complete.map((row) => row[a]), complete.map((row) => row[b]));
+  const rat = pearson(complete.map((row) => row[a]), rest);
+  const rbt = pearson(complete.map((row) => row[b]), rest);
+  if (rab === null || rat === null || rbt === null || Math.abs(rat) === 1 || Math.abs(rbt) === 1) return null;
+  return (rab - rat * rbt) / Math.sqrt((1 - rat ** 2) * (1 - rbt ** 2));
+}
+
+function extremeEffect(scores, max) {
+  if (scores.length === 0) return { effect: null, ceiling_share: null, floor_share: null };
+  const ceiling = scores.filter((v) => v === max).length / scores.length;
+  const floor = scores.filter((v) => v === 0).length / scores.length;
+  let effect = null;
+  if (ceiling === 1) effect = "ceiling";
+  else if (floor === 1) effect = "floor";
+  else if (ceiling >= EXTREME_SHARE_THRESHOLD) effect = "near_ceiling";
+  else if (floor >= EXTREME_SHARE_THRESHOLD) effect = "near_floor";
+  return { effect, ceiling_share: round(ceiling), floor_share: round(floor) };
+}
+
+/**
+ * `consensusResults` are raw (uncalibrated) consensus files; `rubric`
+ * supplies the categories, criteria and scale. Returns the
+ * rubric-health.json report.
+ */
+export function buildRubricHealth(consensusResults, rubric) {
+  const criteria = Object.values(rubric.criteriaMap).flat();
+  const categoryOf = Object.fromEntries(
+    Object.entries(rubric.criteriaMap).flatMap(([cat, crits]) => crits.map((crit) => [crit, cat]))
+  );
+  const max = rubric.maxCriterionScore;
+
+  const consensusRows = consensusResults.map((c) => Object.fromEntries(criteria.map((crit) => [
+    crit,
+    c.rubric_consensus?.[categoryOf[crit]]?.criteria?.[crit]?.consensus_score ?? null,
+  ])));
+  const individualRows = consensusResults.flatMap((c) => (c.evaluator_scores || []).map((e) => e.criterion_scores));
+
+  const individualMatrix = correlationMatrix(individualRows, criteria);
+  const consensusMatrix = correlationMatrix(consensusRows, criteria);
+
+  const redundantPairs = [];
+  criteria.forEach((a, i) => {
+    for (const b of criteria.slice(i + 1)) {
+      const r = individualMatrix[a][b];
+      if (r === null || r < REDUNDANCY_THRESHOLD) continue;
+      const partial = round(partialCorrelation(individualRows, criteria, a, b));
+      if (partial !== null && partial >= MIN_PARTIAL_CORRELATION) {
+        redundantPairs.push({
+          criteria: [a, b],
+          same_category: categoryOf[a] === categoryOf[b],
+          r_individual: r,
+          partial_r: partial,
+          r_consensus: consensusMatrix[a][b],
+          pairs: paired(individualRows, a, b)[0].length,
+        });
+      }
+    }
+  });
+  redundantPairs.sort((x, y) => y.partial_r - x.partial_r || y.r_individual - x.r_individual);
+
+  // --- Per category: Cronbach's alpha and corrected item-total correlation ---
+  const itemTotal = {};
+  const categories = Object.fromEntries(Object.entries(rubric.criteriaMap).map(([cat, crits]) => {
+    const complete = (rows) => rows
+      .filter((row) => crits.every((crit) => typeof row[crit] === "number"))
+      .map((row) => crits.map((crit) => row[crit]));
+    const individual = complete(individualRows);
+    const items = crits.map((crit, j) => {
+      const rest = individual.map((row) => row.reduce((s, v, k) => (k === j ? s : s + v), 0));
+      const r = crits.length > 1 ? round(pearson(individual.map((row) => row[j]), rest)) : null;
+      itemTotal[crit] = r;
+      return { criterion: crit, corrected_item_total_r: r, weak: r !== null && r < MIN_ITEM_TOTAL_CORRELATION };
+    });
+    return [cat, {
+      items: crits.length,
+      complete_evaluations: individual.length,
+      alpha_individual: round(cronbachAlpha(individual)),
+      alpha_consensus: round(cronbachAlpha(complete(consensusRows))),
+      item_total: items,
+    }];
+  }));
+
+  // --- Per criterion: distribution, ceiling / floor, discrimination ---
+  const criterionStats = Object.fromEntries(criteria.map((crit) => {
+    const individual = individualRows.map((row) => row[crit]).filter((v) => typeof v === "number");
+    const consensus = consensusRows.map((row) => row[crit]).filter((v) => typeof v === "number");
+    const spread = consensus.length > 1 ? stddev(consensus) : null;
+    const extreme = extremeEffect(individual, max);
+    const reasons = [];
+    if (spread === 0) reasons.push("no_variance");
+    else if (spread !== null && spread < MIN_DISCRIMINATION_SD) reasons.push("low_spread");
+    if (extreme.effect === "ceiling" || extreme.effect === "floor") reasons.push(extreme.effect);
+    return [crit, {
+      category: categoryOf[crit],
+      evaluations: individual.length,
+      distribution: Object.fromEntries(
+        Array.from({ length: max + 1 }, (_, v) => [String(v), individual.filter((x) => x === v).length])
+      ),
+      mean: individual.length > 0 ? round(mean(individual)) : null,
+      consensus_sd: round(spread),
+      ...extreme,
+      corrected_item_total_r: itemTotal[crit] ?? null,
+      discriminating: reasons.length === 0,
+      reasons,
+    }];
+  }));
+
+  return {
+    method: "Pearson correlations and Cronbach's alpha over individual evaluations (and consensus scores); " +
+      "ceiling/floor effects over individual scores; discrimination from the spread of consensus scores across candidates",
+    candidates: consensusResults.length,
+    evaluations: individualRows.length,
+    thresholds: {
+      redundancy_r: REDUNDANCY_THRESHOLD,
+      redundancy_partial_r: MIN_PARTIAL_CORRELATION,
+      extreme_share: EXTREME_SHARE_THRESHOLD,
+      min_item_total_r: MIN_ITEM_TOTAL_CORRELATION,
+      min_discrimination_sd: MIN_DISCRIMINATION_SD,
+    },
+    redundant_pairs: redundantPairs,
+    categories,
+    ceiling_floor: criteria
+      .filter((crit) => criterionStats[crit].effect)
+      .map((crit) => ({
+        criterion: crit,
+        effect: criterionStats[crit].effect,
+        share: criterionStats[crit].effect.endsWith("ceiling")
+          ? criterionStats[crit].ceiling_share
+          : criterionStats[crit].floor_share,
+      })),
+    non_discriminating: criteria
+      .filter((crit) => !criterionStats[crit].discriminating)
+      .map((crit) => ({ criterion: crit, consensus_sd: criterionStats[crit].consensus_sd, reasons: criterionStats[crit].reasons })),
+    criteria: criterionStats,
+    correlation: {
+      individual: individualMatrix,
+      consensus: consensusMatrix,
+    },
+  };
+}
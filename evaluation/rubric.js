@@ -0,0 +1,259 @@
+/**
+ * Rubric loader for the evaluation aggregator
+ *
+ * Rubric definitions (categories, criteria, weights, gate checks, auto-fail
+ * gates, bonus components, score bands, recommendation scale) live in a
+ * versioned JSON file keyed by framework_version — evaluation/rubrics.json
+ * by default. Each version references the JSON Schema its eval files must
+ * validate against, and may `extends` another version, overriding any of
+ * its top-level keys.
+ *
+ * loadRubrics() resolves inheritance, checks the definition for internal
+ * consistency (weights sum to 1, no duplicate criteria, bands descending...)
+ * and returns normalized rubric objects:
+ *
+ *   {
+ *     version, schema, schemaPath,
+ *     categories:       ["A_strategy_matrix", ...],
+ *     criteriaMap:      { A_strategy_matrix: ["A1_data_population", ...] },
+ *     weights:          { A_strategy_matrix: 0.30, ... },
+ *     categoryLabels:   { A_strategy_matrix: "Strategy Matrix", ... },
+ *     maxCriterionScore: 4,
+ *     gateChecks:       ["G1_package_json_exists", ...],
+ *     autoFailGateMap:  { G3_build_succeeds: "Project does not build ...", ... },
+ *     autoFailConditions: [{ key, reason, criteriaAtMost: { D2_...: 1 }, quadrantMapping: { minWrongFraction } }],
+ *     referenceTruth:   { projects: { "PRJ-001": { impact, effort, quadrant, ... } }, ... } | null,
+ *     referenceTruthPath: absolute path of the reference truth fixture | null,
+ *     bonuses:          { git_history_bonus: { summaryField, maxTotal, components: { H1_commit_cadence: 2 } } },
+ *     scoreBands:       [{ min: 90, label: "Exceptional" }, ...],
+ *     recommendationOrder: ["Strong Hire", ..., "No Hire"],
+ *     recommendationCoherence: {
+ *       scoreBands: { Exceptional: ["Strong Hire", "Hire"], ... },
+ *       automaticFailure: ["Lean No Hire", "No Hire"],
+ *     } | null,
+ *     aggregation:      { criteria: "median", gates: "majority", bonuses: "max", recommendations: "ordinal_median" },
+ *   }
+ *
+ * `aggregation` is optional in the file; missing data types get the default
+ * strategies from strategies.js.
+ */
+
+import { readFileSync } from "node:fs";
+import { dirname, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { resolveStrategies } from "./strategies.js";
+
+export const DEFAULT_RUBRIC_PATH = fileURLToPath(new URL("./rubrics.json", import.meta.url));
+
+function resolveVersion(defs, version, seen = []) {
+  const def = defs[version];
+  if (!def) {
+    throw new Error(`Rubric version "${version}" is not defined`);
+  }
+  if (seen.includes(version)) {
+    throw new Error(`Circular rubric inheritance: ${[...seen, version].join(" -> ")}`);
+  }
+  if (!def.extends) return { ...def };
+  const { extends: parent, ...own } = def;
+  return { ...resolveVersion(defs, parent, [...seen, version]), ...own };
+}
+
+function normalizeRubric(version, raw, baseDir) {
+  const problems = [];
+  const require = (cond, msg) => {
+    if (!cond) problems.push(msg);
+  };
+
+  require(typeof raw.schema === "string", "missing schema path");
+  require(raw.categories && Object.keys(raw.categories).length > 0, "no categories defined");
+  require(Array.isArray(raw.gate_checks), "gate_checks must be an array");
+  require(Array.isArray(raw.score_bands) && raw.score_bands.length > 0, "score_bands must be a non-empty array");
+  require(Array.isArray(raw.recommendations) && raw.recommendations.length > 0, "recommendations must be a non-empty array");
+  if (problems.length > 0) {
+    throw new Error(`Invalid rubric version "${version}": ${problems.join("; ")}`);
+  }
+
+  const categories = Object.keys(raw.categories);
+  const criteriaMap = {};
+  const weights = {};
+  const categoryLabels = {};
+  const seenCriteria = new Set();
+  for (const cat of categories) {
+    const def = raw.categories[cat];
+    require(Array.isArray(def.criteria) && def.criteria.length > 0, `category ${cat} has no criteria`);
+    require(typeof def.weight === "number" && def.weight >= 0, `category ${cat} has an invalid weight`);
+    for (const crit of def.criteria || []) {
+      require(!seenCriteria.has(crit), `criterion ${crit} is listed twice`);
+      seenCriteria.add(crit);
+    }
+    criteriaMap[cat] = def.criteria || [];
+    weights[cat] = def.weight;
+    categoryLabels[cat] = def.label || cat;
+  }
+  const weightSum = Object.values(weights).reduce((s, w) => s + w, 0);
+  require(Math.abs(weightSum - 1) < 1e-6, `category weights sum to ${weightSum}, expected 1`);
+
+  const autoFailGateMap = raw.auto_fail_gates || {};
+  for (const gk of Object.keys(autoFailGateMap)) {
+    require(raw.gate_checks.includes(gk), `auto-fail gate ${gk} is not a gate check`);
+  }
+
+  // Auto-fail conditions that are not a single gate: triggered when any
+  // listed criterion's consensus is at or below its threshold, or when the
+  // evaluators' reported quadrant mapping is mostly wrong
+  const allCriteria = new Set(Object.values(criteriaMap).flat());
+  const autoFailConditions = [];
+  for (const [key, def] of Object.entries(raw.auto_fail_conditions || {})) {
+    require(typeof def.reason === "string", `auto-fail condition ${key} is missing a reason`);
+    for (const crit of Object.keys(def.criteria_at_most || {})) {
+      require(allCriteria.has(crit), `auto-fail condition ${key} refers to unknown criterion ${crit}`);
+    }
+    if (def.quadrant_mapping) {
+      require(typeof raw.reference_truth === "string", `auto-fail condition ${key} needs reference_truth`);
+    }
+    autoFailConditions.push({
+      key,
+      reason: def.reason,
+      criteriaAtMost: def.criteria_at_most || {},
+      quadrantMapping: def.quadrant_mapping
+        ? { minWrongFraction: def.quadrant_mapping.min_wrong_fraction ?? 0.5 }
+        : null,
+    });
+  }
+
+  const bonuses = {};
+  for (const [key, def] of Object.entries(raw.bonuses || {})) {
+    require(typeof def.summary_field === "string", `bonus ${key} is missing summary_field`);
+    require(def.components && Object.keys(def.components).length > 0, `bonus ${key} has no components`);
+    bonuses[key] = {
+      summaryField: def.summary_field,
+      maxTotal: def.max_total,
+      components: def.components || {},
+    };
+  }
+
+  const scoreBands = [...raw.score_bands];
+  for (let i = 1; i < scoreBands.length; i++) {
+    require(scoreBands[i].min < scoreBands[i - 1].min, "score_bands must be ordered by descending min");
+  }
+
+  // Recommendation range that fits each band and automatic failure, as
+  // [best, worst] on the recommendation scale. A lower band may not allow a
+  // better recommendation than a higher one.
+  let recommendationCoherence = null;
+  const coherence = raw.recommendation_coherence;
+  if (coherence) {
+    const order = raw.recommendations;
+    const range = (where, r) => {
+      const ok = Array.isArray(r) && r.length === 2 && r.every((rec) => order.includes(rec)) &&
+        order.indexOf(r[0]) <= order.indexOf(r[1]);
+      require(ok, `recommendation_coherence ${where} must be [best, worst] from the recommendation scale`);
+      return ok ? [...r] : null;
+    };
+    const bandRanges = {};
+    for (const label of Object.keys(coherence.score_bands || {})) {
+      require(scoreBands.some((b) => b.label === label), `recommendation_coherence refers to unknown band ${label}`);
+    }
+    let previous = null;
+    for (const { label } of scoreBands) {
+      require(coherence.score_bands?.[label], `recommendation_coherence has no range for band ${label}`);
+      if (!coherence.score_bands?.[label]) continue;
+      const r = range(`band ${label}`, coherence.score_bands[label]);
+      if (r && previous) {
+        require(
+          order.indexOf(r[0]) >= order.indexOf(previous[0]) && order.indexOf(r[1]) >= order.indexOf(previous[1]),
+          `recommendation_coherence range for band ${label} is better than the band above it`
+        );
+      }
+      bandRanges[label] = r;
+      previous = r ?? previous;
+    }
+    recommendationCoherence = {
+      scoreBands: bandRanges,
+      automaticFailure: coherence.automatic_failure ? range("automatic_failure", coherence.automatic_failure) : null,
+    };
+  }
+
+  let aggregation = null;
+  try {
+    aggregation = resolveStrategies(raw.aggregation);
+  } catch (err) {
+    problems.push(err.message);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid rubric version "${version}": ${problems.join("; ")}`);
+  }
+
+  const schemaPath = resolve(baseDir, raw.schema);
+  let schema;
+  try {
+    schema = JSON.parse(readFileSync(schemaPath, "utf-8"));
+  } catch (err) {
+    throw new Error(`Rubric version "${version}": cannot load schema ${schemaPath}: ${err.message}`);
+  }
+
+  let referenceTruth = null;
+  let referenceTruthPath = null;
+  if (raw.reference_truth) {
+    const truthPath = resolve(baseDir, raw.reference_truth);
+    referenceTruthPath = truthPath;
+    try {
+      referenceTruth = JSON.parse(readFileSync(truthPath, "utf-8"));
+    } catch (err) {
+      throw new Error(`Rubric version "${version}": cannot load reference truth ${truthPath}: ${err.message}`);
+    }
+  }
+
+  return {
+    version,
+    schema,
+    schemaPath,
+    categories,
+    criteriaMap,
+    weights,
+    categoryLabels,
+    maxCriterionScore: raw.score_scale?.max ?? 4,
+    gateChecks: raw.gate_checks,
+    autoFailGateMap,
+    autoFailConditions,
+    referenceTruth,
+    referenceTruthPath,
+    bonuses,
+    scoreBands,
+    recommendationOrder: raw.recommendations,
+    recommendationCoherence,
+    aggregation,
+  };
+}
+
+/**
+ * Load and normalize every rubric version in a rubric file.
+ * Returns { path, defaultVersion, versions: { [version]: rubric } }.
+ * Throws with a descriptive message if the file or any version is invalid.
+ */
+export function loadRubrics(path = DEFAULT_RUBRIC_PATH) {
+  let file;
+  try {
+    file = JSON.parse(readFileSync(path, "utf-8"));
+  } catch (err) {
+    throw new Error(`Cannot read rubric file ${path}: ${err.message}`);
+  }
+  const defs = file.versions || {};
+  if (Object.keys(defs).length === 0) {
+    throw new Error(`Rubric file ${path} defines no versions`);
+  }
+
+  const baseDir = dirname(path);
+  const versions = {};
+  for (const version of Object.keys(defs)) {
+    versions[version] = normalizeRubric(version, resolveVersion(defs, version), baseDir);
+  }
+
+  const defaultVersion = file.default_version || Object.keys(defs).at(-1);
+  if (!versions[defaultVersion]) {
+    throw new Error(`Rubric file ${path}: default_version "${defaultVersion}" is not defined`);
+  }
+
+  return { path, defaultVersion, versions };
+}
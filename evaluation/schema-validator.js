@@ -0,0 +1,336 @@
+/**
+ * JSON Schema 2020-12 validator (offline, dependency-free)
+ *
+ * Implements the subset of the 2020-12 vocabulary needed to enforce
+ * evaluation/schema.json exactly, without fetching meta-schemas or
+ * installing a validator package:
+ *
+ *   core:        $ref (local "#..." pointers and the root $id), $defs
+ *   applicator:  properties, patternProperties, additionalProperties,
+ *                items, prefixItems, allOf, anyOf, oneOf, not,
+ *                if / then / else
+ *   validation:  type, enum, const, required, minLength, maxLength,
+ *                pattern, minimum, maximum, exclusiveMinimum,
+ *                exclusiveMaximum, multipleOf, minItems, maxItems,
+ *                uniqueItems, minProperties, maxProperties
+ *   format:      date-time, date, time, email, uri (asserted, not just
+ *                annotated — a malformed `evaluated_at` is an error)
+ *
+ * Annotation-only keywords (title, description, $schema, $comment, ...)
+ * are ignored. Every failure is reported with the JSON Pointer (RFC 6901)
+ * of the offending instance location and the schema keyword that failed.
+ *
+ * Usage:
+ *   import { validateSchema, formatSchemaError } from "./schema-validator.js";
+ *   const errors = validateSchema(instance, schema);
+ *   errors.forEach((e) => console.error(formatSchemaError(e)));
+ */
+
+// ---------------------------------------------------------------------------
+// JSON Pointer helpers
+// ---------------------------------------------------------------------------
+
+function escapePointerToken(token) {
+  return String(token).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+function unescapePointerToken(token) {
+  return token.replace(/~1/g, "/").replace(/~0/g, "~");
+}
+
+function childPointer(pointer, token) {
+  return `${pointer}/${escapePointerToken(token)}`;
+}
+
+function resolvePointer(root, pointer) {
+  if (pointer === "" || pointer === "/") return root;
+  const tokens = pointer.replace(/^\//, "").split("/").map(unescapePointerToken);
+  let node = root;
+  for (const token of tokens) {
+    if (node === null || typeof node !== "object" || !(token in node)) {
+      return undefined;
+    }
+    node = node[token];
+  }
+  return node;
+}
+
+// ---------------------------------------------------------------------------
+// Type and equality helpers
+// ---------------------------------------------------------------------------
+
+function jsonType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value; // "object" | "string" | "number" | "boolean"
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "integer":
+      return typeof value === "number" && Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    default:
+      return jsonType(value) === type;
+  }
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  const ta = jsonType(a);
+  if (ta !== jsonType(b)) return false;
+  if (ta === "array") {
+    return a.length === b.length && a.every((v, i) => deepEqual(v, b[i]));
+  }
+  if (ta === "object") {
+    const ka = Object.keys(a);
+    const kb = Object.keys(b);
+    return ka.length === kb.length && ka.every((k) => k in b && deepEqual(a[k], b[k]));
+  }
+  return false;
+}
+
+function describe(value) {
+  return JSON.stringify(value);
+}
+
+// ---------------------------------------------------------------------------
+// Formats
+// ---------------------------------------------------------------------------
+
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_RE = /^(\d{2}):(\d{2}):(\d{2})(\.\d+)?([Zz]|[+-](\d{2}):(\d{2}))$/;
+
+function isValidDate(str) {
+  const m = DATE_RE.exec(str);
+  if (!m) return false;
+  const [year, month, day] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  if (month < 1 || month > 12 || day < 1) return false;
+  const leap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+  const daysInMonth = [31, leap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+  return day <= daysInMonth[month - 1];
+}
+
+function isValidTime(str) {
+  const m = TIME_RE.exec(str);
+  if (!m) return false;
+  const [hour, minute, second] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  if (hour > 23 || minute > 59 || second > 60) return false; // 60 = leap second
+  if (m[6] !== undefined && (Number(m[6]) > 23 || Number(m[7]) > 59)) return false;
+  return true;
+}
+
+const FORMAT_CHECKS = {
+  "date-time": (s) => {
+    const parts = s.split(/[Tt]/);
+    return parts.length === 2 && isValidDate(parts[0]) && isValidTime(parts[1]);
+  },
+  date: isValidDate,
+  time: isValidTime,
+  email: (s) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s),
+  uri: (s) => /^[A-Za-z][A-Za-z0-9+.-]*:[^\s]*$/.test(s),
+};
+
+// ---------------------------------------------------------------------------
+// Validator
+// ---------------------------------------------------------------------------
+
+function resolveRef(ref, rootSchema) {
+  const hashIdx = ref.indexOf("#");
+  const base = hashIdx >= 0 ? ref.slice(0, hashIdx) : ref;
+  const fragment = hashIdx >= 0 ? decodeURIComponent(ref.slice(hashIdx + 1)) : "";
+  if (base !== "" && base !== rootSchema.$id) {
+    throw new Error(`Unsupported $ref "${ref}": only local references are resolved offline`);
+  }
+  const target = resolvePointer(rootSchema, fragment);
+  if (target === undefined) {
+    throw new Error(`Unresolvable $ref "${ref}"`);
+  }
+  return target;
+}
+
+function validateNode(value, schema, pointer, ctx) {
+  const errors = [];
+  const fail = (keyword, message, at = pointer) => errors.push({ path: at, keyword, message });
+
+  if (schema === true) return errors;
+  if (schema === false) {
+    fail("false", "no value is allowed here");
+    return errors;
+  }
+
+  if (schema.$ref !== undefined) {
+    errors.push(...validateNode(value, resolveRef(schema.$ref, ctx.root), pointer, ctx));
+  }
+
+  // --- type / enum / const ---
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      fail("type", `expected ${types.join(" or ")}, got ${jsonType(value)}`);
+      return errors; // remaining keywords would only produce noise
+    }
+  }
+  if (schema.enum !== undefined && !schema.enum.some((v) => deepEqual(v, value))) {
+    fail("enum", `must be one of ${schema.enum.map(describe).join(", ")}, got ${describe(value)}`);
+  }
+  if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+    fail("const", `must equal ${describe(schema.const)}, got ${describe(value)}`);
+  }
+
+  // --- strings ---
+  if (typeof value === "string") {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      fail("minLength", `must be at least ${schema.minLength} character(s), got ${length}`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      fail("maxLength", `must be at most ${schema.maxLength} character(s), got ${length}`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, "u").test(value)) {
+      fail("pattern", `${describe(value)} does not match pattern ${schema.pattern}`);
+    }
+    if (schema.format !== undefined && FORMAT_CHECKS[schema.format] && !FORMAT_CHECKS[schema.format](value)) {
+      fail("format", `${describe(value)} is not a valid ${schema.format}`);
+    }
+  }
+
+  // --- numbers ---
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail("minimum", `must be >= ${schema.minimum}, got ${value}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail("maximum", `must be <= ${schema.maximum}, got ${value}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail("exclusiveMinimum", `must be > ${schema.exclusiveMinimum}, got ${value}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      fail("exclusiveMaximum", `must be < ${schema.exclusiveMaximum}, got ${value}`);
+    }
+    if (schema.multipleOf !== undefined) {
+      const quotient = value / schema.multipleOf;
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+        fail("multipleOf", `must be a multiple of ${schema.multipleOf}, got ${value}`);
+      }
+    }
+  }
+
+  // --- arrays ---
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail("minItems", `must have at least ${schema.minItems} item(s), got ${value.length}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail("maxItems", `must have at most ${schema.maxItems} item(s), got ${value.length}`);
+    }
+    if (schema.uniqueItems === true) {
+      for (let i = 0; i < value.length; i++) {
+        for (let j = i + 1; j < value.length; j++) {
+          if (deepEqual(value[i], value[j])) {
+            fail("uniqueItems", `items ${i} and ${j} are identical`);
+          }
+        }
+      }
+    }
+    const prefix = schema.prefixItems || [];
+    prefix.forEach((itemSchema, i) => {
+      if (i < value.length) {
+        errors.push(...validateNode(value[i], itemSchema, childPointer(pointer, i), ctx));
+      }
+    });
+    if (schema.items !== undefined) {
+      for (let i = prefix.length; i < value.length; i++) {
+        errors.push(...validateNode(value[i], schema.items, childPointer(pointer, i), ctx));
+      }
+    }
+  }
+
+  // --- objects ---
+  if (jsonType(value) === "object") {
+    const keys = Object.keys(value);
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      fail("minProperties", `must have at least ${schema.minProperties} propert(ies), got ${keys.length}`);
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      fail("maxProperties", `must have at most ${schema.maxProperties} propert(ies), got ${keys.length}`);
+    }
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        fail("required", `missing required property "${key}"`, childPointer(pointer, key));
+      }
+    }
+
+    const properties = schema.properties || {};
+    const patterns = Object.entries(schema.patternProperties || {}).map(
+      ([re, sub]) => [new RegExp(re, "u"), sub]
+    );
+    for (const key of keys) {
+      const at = childPointer(pointer, key);
+      let evaluated = false;
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        evaluated = true;
+        errors.push(...validateNode(value[key], properties[key], at, ctx));
+      }
+      for (const [re, sub] of patterns) {
+        if (re.test(key)) {
+          evaluated = true;
+          errors.push(...validateNode(value[key], sub, at, ctx));
+        }
+      }
+      if (!evaluated && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          fail("additionalProperties", `unexpected property "${key}"`, at);
+        } else {
+          errors.push(...validateNode(value[key], schema.additionalProperties, at, ctx));
+        }
+      }
+    }
+  }
+
+  // --- combinators ---
+  if (schema.allOf !== undefined) {
+    for (const sub of schema.allOf) {
+      errors.push(...validateNode(value, sub, pointer, ctx));
+    }
+  }
+  if (schema.anyOf !== undefined) {
+    const passing = schema.anyOf.filter((sub) => validateNode(value, sub, pointer, ctx).length === 0);
+    if (passing.length === 0) {
+      fail("anyOf", "does not match any of the allowed schemas");
+    }
+  }
+  if (schema.oneOf !== undefined) {
+    const passing = schema.oneOf.filter((sub) => validateNode(value, sub, pointer, ctx).length === 0);
+    if (passing.length !== 1) {
+      fail("oneOf", `must match exactly one schema, matched ${passing.length}`);
+    }
+  }
+  if (schema.not !== undefined && validateNode(value, schema.not, pointer, ctx).length === 0) {
+    fail("not", "must not match the disallowed schema");
+  }
+  if (schema.if !== undefined) {
+    const conditionHolds = validateNode(value, schema.if, pointer, ctx).length === 0;
+    const branch = conditionHolds ? schema.then : schema.else;
+    if (branch !== undefined) {
+      errors.push(...validateNode(value, branch, pointer, ctx));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate `instance` against a 2020-12 `schema`.
+ * Returns an array of { path, keyword, message } — empty when valid.
+ * `path` is a JSON Pointer into the instance ("" for the document root).
+ */
+export function validateSchema(instance, schema) {
+  return validateNode(instance, schema, "", { root: schema });
+}
+
+export function formatSchemaError(error) {
+  return `${error.path || "(root)"}: ${error.message} [${error.keyword}]`;
+}
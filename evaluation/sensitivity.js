@@ -0,0 +1,99 @@
+/**
+ * Leave-one-evaluator-out sensitivity analysis
+ *
+ * With three evaluators, dropping one can move a median a long way — and
+ * some candidates only have two. For each candidate this module rebuilds the
+ * consensus once without each evaluator and records what changes: final
+ * score, score band, consensus recommendation and automatic failure.
+ *
+ * A candidate is flagged for a human tie-breaker when removing a single
+ * evaluator would change its band, flip its hire / no-hire decision, or flip
+ * its automatic failure — i.e. the outcome rests on one evaluator's opinion.
+ */
+
+import { round } from "./stats.js";
+
+// Hire side of the recommendation scale: everything ranked above the first
+// "No Hire" recommendation (Strong Hire, Hire, Lean Hire by default).
+export function isHireRecommendation(recommendation, rubric) {
+  const order = rubric.recommendationOrder;
+  const firstNoHire = order.findIndex((r) => /no hire/i.test(r));
+  const index = order.indexOf(recommendation);
+  if (index < 0) return null;
+  return firstNoHire < 0 || index < firstNoHire;
+}
+
+function outcome(consensus) {
+  return {
+    final_score: consensus.scoring_summary.final_score,
+    score_band: consensus.scoring_summary.score_band,
+    recommendation: consensus.qualitative_consensus.consensus_recommendation,
+    automatic_failure: consensus.scoring_summary.automatic_failure,
+  };
+}
+
+/**
+ * `baseline` is the candidate's consensus from all evaluators;
+ * `consensusFn(evals)` rebuilds the consensus for a subset of its evals
+ * (in the same consensus mode). `evals` carry the canonical evaluator id in
+ * evaluation_metadata.evaluator.
+ */
+export function buildCandidateSensitivity(baseline, evals, rubric, consensusFn) {
+  const base = outcome(baseline);
+  const baseHire = isHireRecommendation(base.recommendation, rubric);
+
+  const without = evals.length < 2 ? [] : evals.map((e, i) => {
+    const o = outcome(consensusFn(evals.filter((_, j) => j !== i)));
+    const hire = isHireRecommendation(o.recommendation, rubric);
+    return {
+      evaluator: e.evaluation_metadata?.evaluator || "unknown",
+      ...o,
+      score_change: round(o.final_score - base.final_score),
+      band_changed: o.score_band !== base.score_band,
+      recommendation_changed: o.recommendation !== base.recommendation,
+      hire_decision_changed: hire !== baseHire,
+      auto_fail_changed: o.automatic_failure !== base.automatic_failure,
+    };
+  });
+
+  const pivotal = (field) => without.filter((w) => w[field]).map((w) => w.evaluator);
+  const bandPivots = pivotal("band_changed");
+  const hirePivots = pivotal("hire_decision_changed");
+  const autoFailPivots = pivotal("auto_fail_changed");
+  const flags = [
+    ...(bandPivots.length > 0 ? ["band"] : []),
+    ...(hirePivots.length > 0 ? ["hire_decision"] : []),
+    ...(autoFailPivots.length > 0 ? ["automatic_failure"] : []),
+  ];
+
+  return {
+    candidate_id: baseline.candidate_id,
+    evaluator_count: evals.length,
+    baseline: base,
+    without_evaluator: without,
+    max_score_change: without.length > 0
+      ? round(Math.max(...without.map((w) => Math.abs(w.score_change))))
+      : null,
+    pivotal_evaluators: {
+      band: bandPivots,
+      hire_decision: hirePivots,
+      automatic_failure: autoFailPivots,
+    },
+    depends_on_single_evaluator: flags.length > 0,
+    flags,
+    note: without.length === 0
+      ? "Only one evaluator; sensitivity cannot be assessed"
+      : null,
+  };
+}
+
+export function buildSensitivityReport(candidates) {
+  const flagged = candidates.filter((c) => c.depends_on_single_evaluator);
+  return {
+    method: "Consensus rebuilt once without each evaluator; a candidate is flagged when removing " +
+      "one evaluator changes its score band, hire / no-hire decision or automatic failure",
+    candidates_flagged: flagged.length,
+    flagged_candidates: flagged.map((c) => c.candidate_id),
+    candidates,
+  };
+}
@@ -0,0 +1,207 @@
+/**
+ * Duplicate and templated evaluation detection
+ *
+ * The median assumes independent evaluators. Evidence pasted across
+ * criteria or candidates, or two agent runs producing near-identical files,
+ * quietly breaks that assumption. This module compares eval files locally —
+ * no external services:
+ *
+ *   text      `evidence` and `notes` strings are normalized (lowercase,
+ *             punctuation dropped) and compared by Jaccard similarity of
+ *             their word 3-shingles. Strings shorter than MIN_WORDS are
+ *             skipped: short stock phrases ("Not attempted") are expected to
+ *             repeat. Pairs at or above NEAR_DUPLICATE_THRESHOLD match.
+ *   scores    criterion score vectors are compared position by position;
+ *             two files that give the same score on at least
+ *             SCORE_MATCH_THRESHOLD of the criteria they both scored match.
+ *
+ * Comparisons run within one file (across criteria), across candidates for
+ * one evaluator, and across evaluators for one candidate. A file or pair of
+ * files with MIN_MATCHES_FOR_WARNING or more near-duplicate strings, or a
+ * matching score vector, produces an independence warning.
+ */
+
+import { round } from "./stats.js";
+
+export const NEAR_DUPLICATE_THRESHOLD = 0.8;
+export const MIN_WORDS = 8;
+export const SCORE_MATCH_THRESHOLD = 0.95;
+export const MIN_MATCHES_FOR_WARNING = 3;
+
+const SHINGLE_SIZE = 3;
+const EXCERPT_LENGTH = 80;
+
+// ---------------------------------------------------------------------------
+// Text
+// ---------------------------------------------------------------------------
+
+function words(text) {
+  return String(text).toLowerCase().replace(/[^\p{L}\p{N}\s]+/gu, " ").split(/\s+/).filter(Boolean);
+}
+
+function shingles(tokens) {
+  const set = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= tokens.length; i++) {
+    set.add(tokens.slice(i, i + SHINGLE_SIZE).join(" "));
+  }
+  return set;
+}
+
+export function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  for (const s of small) if (large.has(s)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/** Similarity of two strings, 0–1 (Jaccard over word 3-shingles). */
+export function textSimilarity(a, b) {
+  return jaccard(shingles(words(a)), shingles(words(b)));
+}
+
+/**
+ * Every `evidence` and `notes` string of MIN_WORDS words or more, with its
+ * JSON Pointer and shingle set.
+ */
+export function extractTexts(eval_) {
+  const texts = [];
+  const walk = (value, pointer) => {
+    if (Array.isArray(value)) {
+      value.forEach((v, i) => walk(v, `${pointer}/${i}`));
+    } else if (value && typeof value === "object") {
+      for (const [key, v] of Object.entries(value)) {
+        if ((key === "evidence" || key === "notes") && typeof v === "string") {
+          const tokens = words(v);
+          if (tokens.length >= MIN_WORDS) texts.push({ location: `${pointer}/${key}`, text: v, shingles: shingles(tokens) });
+        } else {
+          walk(v, `${pointer}/${key}`);
+        }
+      }
+    }
+  };
+  walk(eval_, "");
+  return texts;
+}
+
+function excerpt(text) {
+  return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH - 1)}…` : text;
+}
+
+// Near-duplicate pairs between two text lists (or within one when b is null)
+function matchTexts(a, b) {
+  const matches = [];
+  a.forEach((x, i) => {
+    for (const y of b ?? a.slice(i + 1)) {
+      const similarity = jaccard(x.shingles, y.shingles);
+      if (similarity >= NEAR_DUPLICATE_THRESHOLD) {
+        matches.push({ locations: [x.location, y.location], similarity: round(similarity), excerpt: excerpt(x.text) });
+      }
+    }
+  });
+  return matches;
+}
+
+// ---------------------------------------------------------------------------
+// Scores
+// ---------------------------------------------------------------------------
+
+function criterionScores(eval_) {
+  const scores = {};
+  for (const [cat, block] of Object.entries(eval_.rubric_scores || {})) {
+    for (const [crit, c] of Object.entries(block?.criteria || {})) {
+      if (typeof c?.score === "number") scores[`${cat}/${crit}`] = c.score;
+    }
+  }
+  return scores;
+}
+
+function matchScores(a, b) {
+  const shared = Object.keys(a).filter((k) => k in b);
+  if (shared.length === 0) return null;
+  const same = shared.filter((k) => a[k] === b[k]).length;
+  return { compared: shared.length, identical: same, share: round(same / shared.length) };
+}
+
+// ---------------------------------------------------------------------------
+// Analysis
+// ---------------------------------------------------------------------------
+
+/**
+ * `candidates` is [{ candidateId, evals }] with canonical evaluator ids in
+ * evaluation_metadata.evaluator. Returns the agreement report's
+ * `independence` section.
+ */
+export function buildIndependenceAnalysis(candidates) {
+  const files = candidates.flatMap(({ candidateId, evals }) => evals.map((e) => ({
+    candidate_id: candidateId,
+    evaluator: e.evaluation_metadata?.evaluator || "unknown",
+    texts: extractTexts(e),
+    scores: criterionScores(e),
+  })));
+  const label = (f) => ({ candidate_id: f.candidate_id, evaluator: f.evaluator });
+
+  const withinFile = files
+    .map((f) => ({ ...label(f), strings: f.texts.length, matches: matchTexts(f.texts, null) }))
+    .filter((f) => f.matches.length > 0);
+
+  const acrossCandidates = [];
+  const acrossEvaluators = [];
+  const scoreVectors = [];
+  files.forEach((a, i) => {
+    for (const b of files.slice(i + 1)) {
+      const scope = a.evaluator === b.evaluator && a.candidate_id !== b.candidate_id
+        ? "across_candidates"
+        : a.candidate_id === b.candidate_id && a.evaluator !== b.evaluator
+          ? "across_evaluators"
+          : null;
+      if (!scope) continue;
+      const pair = { files: [label(a), label(b)] };
+      const matches = matchTexts(a.texts, b.texts);
+      if (matches.length > 0) {
+        (scope === "across_candidates" ? acrossCandidates : acrossEvaluators).push({
+          ...pair,
+          strings: [a.texts.length, b.texts.length],
+          matches,
+        });
+      }
+      const scores = matchScores(a.scores, b.scores);
+      if (scores && scores.share >= SCORE_MATCH_THRESHOLD) scoreVectors.push({ scope, ...pair, ...scores });
+    }
+  });
+
+  const who = (f) => `${f.evaluator} on ${f.candidate_id}`;
+  const warnings = [
+    ...withinFile
+      .filter((f) => f.matches.length >= MIN_MATCHES_FOR_WARNING)
+      .map((f) => `${who(f)}: ${f.matches.length} near-identical evidence/notes pair(s) across criteria in one file`),
+    ...acrossCandidates
+      .filter((p) => p.matches.length >= MIN_MATCHES_FOR_WARNING)
+      .map((p) => `${p.files[0].evaluator}: ${p.matches.length} evidence/notes string(s) reused between ` +
+        `${p.files[0].candidate_id} and ${p.files[1].candidate_id}`),
+    ...acrossEvaluators
+      .filter((p) => p.matches.length >= MIN_MATCHES_FOR_WARNING)
+      .map((p) => `${p.files[0].candidate_id}: ${p.files[0].evaluator} and ${p.files[1].evaluator} share ` +
+        `${p.matches.length} near-identical evidence/notes string(s)`),
+    ...scoreVectors.map((p) => `${who(p.files[0])} and ${who(p.files[1])}: same score on ` +
+      `${p.identical}/${p.compared} criteria`),
+  ];
+
+  return {
+    method: `Jaccard similarity of word ${SHINGLE_SIZE}-shingles over evidence and notes strings of ${MIN_WORDS}+ words; ` +
+      "criterion score vectors compared position by position",
+    thresholds: {
+      near_duplicate: NEAR_DUPLICATE_THRESHOLD,
+      min_words: MIN_WORDS,
+      score_match: SCORE_MATCH_THRESHOLD,
+      min_matches_for_warning: MIN_MATCHES_FOR_WARNING,
+    },
+    files_compared: files.length,
+    independent: warnings.length === 0,
+    warnings,
+    within_file: withinFile,
+    across_candidates: acrossCandidates,
+    across_evaluators: acrossEvaluators,
+    score_vectors: scoreVectors,
+  };
+}
@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+
+/**
+ * End-to-end smoke check for the aggregator
+ *
+ * Runs aggregate.js on an evals directory (default evals/) under each
+ * option combination below, every run into a fresh temporary directory,
+ * and checks its exit code and the outputs that mode must produce:
+ *
+ *   default               every standard output and the run manifest
+ *   --calibrate           calibrated consensus with raw scores kept
+ *   --lenient --partial   per-criterion rater counts and confidence
+ *   --blind               no identifying token from the sealed mapping in
+ *                         any output, the --junit/--sarif reports or the
+ *                         console output
+ *   --compare-strategies  strategy-comparison.json
+ *
+ * Usage:
+ *   node smoke-check.js [evals-dir]
+ *
+ * Exits 1 when any run fails or misses an output; the temporary directories
+ * are removed either way.
+ */
+
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, rmSync, readdirSync, readFileSync, existsSync } from "node:fs";
+import { join, resolve } from "node:path";
+import { tmpdir } from "node:os";
+import { fileURLToPath } from "node:url";
+
+const AGGREGATE = fileURLToPath(new URL("./aggregate.js", import.meta.url));
+const RUN_TIMEOUT_MS = 5 * 60 * 1000;
+
+// ---------------------------------------------------------------------------
+// Checks
+// ---------------------------------------------------------------------------
+
+function readJson(dir, file) {
+  return JSON.parse(readFileSync(join(dir, file), "utf-8"));
+}
+
+function consensusFiles(dir) {
+  return readdirSync(dir).filter((f) => /^consensus-.+\.json$/.test(f));
+}
+
+function expectFiles(dir, files) {
+  return files.filter((f) => !existsSync(join(dir, f))).map((f) => `missing ${f}`);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Every file in `dirs`, extra file and console stream that still contains a token
+function tokenHits(tokens, dirs, extraFiles = [], streams = {}) {
+  if (tokens.length === 0) return [];
+  const matcher = new RegExp(
+    `(?<![\\p{L}\\p{N}_])(?:${tokens.map(escapeRegExp).join("|")})(?![\\p{L}\\p{N}_])`,
+    "iu"
+  );
+  const files = [...dirs.flatMap((d) => readdirSync(d).map((f) => join(d, f))), ...extraFiles];
+  return [
+    ...files
+      .filter((path) => !existsSync(path) || matcher.test(readFileSync(path, "utf-8")))
+      .map((path) => (existsSync(path) ? `identifying token in ${path}` : `missing ${path}`)),
+    ...Object.entries(streams).filter(([, text]) => matcher.test(text)).map(([name]) => `identifying token on ${name}`),
+  ];
+}
+
+const STANDARD_OUTPUTS = [
+  "comparison.json", "comparison.md", "report.html", "agreement-report.json", "evaluator-profiles.json",
+  "sensitivity-report.json", "rubric-health.json", "validation-report.json", "run-manifest.json",
+];
+
+export const SCENARIOS = [
+  {
+    name: "default",
+    args: [],
+    check: (out) => [
+      ...expectFiles(out, STANDARD_OUTPUTS),
+      ...(consensusFiles(out).length === 0 ? ["no consensus files"] : []),
+    ],
+  },
+  {
+    name: "calibrate",
+    args: ["--calibrate"],
+    check: (out) => [
+      ...expectFiles(out, STANDARD_OUTPUTS),
+      ...consensusFiles(out)
+        .filter((f) => readJson(out, f).consensus_mode !== "calibrated")
+        .map((f) => `${f} is not calibrated`),
+      ...(readJson(out, "comparison.json").calibration ? [] : ["comparison.json has no calibration section"]),
+    ],
+  },
+  {
+    name: "lenient-partial",
+    args: ["--lenient", "--partial"],
+    check: (out) => [
+      ...expectFiles(out, STANDARD_OUTPUTS),
+      ...consensusFiles(out)
+        .filter((f) => !readJson(out, f).rater_coverage)
+        .map((f) => `${f} has no rater_coverage`),
+    ],
+  },
+  {
+    name: "blind",
+    args: (tmp) => [
+      "--blind", "--blind-mapping", join(tmp, "mapping.json"),
+      "--junit", join(tmp, "validation.xml"), "--sarif", join(tmp, "validation.sarif"),
+    ],
+    check: (out, tmp, run) => {
+      const problems = expectFiles(out, [...STANDARD_OUTPUTS, "blind-review-report.json"]);
+      if (!existsSync(join(tmp, "mapping.json"))) return [...problems, "no sealed mapping"];
+      const mapping = JSON.parse(readFileSync(join(tmp, "mapping.json"), "utf-8"));
+      const tokens = Object.values(mapping.candidates).flatMap((c) => c.identifying_tokens);
+      return [
+        ...problems,
+        ...tokenHits(tokens, [out], [join(tmp, "validation.xml"), join(tmp, "validation.sarif")], {
+          stdout: run.stdout,
+          stderr: run.stderr,
+        }),
+      ];
+    },
+  },
+  {
+    name: "compare-strategies",
+    args: ["--compare-strategies", "criteria=trimmed_mean,gates=unanimous"],
+    check: (out) => expectFiles(out, [...STANDARD_OUTPUTS, "strategy-comparison.json"]),
+  },
+];
+
+// ---------------------------------------------------------------------------
+// Runner
+// ---------------------------------------------------------------------------
+
+/**
+ * Runs one scenario in its own temporary directory. Returns
+ * { name, status, problems }.
+ */
+export function runScenario(scenario, evalsDir) {
+  const tmp = mkdtempSync(join(tmpdir(), `smoke-${scenario.name}-`));
+  const out = join(tmp, "out");
+  try {
+    const extra = typeof scenario.args === "function" ? scenario.args(tmp) : scenario.args;
+    const run = spawnSync(process.execPath, [AGGREGATE, "aggregate", evalsDir, "--output", out, ...extra], {
+      encoding: "utf-8",
+      timeout: RUN_TIMEOUT_MS,
+    });
+    if (run.error) return { name: scenario.name, status: null, problems: [run.error.message] };
+    if (run.status !== 0) {
+      const lines = `${run.stderr}\n${run.stdout}`.split("\n").map((l) => l.trim()).filter(Boolean);
+      const reason = lines.find((l) => /\b\w*Error\b/.test(l)) ?? lines.at(-1);
+      return { name: scenario.name, status: run.status, problems: [`exit ${run.status}: ${reason}`] };
+    }
+    return { name: scenario.name, status: run.status, problems: scenario.check(out, tmp, run) };
+  } catch (err) {
+    return { name: scenario.name, status: null, problems: [err.message] };
+  } finally {
+    rmSync(tmp, { recursive: true, force: true });
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args.includes("--help")) {
+    console.log("Usage: node smoke-check.js [evals-dir]");
+    return;
+  }
+  const evalsDir = resolve(args[0] ?? "evals");
+  if (!existsSync(evalsDir)) {
+    console.error(`Error: Not found: ${evalsDir}`);
+    process.exit(1);
+  }
+
+  let failed = 0;
+  for (const scenario of SCENARIOS) {
+    const result = runScenario(scenario, evalsDir);
+    if (result.problems.length > 0) failed++;
+    console.log(`${result.problems.length === 0 ? "ok  " : "FAIL"}  ${scenario.name}`);
+    for (const p of result.problems) console.log(`        ${p}`);
+  }
+  console.log(`\n${SCENARIOS.length - failed}/${SCENARIOS.length} scenarios passed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
@@ -0,0 +1,266 @@
+/**
+ * Statistics helpers for the evaluation aggregator
+ *
+ * Descriptive statistics (median, mean, sample standard deviation) plus the
+ * inter-rater reliability coefficients used in the agreement report:
+ *
+ *   krippendorffAlphaOrdinal(units)   — Krippendorff's alpha, ordinal metric
+ *   icc2k(matrix)                     — ICC(2,k): two-way random effects,
+ *                                       absolute agreement, average of k raters
+ *   weightedKappa(pairs, categories)  — Cohen's kappa, quadratic weights
+ *   pearson(xs, ys)                   — Pearson correlation
+ *   cronbachAlpha(rows)               — internal consistency of a set of items
+ *   bootstrapCI(clusters, statFn)     — percentile bootstrap over clusters
+ *
+ * All functions are pure. Randomness comes only from a seeded PRNG so that
+ * bootstrap intervals are reproducible run to run.
+ */
+
+// ---------------------------------------------------------------------------
+// Descriptive statistics
+// ---------------------------------------------------------------------------
+
+export function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 !== 0
+    ? sorted[mid]
+    : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+export function mean(values) {
+  if (values.length === 0) return 0;
+  return values.reduce((s, v) => s + v, 0) / values.length;
+}
+
+export function stddev(values) {
+  if (values.length <= 1) return 0;
+  const avg = mean(values);
+  const squareDiffs = values.map((v) => (v - avg) ** 2);
+  return Math.sqrt(squareDiffs.reduce((s, v) => s + v, 0) / (values.length - 1));
+}
+
+export function round(value, digits = 2) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+// Linear-interpolated quantile of an already sorted array (q in [0, 1]).
+export function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// ---------------------------------------------------------------------------
+// Seeded PRNG and bootstrap
+// ---------------------------------------------------------------------------
+
+// mulberry32 — small, fast, and good enough for resampling
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Percentile bootstrap confidence interval.
+ *
+ * `clusters` is an array of resampling units (e.g. one entry per candidate);
+ * each iteration draws clusters.length of them with replacement and passes
+ * the resample to `statFn`. Iterations where the statistic is undefined
+ * (null / NaN) are dropped. Returns { lower, upper, iterations } or null
+ * when fewer than 3 clusters exist or too few iterations produce a value.
+ */
+export function bootstrapCI(clusters, statFn, { iterations = 1000, seed = 1, level = 0.95 } = {}) {
+  if (clusters.length < 3) return null;
+  const rng = createRng(seed);
+  const estimates = [];
+  for (let i = 0; i < iterations; i++) {
+    const sample = [];
+    for (let j = 0; j < clusters.length; j++) {
+      sample.push(clusters[Math.floor(rng() * clusters.length)]);
+    }
+    const value = statFn(sample);
+    if (value !== null && Number.isFinite(value)) estimates.push(value);
+  }
+  if (estimates.length < iterations / 2) return null;
+  estimates.sort((a, b) => a - b);
+  const alpha = (1 - level) / 2;
+  return {
+    lower: quantile(estimates, alpha),
+    upper: quantile(estimates, 1 - alpha),
+    iterations: estimates.length,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Krippendorff's alpha (ordinal)
+// ---------------------------------------------------------------------------
+
+/**
+ * `units` is an array of value arrays — the ratings each coder gave one unit.
+ * Missing ratings are simply absent; units with fewer than 2 ratings are not
+ * pairable and are ignored. Returns null when alpha is undefined (fewer than
+ * 2 pairable values, or no variation at all so expected disagreement is 0).
+ */
+export function krippendorffAlphaOrdinal(units) {
+  const pairable = units.filter((u) => u.length >= 2);
+  const values = [...new Set(pairable.flat())].sort((a, b) => a - b);
+  if (values.length === 0) return null;
+  if (values.length === 1) return null; // no variation: alpha undefined
+  const index = new Map(values.map((v, i) => [v, i]));
+  const V = values.length;
+
+  // Coincidence matrix o[c][k]
+  const o = Array.from({ length: V }, () => new Array(V).fill(0));
+  for (const unit of pairable) {
+    const m = unit.length;
+    for (let i = 0; i < m; i++) {
+      for (let j = 0; j < m; j++) {
+        if (i === j) continue;
+        o[index.get(unit[i])][index.get(unit[j])] += 1 / (m - 1);
+      }
+    }
+  }
+  const nc = o.map((row) => row.reduce((s, v) => s + v, 0));
+  const n = nc.reduce((s, v) => s + v, 0);
+  if (n <= 1) return null;
+
+  // Ordinal distance: squared sum of marginals between c and k
+  const delta = (c, k) => {
+    const [lo, hi] = c <= k ? [c, k] : [k, c];
+    let sum = 0;
+    for (let g = lo; g <= hi; g++) sum += nc[g];
+    return (sum - (nc[lo] + nc[hi]) / 2) ** 2;
+  };
+
+  let observed = 0;
+  let expected = 0;
+  for (let c = 0; c < V; c++) {
+    for (let k = 0; k < V; k++) {
+      if (c === k) continue;
+      const d = delta(c, k);
+      observed += o[c][k] * d;
+      expected += nc[c] * nc[k] * d;
+    }
+  }
+  if (expected === 0) return null;
+  return 1 - ((n - 1) * observed) / expected;
+}
+
+// ---------------------------------------------------------------------------
+// Intraclass correlation ICC(2,k)
+// ---------------------------------------------------------------------------
+
+/**
+ * `matrix` is n subjects × k raters, complete (no missing cells).
+ * ICC(2,k) = (MSR − MSE) / (MSR + (MSC − MSE) / n)   (Shrout & Fleiss 1979)
+ * Returns null for fewer than 2 subjects or raters, or zero total variance.
+ */
+export function icc2k(matrix) {
+  const n = matrix.length;
+  const k = n > 0 ? matrix[0].length : 0;
+  if (n < 2 || k < 2) return null;
+
+  const grand = mean(matrix.flat());
+  const rowMeans = matrix.map((row) => mean(row));
+  const colMeans = Array.from({ length: k }, (_, j) => mean(matrix.map((row) => row[j])));
+
+  const ssRows = k * rowMeans.reduce((s, m) => s + (m - grand) ** 2, 0);
+  const ssCols = n * colMeans.reduce((s, m) => s + (m - grand) ** 2, 0);
+  const ssTotal = matrix.flat().reduce((s, v) => s + (v - grand) ** 2, 0);
+  const ssError = ssTotal - ssRows - ssCols;
+
+  const msr = ssRows / (n - 1);
+  const msc = ssCols / (k - 1);
+  const mse = ssError / ((n - 1) * (k - 1));
+  const denom = msr + (msc - mse) / n;
+  if (denom === 0) return null;
+  return (msr - mse) / denom;
+}
+
+// ---------------------------------------------------------------------------
+// Weighted Cohen's kappa (quadratic weights)
+// ---------------------------------------------------------------------------
+
+/**
+ * `pairs` is an array of [ratingA, ratingB] on an ordinal scale whose
+ * possible values are `categories` (e.g. [0, 1, 2, 3, 4]). Disagreement
+ * weights are (i − j)² / (K − 1)². Returns null when chance disagreement is
+ * zero (both raters used a single identical value throughout).
+ */
+export function weightedKappa(pairs, categories) {
+  if (pairs.length === 0) return null;
+  const K = categories.length;
+  const index = new Map(categories.map((c, i) => [c, i]));
+  const observed = Array.from({ length: K }, () => new Array(K).fill(0));
+  for (const [a, b] of pairs) {
+    observed[index.get(a)][index.get(b)] += 1;
+  }
+  const N = pairs.length;
+  const rowTotals = observed.map((row) => row.reduce((s, v) => s + v, 0));
+  const colTotals = categories.map((_, j) => observed.reduce((s, row) => s + row[j], 0));
+
+  let obsDisagree = 0;
+  let expDisagree = 0;
+  for (let i = 0; i < K; i++) {
+    for (let j = 0; j < K; j++) {
+      const w = (i - j) ** 2 / (K - 1) ** 2;
+      obsDisagree += w * observed[i][j] / N;
+      expDisagree += w * (rowTotals[i] * colTotals[j]) / (N * N);
+    }
+  }
+  if (expDisagree === 0) return null;
+  return 1 - obsDisagree / expDisagree;
+}
+
+// ---------------------------------------------------------------------------
+// Correlation and internal consistency
+// ---------------------------------------------------------------------------
+
+/**
+ * Pearson correlation of two equally long arrays. Returns null for fewer
+ * than 3 pairs or when either variable is constant.
+ */
+export function pearson(xs, ys) {
+  const n = xs.length;
+  if (n < 3 || ys.length !== n) return null;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  if (sxx === 0 || syy === 0) return null;
+  return sxy / Math.sqrt(sxx * syy);
+}
+
+/**
+ * `rows` is n respondents × k items, complete (no missing cells).
+ * α = k / (k − 1) × (1 − Σ item variances / variance of the row totals).
+ * Returns null for fewer than 2 items or 3 rows, or constant totals.
+ */
+export function cronbachAlpha(rows) {
+  const n = rows.length;
+  const k = n > 0 ? rows[0].length : 0;
+  if (k < 2 || n < 3) return null;
+  const itemVariance = Array.from({ length: k }, (_, j) => stddev(rows.map((r) => r[j])) ** 2)
+    .reduce((s, v) => s + v, 0);
+  const totalVariance = stddev(rows.map((r) => r.reduce((s, v) => s + v, 0))) ** 2;
+  if (totalVariance === 0) return null;
+  return (k / (k - 1)) * (1 - itemVariance / totalVariance);
+}
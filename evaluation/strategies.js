@@ -0,0 +1,172 @@
+/**
+ * Aggregation strategies for buildConsensus()
+ *
+ * Each data type in a consensus has a named strategy:
+ *
+ *   criteria         — criterion scores (0–4) → consensus score
+ *   gates            — pass/fail votes → consensus pass
+ *   bonuses          — bonus component points → consensus points
+ *   recommendations  — ordinal recommendation positions → consensus position
+ *
+ * The defaults reproduce the methodology in evaluation-framework.md §9.2
+ * (median / majority / max / ordinal median). A rubric version may set its
+ * own under `aggregation` in rubrics.json, and --strategies on the command
+ * line overrides both, e.g. `--strategies criteria=trimmed_mean,gates=unanimous`.
+ *
+ * Weighted strategies use each evaluator's `trust` from the evaluator
+ * registry (default 1).
+ */
+
+import { median, mean, round } from "./stats.js";
+
+export const DEFAULT_STRATEGIES = {
+  criteria: "median",
+  gates: "majority",
+  bonuses: "max",
+  recommendations: "ordinal_median",
+};
+
+// Median of values where each value counts with its weight. When the
+// cumulative weight lands exactly on half, the two middle values are
+// averaged (so equal weights give the ordinary median).
+function weightedMedian(values, weights) {
+  if (values.length === 0) return 0;
+  const pairs = values.map((v, i) => [v, weights[i] ?? 1]).sort((a, b) => a[0] - b[0]);
+  const total = pairs.reduce((s, [, w]) => s + w, 0);
+  let cumulative = 0;
+  for (let i = 0; i < pairs.length; i++) {
+    cumulative += pairs[i][1];
+    if (Math.abs(cumulative - total / 2) < 1e-9 && i + 1 < pairs.length) {
+      return (pairs[i][0] + pairs[i + 1][0]) / 2;
+    }
+    if (cumulative > total / 2) return pairs[i][0];
+  }
+  return pairs.at(-1)[0];
+}
+
+// Drop the single lowest and highest value when there are 3 or more, then
+// average. With exactly three evaluators this equals the median.
+function trimmedMean(values) {
+  if (values.length < 3) return mean(values);
+  return mean([...values].sort((a, b) => a - b).slice(1, -1));
+}
+
+// value functions: (values, weights) → number
+const CRITERION_STRATEGIES = {
+  median: { describe: "Median of evaluator scores", fn: (v) => median(v) },
+  mean: { describe: "Mean of evaluator scores", fn: (v) => mean(v) },
+  trimmed_mean: { describe: "Mean after dropping the lowest and highest score (3+ evaluators)", fn: (v) => trimmedMean(v) },
+  weighted_median: { describe: "Median weighted by evaluator trust", fn: (v, w) => weightedMedian(v, w) },
+};
+
+// vote functions: (passCount, failCount) → boolean
+const GATE_STRATEGIES = {
+  majority: { describe: "Pass when more evaluators pass than fail", fn: (p, f) => p > f },
+  supermajority: { describe: "Pass when at least two thirds of evaluators pass", fn: (p, f) => p >= (2 / 3) * (p + f) },
+  unanimous: { describe: "Pass only when every evaluator passes", fn: (p, f) => p > 0 && f === 0 },
+};
+
+const BONUS_STRATEGIES = {
+  max: { describe: "Highest points any evaluator awarded", fn: (v) => Math.max(0, ...v) },
+  median: { describe: "Median of evaluator points", fn: (v) => median(v) },
+  mean: { describe: "Mean of evaluator points", fn: (v) => mean(v) },
+};
+
+// index functions: (ordinal positions, weights) → position
+const RECOMMENDATION_STRATEGIES = {
+  ordinal_median: { describe: "Median ordinal position, rounded", fn: (v) => Math.round(median(v)) },
+  weighted_ordinal_median: { describe: "Trust-weighted median ordinal position, rounded", fn: (v, w) => Math.round(weightedMedian(v, w)) },
+  most_conservative: { describe: "Least favourable recommendation any evaluator gave", fn: (v) => Math.max(...v) },
+};
+
+export const STRATEGIES = {
+  criteria: CRITERION_STRATEGIES,
+  gates: GATE_STRATEGIES,
+  bonuses: BONUS_STRATEGIES,
+  recommendations: RECOMMENDATION_STRATEGIES,
+};
+
+/**
+ * Merge strategy selections over the defaults and check every name.
+ * `overrides` are applied in order (e.g. rubric config, then CLI).
+ * Throws on an unknown data type or strategy name.
+ */
+export function resolveStrategies(...overrides) {
+  const resolved = { ...DEFAULT_STRATEGIES };
+  for (const o of overrides) {
+    for (const [type, name] of Object.entries(o || {})) {
+      if (!STRATEGIES[type]) {
+        throw new Error(`Unknown aggregation data type "${type}" (expected: ${Object.keys(STRATEGIES).join(", ")})`);
+      }
+      if (!STRATEGIES[type][name]) {
+        throw new Error(
+          `Unknown ${type} strategy "${name}" (available: ${Object.keys(STRATEGIES[type]).join(", ")})`
+        );
+      }
+      resolved[type] = name;
+    }
+  }
+  return resolved;
+}
+
+// "criteria=trimmed_mean,gates=unanimous" → { criteria: "trimmed_mean", gates: "unanimous" }
+export function parseStrategySpec(spec) {
+  const selection = {};
+  for (const part of String(spec).split(",").map((p) => p.trim()).filter(Boolean)) {
+    const [type, name] = part.split("=").map((x) => x?.trim());
+    if (!type || !name) {
+      throw new Error(`Invalid strategy "${part}" (expected <data type>=<strategy>)`);
+    }
+    selection[type] = name;
+  }
+  return selection;
+}
+
+export function strategyFn(strategies, type) {
+  return STRATEGIES[type][strategies[type]].fn;
+}
+
+// Recorded in every consensus file
+export function describeStrategies(strategies) {
+  return Object.fromEntries(
+    Object.entries(strategies).map(([type, name]) => [
+      type,
+      { strategy: name, description: STRATEGIES[type][name].describe },
+    ])
+  );
+}
+
+/**
+ * Compare two rankings (buildComparison() results) produced under
+ * different strategy sets.
+ */
+export function buildStrategyComparison(strategiesA, comparisonA, strategiesB, comparisonB) {
+  const byIdB = Object.fromEntries(comparisonB.ranking.map((r) => [r.candidate_id, r]));
+  const changes = comparisonA.ranking.map((a) => {
+    const b = byIdB[a.candidate_id];
+    return {
+      candidate_id: a.candidate_id,
+      rank_a: a.position,
+      rank_b: b.position,
+      rank_change: a.position - b.position,
+      final_score_a: a.final_score,
+      final_score_b: b.final_score,
+      score_change: round(b.final_score - a.final_score),
+      band_a: a.score_band,
+      band_b: b.score_band,
+      recommendation_a: a.consensus_recommendation,
+      recommendation_b: b.consensus_recommendation,
+      automatic_failure_a: a.automatic_failure,
+      automatic_failure_b: b.automatic_failure,
+    };
+  });
+  return {
+    strategies_a: strategiesA,
+    strategies_b: strategiesB,
+    candidates_moved: changes.filter((c) => c.rank_change !== 0).length,
+    band_changes: changes.filter((c) => c.band_a !== c.band_b).length,
+    recommendation_changes: changes.filter((c) => c.recommendation_a !== c.recommendation_b).length,
+    auto_fail_changes: changes.filter((c) => c.automatic_failure_a !== c.automatic_failure_b).length,
+    ranking_changes: changes,
+  };
+}
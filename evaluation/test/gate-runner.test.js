@@ -0,0 +1,51 @@
+/**
+ * Gate runner: a failed install blocks G3 instead of failing it
+ *
+ * Runs a real `npm install --offline` against an empty npm cache, so the
+ * install fails without touching the network.
+ *
+ * Run with: node --test evaluation/test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import { runGates } from "../gate-runner.js";
+import { loadRubrics, DEFAULT_RUBRIC_PATH } from "../rubric.js";
+
+const rubrics = loadRubrics(DEFAULT_RUBRIC_PATH);
+const rubric = rubrics.versions[rubrics.defaultVersion];
+
+test("install failure: G3 is not checked, not counted and triggers no automatic failure", async () => {
+  const tmp = mkdtempSync(join(tmpdir(), "gate-runner-test-"));
+  try {
+    const checkout = join(tmp, "checkout");
+    mkdirSync(checkout);
+    writeFileSync(
+      join(checkout, "package.json"),
+      JSON.stringify({ name: "fake-candidate", scripts: { build: "exit 0" }, dependencies: { "left-pad": "1.3.0" } })
+    );
+    const npmCache = join(tmp, "npm-cache");
+    mkdirSync(npmCache);
+
+    const run = await runGates(checkout, rubric, {
+      npmCache,
+      timeouts: { install: 120, build: 60, dev: 30 },
+    });
+    const gate = run.automated_gate;
+
+    assert.equal(gate.G2_install_succeeds.pass, false);
+    assert.ok(run.checked.includes("G2_install_succeeds"));
+    assert.ok(!run.checked.includes("G3_build_succeeds"));
+    assert.ok(run.not_checked.some((n) => n.gate === "G3_build_succeeds"));
+    assert.ok(!run.commands.some((c) => c.gate === "G3_build_succeeds"), "the build must not have run");
+
+    const checkedFailures = run.checked.filter((gk) => gate[gk].pass === false).length;
+    assert.equal(gate.gate_summary.total_failed, checkedFailures);
+    assert.ok(!gate.gate_summary.failure_reasons.includes(rubric.autoFailGateMap.G3_build_succeeds));
+  } finally {
+    rmSync(tmp, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,79 @@
+/**
+ * Shared ranks in rankCandidates: overlap must not chain
+ *
+ * Run with: node --test evaluation/test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { rankCandidates } from "../ranking.js";
+
+function entry(candidateId, finalScore, lower, upper) {
+  return {
+    candidate_id: candidateId,
+    final_score: finalScore,
+    category_scores: {},
+    evaluator_agreement: "strong",
+    divergence_count: 0,
+    score_interval: { lower, upper },
+  };
+}
+
+function overlaps(a, b) {
+  return a.lower <= b.upper && b.lower <= a.upper;
+}
+
+// Every pair reported as indistinguishable must actually overlap
+function assertPairsOverlap(ranked) {
+  const byId = new Map(ranked.map((r) => [r.candidate_id, r]));
+  for (const r of ranked) {
+    for (const other of r.indistinguishable_from) {
+      assert.ok(
+        overlaps(r.score_interval, byId.get(other).score_interval),
+        `${r.candidate_id} and ${other} are reported indistinguishable but do not overlap`
+      );
+    }
+  }
+}
+
+test("A overlaps B and B overlaps C, but A and C are disjoint: C gets its own rank", () => {
+  const ranked = rankCandidates([
+    entry("C-003", 15, 12, 20),
+    entry("C-001", 28, 25, 30),
+    entry("C-002", 22, 18, 26),
+  ]);
+
+  assert.deepEqual(
+    ranked.map((r) => [r.candidate_id, r.rank, r.indistinguishable_from]),
+    [
+      ["C-001", 1, ["C-002"]],
+      ["C-002", 1, ["C-001"]],
+      ["C-003", 3, []],
+    ]
+  );
+  assertPairsOverlap(ranked);
+});
+
+test("a candidate that overlaps the anchor but not every member starts a new group", () => {
+  const ranked = rankCandidates([
+    entry("C-001", 85, 80, 90),
+    entry("C-002", 84, 83.5, 84.5),
+    entry("C-003", 83, 76, 83.2),
+  ]);
+
+  assert.deepEqual(ranked.map((r) => r.rank), [1, 1, 3]);
+  assertPairsOverlap(ranked);
+});
+
+test("candidates whose intervals all overlap share the anchor's rank", () => {
+  const ranked = rankCandidates([
+    entry("C-001", 90, 85, 95),
+    entry("C-002", 88, 84, 92),
+    entry("C-003", 87, 86, 89),
+    entry("C-004", 60, 55, 65),
+  ]);
+
+  assert.deepEqual(ranked.map((r) => r.rank), [1, 1, 1, 4]);
+  assert.deepEqual(ranked.map((r) => r.tie_group), [1, 1, 1, 2]);
+  assertPairsOverlap(ranked);
+});
@@ -0,0 +1,242 @@
+/**
+ * Validation report for one aggregator run
+ *
+ * Every eval file the aggregator reads gets one entry:
+ *
+ *   accepted  validated and aggregated, with nothing to report
+ *   partial   aggregated, with warnings: schema violations that --lenient
+ *             let through, rubric items a --partial eval left out, or an
+ *             evaluator that is unregistered or whose file name disagrees
+ *             with its metadata
+ *   rejected  not aggregated: schema or structural errors, unreadable
+ *             JSON, an undefined framework_version, a second file from the
+ *             same evaluator, or a candidate that mixes versions
+ *
+ * Each error and warning keeps the JSON Pointer of the offending field and
+ * the line and column of that field in the file, so CI can annotate it.
+ * buildValidationReport() produces validation-report.json; toJUnit() and
+ * toSarif() render the same entries as JUnit XML and SARIF 2.1.0.
+ */
+
+import { relative, sep } from "node:path";
+
+// ---------------------------------------------------------------------------
+// Locations
+// ---------------------------------------------------------------------------
+
+function escapeToken(token) {
+  return String(token).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+/**
+ * Offset of every value in a JSON text, keyed by JSON Pointer. Assumes the
+ * text parses (callers only locate issues in parsed files).
+ */
+function pointerOffsets(text) {
+  const offsets = new Map();
+  let i = 0;
+  const skip = () => {
+    while (i < text.length && " \t\n\r".includes(text[i])) i++;
+  };
+  const string = () => {
+    const start = i++;
+    while (i < text.length && text[i] !== "\"") i += text[i] === "\\" ? 2 : 1;
+    i++;
+    return JSON.parse(text.slice(start, i));
+  };
+  const value = (pointer) => {
+    skip();
+    offsets.set(pointer, i);
+    if (text[i] === "{" || text[i] === "[") {
+      const isObject = text[i] === "{";
+      const close = isObject ? "}" : "]";
+      i++;
+      for (let index = 0; ; index++) {
+        skip();
+        if (text[i] === close) break;
+        let token = index;
+        if (isObject) {
+          const keyAt = i;
+          token = string();
+          offsets.set(`${pointer}/${escapeToken(token)}#key`, keyAt);
+          skip();
+          i++; // :
+        }
+        value(`${pointer}/${escapeToken(token)}`);
+        skip();
+        if (text[i] === ",") i++;
+      }
+      i++;
+    } else if (text[i] === "\"") {
+      string();
+    } else {
+      while (i < text.length && !",]} \t\n\r".includes(text[i])) i++;
+    }
+  };
+  value("");
+  return offsets;
+}
+
+/**
+ * 1-based { line, column } of the field at `pointer` — its key when it has
+ * one — or of its nearest existing ancestor (a missing required property is
+ * reported on the object that lacks it).
+ */
+export function locatePointer(text, pointer, offsets = pointerOffsets(text)) {
+  let at = pointer;
+  while (!offsets.has(at) && at !== "") at = at.slice(0, at.lastIndexOf("/"));
+  const offset = offsets.get(`${at}#key`) ?? offsets.get(at) ?? 0;
+  const before = text.slice(0, offset);
+  const line = before.split("\n").length;
+  return { line, column: offset - before.lastIndexOf("\n") };
+}
+
+/**
+ * Issues ({ location, keyword, message }) with line and column added, when
+ * the raw text is available.
+ */
+export function locateIssues(issues, text) {
+  if (typeof text !== "string") return issues.map((issue) => ({ ...issue, line: null, column: null }));
+  let offsets;
+  try {
+    offsets = pointerOffsets(text);
+  } catch {
+    return issues.map((issue) => ({ ...issue, line: null, column: null }));
+  }
+  return issues.map((issue) => ({
+    ...issue,
+    ...(issue.location === null ? { line: null, column: null } : locatePointer(text, issue.location, offsets)),
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// Report
+// ---------------------------------------------------------------------------
+
+/**
+ * `files` are the aggregator's per-file results:
+ * { candidate_id, file, path, status, errors, warnings }, plus coverage
+ * ({ criteria_scored, criteria_total }) under --partial. Returns the
+ * validation-report.json object.
+ */
+export function buildValidationReport(files, {
+  evalsDir,
+  lenient = false,
+  strict = false,
+  generatedAt = new Date().toISOString(),
+} = {}) {
+  const count = (list, status) => list.filter((f) => f.status === status).length;
+  const candidates = {};
+  for (const f of files) (candidates[f.candidate_id] ||= []).push(f);
+  return {
+    generated_at: generatedAt,
+    evals_dir: evalsDir,
+    validation: lenient ? "lenient" : "strict",
+    strict_exit: strict,
+    summary: {
+      files: files.length,
+      accepted: count(files, "accepted"),
+      partial: count(files, "partial"),
+      rejected: count(files, "rejected"),
+      errors: files.reduce((n, f) => n + f.errors.length, 0),
+      warnings: files.reduce((n, f) => n + f.warnings.length, 0),
+    },
+    candidates: Object.fromEntries(Object.entries(candidates).map(([id, list]) => [id, {
+      files: list.length,
+      accepted: count(list, "accepted"),
+      partial: count(list, "partial"),
+      rejected: count(list, "rejected"),
+      rejected_files: list.filter((f) => f.status === "rejected").map((f) => f.file),
+    }])),
+    files,
+  };
+}
+
+// Path as CI tools expect it: relative to the working directory, with /
+function artifactPath(path) {
+  return relative(process.cwd(), path).split(sep).join("/");
+}
+
+function issueText(issue) {
+  return `${issue.location || "(root)"}: ${issue.message}${issue.keyword ? ` [${issue.keyword}]` : ""}`;
+}
+
+function xml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/** JUnit XML: one test suite per candidate, one test case per eval file. */
+export function toJUnit(report) {
+  const lines = ["<?xml version=\"1.0\" encoding=\"UTF-8\"?>"];
+  lines.push(
+    `<testsuites name="evaluation-validation" tests="${report.summary.files}" ` +
+    `failures="${report.summary.rejected}" timestamp="${report.generated_at}">`
+  );
+  for (const [candidateId, c] of Object.entries(report.candidates)) {
+    lines.push(`  <testsuite name="${xml(candidateId)}" tests="${c.files}" failures="${c.rejected}">`);
+    for (const f of report.files.filter((x) => x.candidate_id === candidateId)) {
+      const where = (issue) => `${artifactPath(f.path)}${issue.line ? `:${issue.line}:${issue.column}` : ""}`;
+      const testcase = `    <testcase classname="${xml(candidateId)}" name="${xml(f.file)}" file="${xml(artifactPath(f.path))}"`;
+      if (f.status === "accepted") {
+        lines.push(`${testcase}/>`);
+        continue;
+      }
+      lines.push(`${testcase}>`);
+      if (f.status === "rejected") {
+        lines.push(
+          `      <failure message="${xml(`${f.errors.length} validation error(s): ${issueText(f.errors[0])}`)}" ` +
+          `type="${xml(f.errors[0].keyword ?? "error")}">${xml(f.errors.map((e) => `${where(e)} ${issueText(e)}`).join("\n"))}</failure>`
+        );
+      }
+      if (f.warnings.length > 0) {
+        lines.push(`      <system-out>${xml(f.warnings.map((w) => `warning: ${where(w)} ${issueText(w)}`).join("\n"))}</system-out>`);
+      }
+      lines.push("    </testcase>");
+    }
+    lines.push("  </testsuite>");
+  }
+  lines.push("</testsuites>");
+  return `${lines.join("\n")}\n`;
+}
+
+/** SARIF 2.1.0: one result per error (level error) and warning. */
+export function toSarif(report, { toolName = "evaluation-aggregate" } = {}) {
+  const rules = new Map();
+  const results = [];
+  for (const f of report.files) {
+    for (const [issues, level] of [[f.errors, "error"], [f.warnings, "warning"]]) {
+      for (const issue of issues) {
+        const ruleId = `eval/${issue.keyword ?? "error"}`;
+        if (!rules.has(ruleId)) {
+          rules.set(ruleId, { id: ruleId, shortDescription: { text: `Evaluation file check: ${issue.keyword ?? "error"}` } });
+        }
+        results.push({
+          ruleId,
+          level,
+          message: { text: `${issueText(issue)} (${f.candidate_id}, ${f.status})` },
+          locations: [{
+            physicalLocation: {
+              artifactLocation: { uri: artifactPath(f.path) },
+              ...(issue.line ? { region: { startLine: issue.line, startColumn: issue.column } } : {}),
+            },
+            ...(issue.location !== null ? {
+              logicalLocations: [{ fullyQualifiedName: issue.location || "/", kind: "member" }],
+            } : {}),
+          }],
+        });
+      }
+    }
+  }
+  return {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [{
+      tool: { driver: { name: toolName, rules: [...rules.values()] } },
+      results,
+    }],
+  };
+}
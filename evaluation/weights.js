@@ -0,0 +1,290 @@
+/**
+ * Category weight overrides and ranking robustness to the weights
+ *
+ * The 30/15/15/10/20/5/5 split of Section 6.2 is a judgment call. Two
+ * aggregator options question it:
+ *
+ *   --weights <spec>            score every candidate under other weights
+ *                               (parseWeightSpec, applyWeights)
+ *   --weight-robustness <mode>  sample many weight vectors and report how
+ *                               the ranking holds up (buildWeightSensitivity)
+ *
+ * Category scores do not depend on the weights, so a candidate's final
+ * score under any weight vector is Σ category_score × weight + bonuses,
+ * computed from its consensus without aggregating again.
+ *
+ * Sampling modes:
+ *   around   each weight in use moves by a uniform amount within ±spread
+ *            (clipped at 0), then the vector is renormalized to sum to 1
+ *   simplex  uniform over all weight vectors (flat Dirichlet); vectors
+ *            outside the per-category bounds are redrawn
+ *
+ * For every pair of candidates adjacent in the base ranking, the smallest
+ * weight shift that brings the lower one level with the upper one is exact:
+ * weight moves from the categories where the upper candidate leads most to
+ * the one where the lower candidate leads most (a fractional knapsack). The
+ * shift is the total weight moved. It ignores simplex-mode bounds.
+ */
+
+import { createRng, round } from "./stats.js";
+import { compareForRanking } from "./ranking.js";
+import { BOOTSTRAP_SEED } from "./reliability.js";
+
+export const WEIGHT_SAMPLING_MODES = ["around", "simplex"];
+export const DEFAULT_WEIGHT_SAMPLES = 2000;
+export const DEFAULT_WEIGHT_SPREAD = 0.05;
+
+// How many top positions the stability summary follows
+const TOP_N = 3;
+
+// Simplex mode gives up when bounds reject nearly every draw
+const MAX_DRAWS_PER_SAMPLE = 1000;
+
+// ---------------------------------------------------------------------------
+// Weight specs
+// ---------------------------------------------------------------------------
+
+// A category by full key ("E_code_quality") or letter ("E")
+function resolveCategory(key, categories) {
+  const match = categories.find((cat) => cat === key || cat.split("_")[0] === key);
+  if (!match) throw new Error(`Unknown category "${key}" (expected one of ${categories.join(", ")})`);
+  return match;
+}
+
+function parsePairs(spec, what) {
+  const pairs = [];
+  for (const part of String(spec).split(",").map((p) => p.trim()).filter(Boolean)) {
+    const [key, value] = part.split("=").map((x) => x?.trim());
+    if (!key || !value) throw new Error(`Invalid ${what} "${part}" (expected <category>=<value>)`);
+    pairs.push([key, value]);
+  }
+  if (pairs.length === 0) throw new Error(`Empty ${what} spec`);
+  return pairs;
+}
+
+/**
+ * Parse `--weights`, e.g. "E=0.25" or "A_strategy_matrix=0.25,E=0.25".
+ * Categories not listed share the remaining weight in proportion to their
+ * rubric weights, so the vector still sums to 1. Returns the full vector.
+ */
+export function parseWeightSpec(spec, rubric) {
+  const given = {};
+  for (const [key, value] of parsePairs(spec, "weight")) {
+    const w = Number(value);
+    if (!Number.isFinite(w) || w < 0 || w > 1) throw new Error(`Weight for ${key} must be between 0 and 1`);
+    given[resolveCategory(key, rubric.categories)] = w;
+  }
+  const givenSum = Object.values(given).reduce((s, w) => s + w, 0);
+  const rest = rubric.categories.filter((cat) => !(cat in given));
+  const restSum = rest.reduce((s, cat) => s + rubric.weights[cat], 0);
+  if (givenSum > 1 + 1e-6 || ((rest.length === 0 || restSum === 0) && Math.abs(givenSum - 1) > 1e-6)) {
+    throw new Error(`--weights sum to ${round(givenSum, 4)}; the categories' weights must sum to 1`);
+  }
+  return Object.fromEntries(rubric.categories.map((cat) => [
+    cat,
+    cat in given ? given[cat] : round(rubric.weights[cat] * (1 - givenSum) / restSum, 6),
+  ]));
+}
+
+/** The rubric with its category weights replaced; `source` says where they came from. */
+export function applyWeights(rubric, weights, source = "--weights") {
+  return { ...rubric, weights, weightsSource: source };
+}
+
+/** Parse `--weight-bounds`, e.g. "E=0.1:0.4,A=0.2:0.5" → { cat: [min, max] }. */
+export function parseWeightBounds(spec, categories) {
+  const bounds = Object.fromEntries(categories.map((cat) => [cat, [0, 1]]));
+  for (const [key, value] of parsePairs(spec, "weight bound")) {
+    const [lo, hi] = value.split(":").map(Number);
+    if (!(lo >= 0 && hi <= 1 && lo <= hi)) throw new Error(`Bound for ${key} must be <min>:<max> within 0–1`);
+    bounds[resolveCategory(key, categories)] = [lo, hi];
+  }
+  const minSum = Object.values(bounds).reduce((s, [lo]) => s + lo, 0);
+  const maxSum = Object.values(bounds).reduce((s, [, hi]) => s + hi, 0);
+  if (minSum > 1 || maxSum < 1) throw new Error("--weight-bounds leave no weight vector that sums to 1");
+  return bounds;
+}
+
+// ---------------------------------------------------------------------------
+// Sampling
+// ---------------------------------------------------------------------------
+
+function normalize(values) {
+  const sum = values.reduce((s, v) => s + v, 0);
+  return values.map((v) => v / sum);
+}
+
+function sampler(mode, categories, base, { spread, bounds, rng }) {
+  if (mode === "around") {
+    return () => {
+      const raw = categories.map((cat) => Math.max(0, base[cat] + (rng() * 2 - 1) * spread));
+      return normalize(raw.every((v) => v === 0) ? categories.map((cat) => base[cat]) : raw);
+    };
+  }
+  return () => {
+    for (let i = 0; i < MAX_DRAWS_PER_SAMPLE; i++) {
+      // Normalized exponentials are uniform on the simplex
+      const w = normalize(categories.map(() => -Math.log(1 - rng())));
+      if (categories.every((cat, k) => w[k] >= bounds[cat][0] && w[k] <= bounds[cat][1])) return w;
+    }
+    throw new Error("--weight-bounds are too narrow to sample from the simplex");
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Scores, ranks and flips
+// ---------------------------------------------------------------------------
+
+// The weight-independent parts of a candidate's consensus. A category no
+// evaluator scored (--partial) stands at the candidate's weighted score,
+// which is what leaving it out amounts to under the base weights.
+function candidateProfile(c, categories) {
+  const summary = c.scoring_summary;
+  return {
+    candidate_id: c.candidate_id,
+    scores: categories.map((cat) => summary.category_scores[cat] ?? summary.weighted_score),
+    bonus: round(summary.final_score - summary.weighted_score),
+    category_scores: summary.category_scores,
+    evaluator_agreement: c.inter_evaluator_analysis.overall_agreement,
+    divergence_count: c.inter_evaluator_analysis.divergence_count,
+  };
+}
+
+// Final score the way buildConsensus() rounds it
+function scoreUnder(profile, w) {
+  const weighted = round(profile.scores.reduce((s, v, k) => s + v * w[k], 0));
+  return round(weighted + profile.bonus);
+}
+
+function order(profiles, w) {
+  return profiles
+    .map((p) => ({ ...p, final_score: scoreUnder(p, w) }))
+    .sort(compareForRanking);
+}
+
+/**
+ * Smallest total weight moved (from `w`) that brings `lower`'s score level
+ * with `upper`'s. Returns { shift, moves: [{ from, to, amount }], weights }
+ * or null when no weight vector does.
+ */
+export function minimalFlip(upper, lower, w, categories) {
+  const gap = upper.scores.reduce((s, v, k) => s + v * w[k], 0) + upper.bonus -
+    (lower.scores.reduce((s, v, k) => s + v * w[k], 0) + lower.bonus);
+  const lead = categories.map((_, k) => upper.scores[k] - lower.scores[k]);
+  const to = lead.indexOf(Math.min(...lead));
+  if (gap <= 0) return { shift: 0, moves: [], weights: Object.fromEntries(categories.map((cat, k) => [cat, w[k]])) };
+
+  let remaining = gap;
+  const moved = [...w];
+  const moves = [];
+  const donors = categories.map((_, k) => k)
+    .filter((k) => k !== to && lead[k] > lead[to] && w[k] > 0)
+    .sort((a, b) => lead[b] - lead[a]);
+  for (const k of donors) {
+    const perUnit = lead[k] - lead[to];
+    const amount = Math.min(w[k], remaining / perUnit);
+    moved[k] -= amount;
+    moved[to] += amount;
+    moves.push({ from: categories[k], to: categories[to], amount: round(amount, 4) });
+    remaining -= amount * perUnit;
+    if (remaining <= 1e-9) break;
+  }
+  if (remaining > 1e-9) return null;
+  return {
+    shift: round(moves.reduce((s, m) => s + m.amount, 0), 4),
+    moves,
+    weights: Object.fromEntries(categories.map((cat, k) => [cat, round(moved[k], 4)])),
+  };
+}
+
+/**
+ * Ranking robustness across sampled weight vectors.
+ *
+ * `consensusResults` are the consensus files of every candidate (all under
+ * the same categories); `baseWeights` the weights in use. Returns the
+ * weight-sensitivity.json report.
+ */
+export function buildWeightSensitivity(consensusResults, baseWeights, {
+  mode = "around",
+  samples = DEFAULT_WEIGHT_SAMPLES,
+  spread = DEFAULT_WEIGHT_SPREAD,
+  bounds = null,
+  seed = BOOTSTRAP_SEED,
+} = {}) {
+  const categories = Object.keys(baseWeights);
+  const base = categories.map((cat) => baseWeights[cat]);
+  const profiles = consensusResults.map((c) => candidateProfile(c, categories));
+  const baseOrder = order(profiles, base);
+  const n = profiles.length;
+  const simplexBounds = bounds ?? Object.fromEntries(categories.map((cat) => [cat, [0, 1]]));
+
+  const draw = sampler(mode, categories, baseWeights, { spread, bounds: simplexBounds, rng: createRng(seed) });
+  const rankCounts = Object.fromEntries(profiles.map((p) => [p.candidate_id, new Array(n).fill(0)]));
+  const scoreRange = Object.fromEntries(profiles.map((p) => [p.candidate_id, [Infinity, -Infinity]]));
+  const baseTop = baseOrder.slice(0, TOP_N).map((p) => p.candidate_id);
+  let sameTopMembers = 0;
+  let sameTopOrder = 0;
+
+  for (let i = 0; i < samples; i++) {
+    const ranked = order(profiles, draw());
+    ranked.forEach((p, pos) => {
+      rankCounts[p.candidate_id][pos]++;
+      const range = scoreRange[p.candidate_id];
+      range[0] = Math.min(range[0], p.final_score);
+      range[1] = Math.max(range[1], p.final_score);
+    });
+    const top = ranked.slice(0, TOP_N).map((p) => p.candidate_id);
+    if (top.every((id) => baseTop.includes(id))) sameTopMembers++;
+    if (top.every((id, k) => id === baseTop[k])) sameTopOrder++;
+  }
+
+  const candidates = baseOrder.map((p, pos) => {
+    const counts = rankCounts[p.candidate_id];
+    const ranks = counts.flatMap((count, r) => (count > 0 ? [r + 1] : []));
+    return {
+      candidate_id: p.candidate_id,
+      base_position: pos + 1,
+      base_score: p.final_score,
+      position_distribution: Object.fromEntries(
+        counts.map((count, r) => [String(r + 1), round(count / samples, 3)]).filter(([, f]) => f > 0)
+      ),
+      p_first: round(counts[0] / samples, 3),
+      mean_position: round(counts.reduce((s, count, r) => s + count * (r + 1), 0) / samples),
+      position_range: [Math.min(...ranks), Math.max(...ranks)],
+      score_range: scoreRange[p.candidate_id],
+    };
+  });
+
+  const adjacentPairs = baseOrder.slice(0, -1).map((upper, pos) => {
+    const lower = baseOrder[pos + 1];
+    const flip = minimalFlip(upper, lower, base, categories);
+    return {
+      upper: upper.candidate_id,
+      lower: lower.candidate_id,
+      score_gap: round(upper.final_score - lower.final_score),
+      min_weight_shift: flip?.shift ?? null,
+      moves: flip?.moves ?? [],
+      weights_at_flip: flip?.weights ?? null,
+    };
+  });
+
+  return {
+    method: mode === "around"
+      ? `Each weight moved uniformly within ±${spread} of the weights in use (clipped at 0), renormalized to sum to 1`
+      : "Weight vectors drawn uniformly from the simplex, redrawn when outside the bounds",
+    mode,
+    samples,
+    seed,
+    spread: mode === "around" ? spread : null,
+    bounds: mode === "simplex" ? simplexBounds : null,
+    base_weights: baseWeights,
+    top_n: {
+      n: TOP_N,
+      base: baseTop,
+      same_members: round(sameTopMembers / samples, 3),
+      same_order: round(sameTopOrder / samples, 3),
+    },
+    candidates,
+    adjacent_pairs: adjacentPairs,
+  };
+}